@@ -0,0 +1,38 @@
+// sw.js - Service worker that shows Web Push notifications while no chat tab is open
+//
+// The server pushes { title, body, tag, data } where data names the message's room or DM.
+// Clicking the notification brings a chat tab forward and asks it to open that room or DM, or
+// opens a new tab at /?open=<room or conversation id>.
+
+self.addEventListener('push', (event) => {
+  if (!event.data) return;
+  let payload;
+  try {
+    payload = event.data.json();
+  } catch (_e) {
+    payload = { title: 'New message', body: event.data.text() };
+  }
+  event.waitUntil(self.registration.showNotification(payload.title, {
+    body: payload.body,
+    icon: '/favicon.ico',
+    // One notification per room or DM; a newer message replaces it
+    tag: payload.tag ? `chat-${payload.tag}` : undefined,
+    renotify: Boolean(payload.tag),
+    data: payload.data,
+  }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const message = event.notification.data;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find((w) => w.visibilityState === 'visible') || windows[0];
+    if (client) {
+      await client.focus();
+      if (message) client.postMessage({ type: 'open_stream', message });
+      return;
+    }
+    await self.clients.openWindow(message?.stream ? `/?open=${encodeURIComponent(message.stream)}` : '/');
+  })());
+});
@@ -1,52 +1,365 @@
-import { useState, useEffect, useMemo } from 'react';
+import { Fragment, useState, useEffect, useMemo, useRef } from 'react';
 import './App.css';
-import { useSocket } from './socket/socket.js';
-import { playNotificationSound, showBrowserNotification, requestNotificationPermission } from './utils/notifications.js';
+import { useSocket, fileUrl } from './socket/socket.js';
+import {
+  NOTIFICATION_SOUNDS,
+  playNotificationSound,
+  notificationLevel,
+  isQuietTime,
+  showGroupedNotification,
+  clearNotificationGroup,
+  requestNotificationPermission,
+} from './utils/notifications.js';
+import { pushSupported, onPushNotificationClick, streamToOpen } from './utils/push.js';
+import { renderMarkdown, safeUrl } from './utils/markdown.jsx';
+
+const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Group conversations hold at most this many people, including you (enforced by the server)
+const GROUP_MAX = 8;
+
+// A group's name, or the other participants' names for unnamed groups and DMs
+const conversationTitle = (conversation, myId) => conversation.name
+  || conversation.participants.filter(p => p.id !== myId).map(p => p.username).join(', ')
+  || 'Just you';
+
+// Whether a message mentions a user, by name or with @room or @here
+const mentionsUser = (message, userId) => Boolean(
+  message.mentions && message.senderId !== userId
+  && (message.mentions.room || message.mentions.here || message.mentions.users.some(u => u.id === userId))
+);
+
+// Whether a DM message is addressed to a user: every message of a one-to-one DM is, a group
+// message only when it mentions them. The server decides what to push by the same rule.
+const addressesUser = (message, conversation, userId) => conversation?.type !== 'group'
+  || Boolean(message.mentions?.users.some(u => u.id === userId));
+
+// An @name in message text (trailing dots and dashes aren't part of it)
+const MENTION_TOKEN = /(@[\p{L}\p{N}_]+(?:[.-]+[\p{L}\p{N}_]+)*)/u;
+// The @name being typed just before the caret
+const MENTION_QUERY = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_.-]*)$/u;
+const MENTIONABLE_NAME = /^[\p{L}\p{N}_.-]+$/u;
+const MAX_MENTION_OPTIONS = 6;
+
+// Highlight the mentions the server recognised in a message; ones that reach us stand out
+const renderMentions = (text, mentions, myId) => {
+  if (!text || !mentions) return text;
+  const userIds = new Map(mentions.users.map(u => [u.username.toLowerCase(), u.id]));
+  const parts = text.split(MENTION_TOKEN);
+  return parts.map((part, i) => {
+    if (i % 2 === 0) return part;
+    const name = part.slice(1).toLowerCase();
+    const known = userIds.has(name) || (name === 'room' && mentions.room) || (name === 'here' && mentions.here);
+    // An @ inside a word (an email address) isn't a mention
+    if (!known || /[\p{L}\p{N}_@]$/u.test(parts[i - 1])) return part;
+    const isMe = userIds.has(name) ? userIds.get(name) === myId : true;
+    return <span key={i} className={`mention ${isMe ? 'mention-me' : ''}`}>{part}</span>;
+  });
+};
+
+// Enter sends and Shift+Enter starts a new line in the message boxes
+const submitOnEnter = (onSubmit) => (e) => {
+  if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+    e.preventDefault();
+    onSubmit(e);
+  }
+};
+
+// Matches the server's default MAX_MESSAGE_LENGTH
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Rows for a growing message box
+const MAX_COMPOSER_ROWS = 6;
+const rowsFor = (text) => Math.min(text.split('\n').length, MAX_COMPOSER_ROWS);
+
+// Preview cards for the links in a message, as attached by the server
+const renderLinkPreviews = (previews) => (
+  <div className="link-previews">
+    {previews.filter(p => safeUrl(p.url)).map(preview => (
+      <a
+        key={preview.url}
+        className="link-preview"
+        href={safeUrl(preview.url)}
+        target="_blank"
+        rel="noopener noreferrer nofollow"
+      >
+        {/* The server keeps a copy of the image; older previews pointing elsewhere show none */}
+        {preview.image?.startsWith('/uploads/') && (
+          <img src={fileUrl(preview.image)} alt="" className="link-preview-image" loading="lazy" />
+        )}
+        <span className="link-preview-body">
+          <span className="link-preview-site">{preview.siteName}</span>
+          <span className="link-preview-title">{preview.title}</span>
+          {preview.description && <span className="link-preview-description">{preview.description}</span>}
+        </span>
+      </a>
+    ))}
+  </div>
+);
+
+// Wrap the matched search terms in <mark>, case-insensitively
+const highlightTerms = (text, terms) => {
+  if (!text || !terms || terms.length === 0) return text;
+  const pattern = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+  return text
+    .split(new RegExp(`(${pattern})`, 'giu'))
+    .map((part, i) => (i % 2 === 1 ? <mark key={i}>{part}</mark> : part));
+};
+
+// One-line summary of a conversation's last message for the DM sidebar
+const conversationPreview = (message) => {
+  if (message.deleted) return 'Message deleted';
+  if (message.type === 'image') return '📷 Image';
+  if (message.type === 'file') return `📎 ${message.message}`;
+  return message.message;
+};
+
+// Presence as shown to others; "invisible" only ever describes ourselves
+const STATUS_LABELS = { online: 'Online', idle: 'Away', dnd: 'Do not disturb', invisible: 'Invisible', offline: 'Offline' };
+const PICKABLE_STATUSES = ['online', 'idle', 'dnd', 'invisible'];
+// How long a custom status lasts, in minutes ('' keeps it until cleared)
+const STATUS_DURATIONS = [['', "Don't clear"], ['30', '30 minutes'], ['60', '1 hour'], ['240', '4 hours'], ['1440', '24 hours']];
+
+// Notification levels for a room or DM, as offered in its menu
+const NOTIFICATION_LEVEL_LABELS = { all: '🔔 All messages', mentions: '@ Mentions only', muted: '🔕 Muted' };
+
+// "5 minutes ago" for recent times, otherwise the date
+const timeAgo = (iso) => {
+  const minutes = Math.floor((Date.now() - new Date(iso).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  return new Date(iso).toLocaleDateString();
+};
+
+// A custom status, unless it has expired since the server sent it
+const activeCustomStatus = (custom) => (
+  custom && (!custom.expiresAt || new Date(custom.expiresAt) > new Date()) ? custom : null
+);
+
+// Dot coloured by a user's presence; hovering shows the status, or when they were last seen
+const renderPresenceDot = (user) => {
+  const status = user?.status || 'offline';
+  const title = status === 'offline' && user?.lastSeenAt
+    ? `Offline, last seen ${timeAgo(user.lastSeenAt)}`
+    : STATUS_LABELS[status];
+  return <span className={`presence-dot ${status}`} title={title} />;
+};
+
+const renderCustomStatus = (custom) => {
+  const active = activeCustomStatus(custom);
+  if (!active) return null;
+  return <span className="custom-status" title={active.text}>{active.emoji} {active.text}</span>;
+};
 
 function App() {
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isRegistering, setIsRegistering] = useState(false);
   const [showChat, setShowChat] = useState(false);
   const [inputMessage, setInputMessage] = useState('');
   const [selectedUser, setSelectedUser] = useState(null);
+  const [groupSelection, setGroupSelection] = useState(null); // User ids picked for a new group, while picking
+  const [groupName, setGroupName] = useState('');
   const [showPrivateChat, setShowPrivateChat] = useState(false);
   const [showEmojiPicker, setShowEmojiPicker] = useState(null);
   const [notificationsEnabled, setNotificationsEnabled] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchFilters, setSearchFilters] = useState({ sender: '', room: '', from: '', to: '', hasAttachment: false });
+  const [searchResults, setSearchResults] = useState(null); // null while the results dropdown is closed
+  const [pendingJump, setPendingJump] = useState(null); // Search result waiting for its room to load
+  const [highlightedId, setHighlightedId] = useState(null); // Message flashed after jumping to it
+  const [uploadStatus, setUploadStatus] = useState(null); // { uploading } or { error } for the attach button
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
+  const messageInputRef = useRef(null);
+  const [mentionQuery, setMentionQuery] = useState(null); // The @name being typed: { start, text }
+  const [mentionIndex, setMentionIndex] = useState(0); // Highlighted autocomplete option
+  const [showPreview, setShowPreview] = useState(false); // Formatted preview above the composer
+  const [threadParentId, setThreadParentId] = useState(null); // Root message of the open thread panel
+  const [threadInput, setThreadInput] = useState('');
+  const [editing, setEditing] = useState(null); // { id, text } while editing one of our messages
+  const [modMenu, setModMenu] = useState(null); // id of the message whose moderation menu is open
+  const [roomForm, setRoomForm] = useState(null); // null when closed, else { mode: 'create' | 'edit', name, topic, description, visibility }
+  const [statusMenu, setStatusMenu] = useState(null); // Custom status being edited while the menu is open: { emoji, text, duration }
+  const [notificationMenu, setNotificationMenu] = useState(null); // Settings being edited while the menu is open: { sound, quietHours }
+  const openStreamRef = useRef(null); // Latest openStreamOf, for notifications clicked later
+  const [pendingStream, setPendingStream] = useState(streamToOpen); // Room or DM a push notification opened this tab for
   
   const {
     socket,
     isConnected,
     messages,
+    lastMessage,
+    lastReply,
+    lastMention,
     users,
+    presence,
+    myPresence,
+    notificationPrefs,
+    pushEnabled,
     typingUsers,
+    currentUser,
     currentUsername,
-    usernameError,
+    authError,
     currentRoom,
     availableRooms,
+    serverError,
+    rateLimit,
+    roomMembers,
+    invitations,
     unreadCounts,
+    mentionCounts,
+    readMarker,
     hasMore,
+    conversations,
+    activeConversation,
+    conversationHasMore,
     connect,
     disconnect,
+    resumeSession,
     sendMessage,
     sendPrivateMessage,
+    sendGroupMessage,
+    retryMessage,
+    discardMessage,
     setTyping,
     joinRoom,
+    leaveRoom,
+    createRoom,
+    updateRoom,
+    archiveRoom,
+    inviteToRoom,
+    acceptInvite,
+    declineInvite,
+    kickMember,
+    banUser,
+    muteUser,
+    unmuteUser,
+    setMemberRole,
+    editMessage,
+    deleteMessage,
+    removeMessage,
+    clearServerError,
+    clearRateLimit,
+    setStatus,
+    setCustomStatus,
+    setNotificationLevel,
+    setNotificationSettings,
+    enablePush,
+    disablePush,
     addReaction,
     fetchOlderMessages,
+    openConversation,
+    openConversationById,
+    closeConversation,
+    createGroup,
+    addParticipants,
+    leaveConversation,
+    loadThread,
+    loadMessageContext,
+    uploadFile,
     searchMessages,
   } = useSocket();
   
   const emojis = ['👍', '❤️', '😂', '😮', '😢', '🔥'];
   
+  // Others see us as offline while we're invisible; we see that we picked it
+  const presenceOf = (userId) => (userId === currentUser?.id && myPresence.status === 'invisible'
+    ? { ...presence[userId], status: 'invisible' }
+    : presence[userId]);
+
+  const openStatusMenu = () => {
+    const custom = activeCustomStatus(myPresence.customStatus);
+    setStatusMenu({ emoji: custom?.emoji || '', text: custom?.text || '', duration: '' });
+  };
+
+  const saveCustomStatus = (e) => {
+    e.preventDefault();
+    setCustomStatus({
+      emoji: statusMenu.emoji.trim(),
+      text: statusMenu.text.trim(),
+      expiresInMinutes: statusMenu.duration ? Number(statusMenu.duration) : undefined,
+    });
+    setStatusMenu(null);
+  };
+
+  // Quiet hours are kept in the time zone of the device they were last saved on
+  const openNotificationMenu = () => {
+    setNotificationMenu({
+      sound: notificationPrefs?.sound || 'beep',
+      quietHours: notificationPrefs?.quietHours || { enabled: false, start: '22:00', end: '08:00' },
+    });
+  };
+
+  const setQuietHours = (changes) => {
+    setNotificationMenu(prev => ({ ...prev, quietHours: { ...prev.quietHours, ...changes } }));
+  };
+
+  const saveNotificationSettings = (e) => {
+    e.preventDefault();
+    const { enabled, start, end } = notificationMenu.quietHours;
+    setNotificationSettings({
+      sound: notificationMenu.sound,
+      quietHours: { enabled, start, end, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone },
+    });
+    setNotificationMenu(null);
+  };
+
+  const clearCustomStatus = () => {
+    setCustomStatus({ emoji: '', text: '' });
+    setStatusMenu(null);
+  };
+
+  const currentRoomInfo = availableRooms.find(room => room.id === currentRoom);
+  const activeConversationInfo = conversations.find(c => c.id === activeConversation);
+  const isGroupChat = showPrivateChat && activeConversationInfo?.type === 'group';
+  const privateChatTitle = isGroupChat
+    ? conversationTitle(activeConversationInfo, currentUser?.id)
+    : showPrivateChat && selectedUser ? selectedUser.username : null;
+  const roleRanks = { member: 1, moderator: 2, owner: 3 };
+  const roleOf = (userId) => roomMembers.find(member => member.id === userId)?.role;
+  const myRank = roleRanks[roleOf(currentUser?.id)] || 0;
+  const isRoomOwner = myRank === roleRanks.owner;
+  // Moderators act on anyone ranked below them in the current room
+  const canModerate = (userId) =>
+    !showPrivateChat &&
+    userId !== currentUser?.id &&
+    myRank >= roleRanks.moderator &&
+    myRank > (roleRanks[roleOf(userId)] || 0);
+  const isRestrictedRoom = Boolean(currentRoomInfo && currentRoomInfo.visibility && currentRoomInfo.visibility !== 'public');
+  const memberIds = new Set(roomMembers.map(member => member.id));
+  const roomIcons = { private: '🔒', 'invite-only': '🔑' };
+  
+  // Pick up a saved login so reloads and new tabs go straight back into the chat
+  useEffect(() => {
+    if (resumeSession()) {
+      setShowChat(true);
+    }
+  }, []);
+  
   // Filter messages based on current view (room or private chat)
   const displayMessages = useMemo(() => {
-    if (showPrivateChat && selectedUser) {
-      // Filter to show only private messages between current user and selected user
+    if (showPrivateChat && (selectedUser || activeConversation)) {
+      // Filter to show only private messages in the open conversation
       return messages.filter(message => {
         // Must be a private message
         if (!message.isPrivate) {
           return false;
         }
+        if (message.conversationId) {
+          return message.conversationId === activeConversation;
+        }
+        if (!selectedUser) {
+          return false;
+        }
+        
+        // Older direct messages have no conversation id: match on sender and recipient
         
         // Case 1: Message from selected user to current user (we received it)
         // Check if senderId matches selectedUser.id
@@ -56,7 +369,7 @@ function App() {
         
         // Case 2: Message from current user to selected user (we sent it)
         // Check if we're the sender and recipientId matches selectedUser.id
-        if (message.senderId === socket.id && message.recipientId === selectedUser.id) {
+        if (message.senderId === currentUser?.id && message.recipientId === selectedUser.id) {
           return true;
         }
         
@@ -69,15 +382,19 @@ function App() {
         if (message.isPrivate) {
           return false;
         }
-        // Show system messages
+        // Show system messages (stored ones belong to a room)
         if (message.system) {
-          return true;
+          return !message.room || message.room === currentRoom;
+        }
+        // Thread replies only appear in the thread panel
+        if (message.parentId) {
+          return false;
         }
         // Show messages for current room
         return message.room === currentRoom;
       });
     }
-  }, [messages, showPrivateChat, selectedUser, socket.id, currentRoom]);
+  }, [messages, showPrivateChat, selectedUser, activeConversation, currentUser?.id, currentRoom]);
   
   // Request notification permission on mount
   useEffect(() => {
@@ -94,37 +411,14 @@ function App() {
     }
   }, [displayMessages, messages]); // Also scroll when displayMessages changes
   
-  // Mark messages as read when user is viewing the room
-  useEffect(() => {
-    if (!showPrivateChat && currentRoom && isConnected && displayMessages.length > 0) {
-      // Mark all unread messages in current room as read when user is viewing
-      // This ensures messages are marked as read when user is actively in the room
-      const unreadMessages = displayMessages.filter(
-        msg => msg.senderId !== socket.id && 
-                !msg.isPrivate && 
-                msg.room === currentRoom &&
-                msg.status !== 'read' &&
-                !msg.readBy?.some(r => r.userId === socket.id)
-      );
-      
-      if (unreadMessages.length > 0) {
-        // Mark messages as read after a short delay (user is viewing)
-        const timeout = setTimeout(() => {
-          unreadMessages.forEach((message) => {
-            if (message.id) {
-              socket.emit('mark_message_read', { 
-                messageId: message.id, 
-                room: currentRoom, 
-                isPrivate: false 
-              });
-            }
-          });
-        }, 1000); // 1 second delay to ensure user is actually viewing
-        
-        return () => clearTimeout(timeout);
-      }
-    }
-  }, [displayMessages, currentRoom, isConnected, showPrivateChat, socket.id]);
+  // The first message that was unread when the room or conversation was opened, which the
+  // "new messages" divider goes above
+  const firstUnreadId = useMemo(() => {
+    if (!readMarker) return null;
+    const first = displayMessages.find(m => !m.system && m.stream === readMarker.stream
+      && m.seq > readMarker.seq && m.senderId !== currentUser?.id);
+    return first ? first.id : null;
+  }, [displayMessages, readMarker, currentUser?.id]);
   
   // Debug: Log when private chat state changes
   useEffect(() => {
@@ -134,98 +428,471 @@ function App() {
     }
   }, [showPrivateChat, selectedUser, displayMessages]);
   
-  // Handle new message notifications
+  // Sound and browser notifications, held back during quiet hours and while we're on do not
+  // disturb. Notifications for the same room or DM are grouped; clicking one opens it.
+  const notify = (message, { key, title, groupTitle }) => {
+    if (myPresence.status === 'dnd' || isQuietTime(notificationPrefs?.quietHours)) return;
+    playNotificationSound(notificationPrefs?.sound);
+    if (notificationsEnabled && 'Notification' in window) {
+      const preview = message.message
+        ? message.message.substring(0, 50) + (message.message.length > 50 ? '...' : '')
+        : 'New message';
+      showGroupedNotification(key, {
+        title,
+        groupTitle,
+        line: `${message.sender}: ${preview}`,
+        onClick: () => openStreamRef.current(message),
+      });
+    }
+  };
+
+  const roomName = (roomId) => availableRooms.find(room => room.id === roomId)?.name || roomId;
+
+  // Notify about messages in rooms we aren't viewing and DMs we don't have open, as far as their
+  // notification level allows. Replies to us and mentions of us are notified below.
   useEffect(() => {
-    if (messages.length > 0 && !showPrivateChat) {
-      const lastMessage = messages[messages.length - 1];
-      
-      // Only notify if:
-      // 1. Message is not from current user
-      // 2. Message is not a system message
-      // 3. Message is from a different room (not current room)
-      // 4. Message is not a private message
-      if (lastMessage.sender !== currentUsername && 
-          !lastMessage.system &&
-          lastMessage.room && 
-          lastMessage.room !== currentRoom &&
-          !lastMessage.isPrivate) {
-        // Play sound notification
-        playNotificationSound();
-        
-        // Show browser notification
-        if (notificationsEnabled && 'Notification' in window) {
-          const messagePreview = lastMessage.message 
-            ? lastMessage.message.substring(0, 50) + (lastMessage.message.length > 50 ? '...' : '')
-            : 'New message';
-          showBrowserNotification(
-            `New message in #${lastMessage.room}`,
-            `${lastMessage.sender}: ${messagePreview}`
-          );
-        }
-      }
-      
-      // Also notify for private messages when not in private chat view
-      if (lastMessage.isPrivate && 
-          lastMessage.sender !== currentUsername &&
-          !showPrivateChat) {
-        // Play sound for private message
-        playNotificationSound();
-        
-        // Show browser notification for private message
-        if (notificationsEnabled && 'Notification' in window) {
-          const messagePreview = lastMessage.message 
-            ? lastMessage.message.substring(0, 50) + (lastMessage.message.length > 50 ? '...' : '')
-            : 'New message';
-          showBrowserNotification(
-            `Private message from ${lastMessage.sender}`,
-            messagePreview
-          );
-        }
-      }
+    if (!lastMessage || lastMessage.system || lastMessage.senderId === currentUser?.id) return;
+    
+    if (lastMessage.isPrivate) {
+      const stream = lastMessage.conversationId || lastMessage.stream;
+      const conversation = conversations.find(c => c.id === stream);
+      // "Mentions only" lets through what's addressed to us: all of a one-to-one DM, and the
+      // group messages that mention us
+      const level = notificationLevel(notificationPrefs, stream);
+      if ((showPrivateChat && stream === activeConversation) || level === 'muted') return;
+      if (level === 'mentions' && !addressesUser(lastMessage, conversation, currentUser?.id)) return;
+      const from = conversation?.type === 'group' ? conversationTitle(conversation, currentUser?.id) : lastMessage.sender;
+      notify(lastMessage, {
+        key: stream,
+        title: `Private message from ${lastMessage.sender}`,
+        groupTitle: (count) => `${count} new messages from ${from}`,
+      });
+      return;
     }
-  }, [messages, currentUsername, currentRoom, notificationsEnabled, showPrivateChat]);
+    
+    if (lastMessage.parentId || mentionsUser(lastMessage, currentUser?.id)) return;
+    if (lastMessage.room === currentRoom || notificationLevel(notificationPrefs, lastMessage.room) !== 'all') return;
+    notify(lastMessage, {
+      key: lastMessage.room,
+      title: `New message in #${roomName(lastMessage.room)}`,
+      groupTitle: (count) => `${count} new messages in #${roomName(lastMessage.room)}`,
+    });
+    // Only react to new messages, not to switching rooms or changing settings
+  }, [lastMessage]);
+
+  // Notify when someone replies to one of our messages, unless we're reading that thread
+  useEffect(() => {
+    if (!lastReply || lastReply.parentId === threadParentId) return;
+    if (notificationLevel(notificationPrefs, lastReply.room) === 'muted') return;
+    notify(lastReply.message, {
+      key: lastReply.room,
+      title: `${lastReply.message.sender} replied to your message in #${roomName(lastReply.room)}`,
+      groupTitle: (count) => `${count} new messages in #${roomName(lastReply.room)}`,
+    });
+    // Only react to new notifications, not to the thread panel opening or closing
+  }, [lastReply]);
+
+  // Mentions notify unless the room is muted, even in the room we're viewing
+  useEffect(() => {
+    if (!lastMention) return;
+    if (notificationLevel(notificationPrefs, lastMention.room) === 'muted') return;
+    notify(lastMention.message, {
+      key: lastMention.room,
+      title: `${lastMention.message.sender} mentioned you in #${roomName(lastMention.room)}`,
+      groupTitle: (count) => `${count} new messages in #${roomName(lastMention.room)}`,
+    });
+  }, [lastMention]);
+
+  // Opening a room or DM starts its notification group afresh
+  useEffect(() => {
+    clearNotificationGroup(showPrivateChat ? activeConversation : currentRoom);
+  }, [showPrivateChat, activeConversation, currentRoom]);
+
+  // A rate limit notice stays until the limit lifts (at least a few seconds)
+  useEffect(() => {
+    if (!rateLimit) return;
+    const liftsIn = rateLimit.until
+      ? new Date(rateLimit.until).getTime() - Date.now()
+      : rateLimit.retryAfterMs || 0;
+    const timer = setTimeout(clearRateLimit, Math.max(liftsIn, 4000));
+    return () => clearTimeout(timer);
+  }, [rateLimit]);
+
+  const threadParent = threadParentId ? messages.find(m => m.id === threadParentId) : null;
+  const threadReplies = threadParentId ? messages.filter(m => m.parentId === threadParentId) : [];
 
-  const handleJoin = (e) => {
+  const openThread = (messageId) => {
+    setThreadParentId(messageId);
+    setThreadInput('');
+    loadThread(messageId);
+  };
+
+  const handleThreadReply = (e) => {
     e.preventDefault();
-    if (username.trim()) {
-      connect(username);
-      setShowChat(true);
+    if (threadInput.trim() && isConnected && threadParent) {
+      sendMessage(threadInput, 'text', null, threadParent.id);
+      setThreadInput('');
+    }
+  };
+
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    if (username.trim() && password) {
+      const ok = await connect({ username, password, register: isRegistering });
+      if (ok) {
+        setPassword('');
+        setShowChat(true);
+      }
     }
   };
 
-  // Handle username error and show error message
+  // Return to the login screen when authentication fails or the session is taken over
   useEffect(() => {
-    if (usernameError) {
+    if (authError) {
       setShowChat(false);
-      alert(usernameError);
     }
-  }, [usernameError]);
+  }, [authError]);
 
   const handleSendMessage = (e) => {
     e.preventDefault();
     if (inputMessage.trim() && isConnected) {
-      if (showPrivateChat && selectedUser) {
+      if (isGroupChat) {
+        sendGroupMessage(activeConversation, inputMessage);
+      } else if (showPrivateChat && selectedUser) {
         sendPrivateMessage(selectedUser.id, inputMessage);
       } else {
         sendMessage(inputMessage);
       }
       setInputMessage('');
+      setMentionQuery(null);
       setTyping(false);
     }
   };
 
+  // Autocomplete for @mentions in rooms: @room, @here and the users we know of
+  const mentionOptions = mentionQuery
+    ? ['room', 'here', ...new Set([...users, ...roomMembers].map(u => u.username))]
+      .filter(name => name !== currentUsername && MENTIONABLE_NAME.test(name)
+        && name.toLowerCase().startsWith(mentionQuery.text.toLowerCase()))
+      .slice(0, MAX_MENTION_OPTIONS)
+    : [];
+
+  const updateMentionQuery = (input) => {
+    const match = showPrivateChat ? null : input.value.slice(0, input.selectionStart).match(MENTION_QUERY);
+    setMentionQuery(match ? { start: input.selectionStart - match[2].length - 1, text: match[2] } : null);
+    setMentionIndex(0);
+  };
+
+  // Replace the @name being typed with the chosen one and put the caret after it
+  const completeMention = (name) => {
+    const input = messageInputRef.current;
+    const end = mentionQuery.start + 1 + mentionQuery.text.length;
+    setInputMessage(`${inputMessage.slice(0, mentionQuery.start)}@${name} ${inputMessage.slice(end)}`);
+    setMentionQuery(null);
+    const caret = mentionQuery.start + name.length + 2;
+    requestAnimationFrame(() => {
+      input.focus();
+      input.setSelectionRange(caret, caret);
+    });
+  };
+
+  // Markdown with mentions highlighted in the plain text runs
+  const renderMessageText = (message) => renderMarkdown(message.message, {
+    renderText: (text) => renderMentions(text, message.mentions, currentUser?.id),
+  });
+
+  // Keys in the composer: the mention popup gets first pick, then Enter sends
+  const handleComposerKeys = (e) => {
+    if (mentionOptions.length === 0) {
+      submitOnEnter(handleSendMessage)(e);
+      return;
+    }
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setMentionIndex((mentionIndex + step + mentionOptions.length) % mentionOptions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      completeMention(mentionOptions[mentionIndex]);
+    } else if (e.key === 'Escape') {
+      setMentionQuery(null);
+    }
+  };
+
+  // Upload a file and send it to the open room or private chat
+  const handleAttachFile = async (file) => {
+    if (!file || !isConnected) return;
+    setUploadStatus({ uploading: file.name });
+    const { attachment, error } = await uploadFile(file);
+    if (error) {
+      setUploadStatus({ error });
+      return;
+    }
+    setUploadStatus(null);
+    const type = attachment.mimeType.startsWith('image/') ? 'image' : 'file';
+    if (isGroupChat) {
+      sendGroupMessage(activeConversation, attachment.name, type, attachment);
+    } else if (showPrivateChat && selectedUser) {
+      sendPrivateMessage(selectedUser.id, attachment.name, type, attachment);
+    } else {
+      sendMessage(attachment.name, type, attachment);
+    }
+  };
+
+  const handleFileInput = (e) => {
+    handleAttachFile(e.target.files[0]);
+    e.target.value = '';
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleAttachFile(e.dataTransfer.files[0]);
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
   const handleRoomChange = (roomName) => {
     if (roomName !== currentRoom) {
       joinRoom(roomName);
     }
   };
 
+  const openRoomForm = (mode) => {
+    if (mode === 'edit' && currentRoomInfo) {
+      const { name, topic, description, visibility } = currentRoomInfo;
+      setRoomForm({ mode, name, topic: topic || '', description: description || '', visibility: visibility || 'public' });
+    } else {
+      setRoomForm({ mode: 'create', name: '', topic: '', description: '', visibility: 'public' });
+    }
+  };
+
+  const handleRoomFormSubmit = (e) => {
+    e.preventDefault();
+    const { mode, name, topic, description, visibility } = roomForm;
+    if (!name.trim()) return;
+    if (mode === 'create') {
+      createRoom({ name, topic, description, visibility });
+    } else {
+      updateRoom(currentRoom, { name, topic, description, visibility });
+    }
+    setRoomForm(null);
+  };
+
+  const handleArchiveRoom = () => {
+    if (currentRoomInfo && window.confirm(`Archive #${currentRoomInfo.name}? Nobody will be able to post in it.`)) {
+      archiveRoom(currentRoom);
+    }
+  };
+
+  const handleEditSubmit = (e) => {
+    e.preventDefault();
+    const original = messages.find(m => m.id === editing.id);
+    if (editing.text.trim() && original && editing.text !== original.message) {
+      editMessage(editing.id, editing.text);
+    }
+    setEditing(null);
+  };
+
+  const handleDeleteMessage = (message) => {
+    if (window.confirm('Delete this message?')) {
+      deleteMessage(message.id);
+    }
+  };
+
+  const handleModeration = (action, message) => {
+    const target = message.senderId;
+    if (action === 'remove') {
+      removeMessage(message.id);
+    } else if (action === 'mute10') {
+      muteUser(currentRoom, target, 10);
+    } else if (action === 'mute60') {
+      muteUser(currentRoom, target, 60);
+    } else if (action === 'kick') {
+      kickMember(currentRoom, target);
+    } else if (action === 'ban' && window.confirm(`Ban ${message.sender} from #${currentRoomInfo?.name || currentRoom}?`)) {
+      banUser(currentRoom, target);
+    }
+    setModMenu(null);
+  };
+
+  // Delivery/read indicator on the user's own messages; group messages list who has them
+  const receiptStatus = (message) => {
+    if (message.status === 'sending') {
+      return { icon: '⏳', title: isConnected ? 'Sending…' : 'Waiting for connection…' };
+    }
+    if (message.status === 'failed') {
+      return { icon: '⚠', title: `Not sent: ${message.error}` };
+    }
+    const readBy = message.readBy || [];
+    if (isGroupChat && message.conversationId === activeConversation) {
+      // Reading a message implies it was delivered
+      const delivered = [...(message.deliveredTo || []), ...readBy]
+        .filter((r, i, all) => all.findIndex(o => o.userId === r.userId) === i);
+      const names = (list) => list.map(r => r.username).join(', ') || 'nobody yet';
+      return {
+        icon: readBy.length >= activeConversationInfo.participants.length - 1 ? '✓✓' : '✓',
+        title: `Delivered to ${names(delivered)} · Read by ${names(readBy)}`,
+      };
+    }
+    if (message.status === 'read' || readBy.length > 0) {
+      return { icon: '✓✓', title: 'Read' };
+    }
+    return { icon: '✓', title: 'Delivered' };
+  };
+
+  const openGroup = (conversation) => {
+    setSelectedUser(null);
+    setShowPrivateChat(true);
+    openConversationById(conversation.id);
+  };
+
+  const toggleGroupMember = (userId) => {
+    setGroupSelection(prev => (prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]));
+  };
+
+  const handleCreateGroup = async () => {
+    const { conversation } = await createGroup(groupSelection, groupName);
+    if (conversation) {
+      setGroupSelection(null);
+      setGroupName('');
+      openGroup(conversation);
+    }
+  };
+
+  // Leaving the open group (here or in another tab) closes it
+  useEffect(() => {
+    if (showPrivateChat && !selectedUser && !activeConversation) {
+      setShowPrivateChat(false);
+    }
+  }, [showPrivateChat, selectedUser, activeConversation]);
+
+  // Search as the user types; changing a filter searches again
+  useEffect(() => {
+    if (searchQuery.trim().length < 2) {
+      setSearchResults(null);
+      return;
+    }
+    const timer = setTimeout(async () => {
+      setSearchResults(await searchMessages(searchQuery, searchFilters));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery, searchFilters]);
+
+  const setSearchFilter = (key, value) => {
+    setSearchFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Where a search result was posted
+  const resultLocation = (message) => {
+    if (!message.isPrivate) {
+      return `#${availableRooms.find(room => room.id === message.room)?.name || message.room}`;
+    }
+    const conversation = conversations.find(c => c.id === (message.conversationId || message.stream));
+    return conversation ? conversationTitle(conversation, currentUser?.id) : 'Direct message';
+  };
+
+  // Load a result's surrounding messages and flash it; replies also open their thread
+  const showSearchResult = async (message) => {
+    const target = await loadMessageContext(message);
+    if (target === null) return;
+    setHighlightedId(target);
+    if (message.parentId) {
+      openThread(message.parentId);
+    }
+  };
+
+  // Show the room or DM a message was posted in
+  const openStreamOf = (message) => {
+    if (message.isPrivate) {
+      const conversation = conversations.find(c => c.id === (message.conversationId || message.stream));
+      if (conversation?.type === 'group') {
+        openGroup(conversation);
+      } else {
+        const peerId = message.senderId === currentUser?.id ? message.recipientId : message.senderId;
+        const peer = conversation?.participants.find(p => p.id === peerId);
+        handleUserClick({ id: peerId, username: peer ? peer.username : message.sender });
+      }
+      return;
+    }
+    if (showPrivateChat) {
+      setShowPrivateChat(false);
+      setSelectedUser(null);
+      closeConversation();
+    }
+    if (message.room !== currentRoom) {
+      joinRoom(message.room);
+    }
+  };
+  openStreamRef.current = openStreamOf;
+
+  // A push notification clicked while this tab was open asks it to show the message's room or DM
+  useEffect(() => onPushNotificationClick((message) => openStreamRef.current(message)), []);
+
+  // A push notification clicked while no tab was open opened this one for its room or DM; show
+  // it once connected (and, for a DM, once the conversations have loaded)
+  useEffect(() => {
+    if (!pendingStream || !isConnected || !currentUser) return;
+    // Conversation ids have a colon ("dm:1:2", "group:…"), room ids never do
+    if (pendingStream.includes(':')) {
+      const conversation = conversations.find(c => c.id === pendingStream);
+      if (!conversation) return;
+      const peer = conversation.participants.find(p => p.id !== currentUser.id);
+      openStreamRef.current({
+        isPrivate: true,
+        conversationId: conversation.id,
+        senderId: peer?.id,
+        sender: peer?.username,
+        recipientId: currentUser.id,
+      });
+    } else {
+      openStreamRef.current({ room: pendingStream });
+    }
+    setPendingStream(null);
+    window.history.replaceState(null, '', window.location.pathname);
+  }, [pendingStream, isConnected, currentUser, conversations]);
+
+  const jumpToMessage = (message) => {
+    setSearchResults(null);
+    if (!message.isPrivate && message.room !== currentRoom) {
+      setPendingJump(message);
+    }
+    openStreamOf(message);
+    if (message.isPrivate || message.room === currentRoom) {
+      showSearchResult(message);
+    }
+  };
+
+  // Finish a jump once the result's room has been entered
+  useEffect(() => {
+    if (pendingJump && pendingJump.room === currentRoom) {
+      setPendingJump(null);
+      showSearchResult(pendingJump);
+    }
+  }, [pendingJump, currentRoom]);
+
+  // Bring a jumped-to message into view and flash it
+  useEffect(() => {
+    if (!highlightedId) return;
+    const element = document.querySelector(`[data-message-id="${highlightedId}"]`);
+    if (element) {
+      element.scrollIntoView({ block: 'center' });
+    }
+    const timer = setTimeout(() => setHighlightedId(null), 3000);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
   const handleUserClick = (user) => {
-    if (user && user.id && user.id !== socket.id) {
+    if (user && user.id && user.id !== currentUser?.id) {
       console.log('Starting private chat with:', user);
       console.log('User object:', { id: user.id, username: user.username });
       setSelectedUser(user);
       setShowPrivateChat(true);
+      openConversation(user);
       console.log('Private chat state updated - showPrivateChat:', true, 'selectedUser:', user);
     } else {
       console.error('Invalid user object:', user);
@@ -247,6 +914,7 @@ function App() {
 
   const handleTyping = (e) => {
     setInputMessage(e.target.value);
+    updateMentionQuery(e.target);
     if (e.target.value.trim() && isConnected) {
       setTyping(true);
     } else {
@@ -258,6 +926,7 @@ function App() {
     disconnect();
     setShowChat(false);
     setUsername('');
+    setPassword('');
   };
 
 
@@ -265,7 +934,7 @@ function App() {
     <div className="app">
       {!showChat ? (
         <div className="join-container">
-          <h1>Join Chat</h1>
+          <h1>{isRegistering ? 'Create Account' : 'Join Chat'}</h1>
           <form onSubmit={handleJoin}>
             <input
               type="text"
@@ -277,23 +946,99 @@ function App() {
               minLength={3}
               maxLength={20}
             />
+            <input
+              type="password"
+              placeholder="Password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="username-input"
+              autoComplete={isRegistering ? 'new-password' : 'current-password'}
+              required
+              minLength={6}
+            />
             <button type="submit" className="join-button">
-              Join
+              {isRegistering ? 'Register' : 'Log In'}
             </button>
           </form>
-          {usernameError && <p className="error-message">{usernameError}</p>}
+          <button
+            type="button"
+            className="auth-toggle"
+            onClick={() => setIsRegistering(!isRegistering)}
+          >
+            {isRegistering ? 'Already have an account? Log in' : 'New here? Create an account'}
+          </button>
+          {authError && <p className="error-message">{authError}</p>}
         </div>
       ) : (
         <div className="chat-container">
           <div className="chat-header">
             <div className="chat-header-left">
               <h2>
-                {showPrivateChat && selectedUser && selectedUser.username
-                  ? `Private: ${selectedUser.username}` 
-                  : `Socket.io Chat - #${currentRoom}`}
+                {privateChatTitle
+                  ? `Private: ${privateChatTitle}` 
+                  : `Socket.io Chat - #${currentRoomInfo?.name || currentRoom}`}
               </h2>
+              {!showPrivateChat && currentRoomInfo?.topic && (
+                <span className="room-topic" title={currentRoomInfo.description}>{currentRoomInfo.topic}</span>
+              )}
               {currentUsername && <span className="welcome-message">Welcome, {currentUsername}!</span>}
             </div>
+            {currentUser && (
+              <div className="my-status">
+                <button
+                  className="my-status-button"
+                  onClick={() => (statusMenu ? setStatusMenu(null) : openStatusMenu())}
+                  title="Set your status"
+                >
+                  {renderPresenceDot(presenceOf(currentUser.id) || { status: myPresence.status })}
+                  {activeCustomStatus(myPresence.customStatus)?.emoji}
+                  <span>{STATUS_LABELS[presenceOf(currentUser.id)?.status || myPresence.status]}</span>
+                </button>
+                {statusMenu && (
+                  <div className="status-menu">
+                    {PICKABLE_STATUSES.map(status => (
+                      <button
+                        key={status}
+                        className={`status-option ${myPresence.status === status ? 'selected' : ''}`}
+                        onClick={() => setStatus(status)}
+                      >
+                        {renderPresenceDot({ status })}
+                        {STATUS_LABELS[status]}
+                      </button>
+                    ))}
+                    <form className="custom-status-form" onSubmit={saveCustomStatus}>
+                      <div className="custom-status-inputs">
+                        <input
+                          type="text"
+                          className="custom-status-emoji"
+                          placeholder="🙂"
+                          value={statusMenu.emoji}
+                          onChange={(e) => setStatusMenu({ ...statusMenu, emoji: e.target.value })}
+                          maxLength={16}
+                        />
+                        <input
+                          type="text"
+                          placeholder="What's your status?"
+                          value={statusMenu.text}
+                          onChange={(e) => setStatusMenu({ ...statusMenu, text: e.target.value })}
+                          maxLength={100}
+                        />
+                      </div>
+                      <select
+                        value={statusMenu.duration}
+                        onChange={(e) => setStatusMenu({ ...statusMenu, duration: e.target.value })}
+                      >
+                        {STATUS_DURATIONS.map(([minutes, label]) => <option key={label} value={minutes}>{label}</option>)}
+                      </select>
+                      <div className="custom-status-actions">
+                        <button type="submit" disabled={!statusMenu.emoji.trim() && !statusMenu.text.trim()}>Save</button>
+                        {myPresence.customStatus && <button type="button" onClick={clearCustomStatus}>Clear</button>}
+                      </div>
+                    </form>
+                  </div>
+                )}
+              </div>
+            )}
             <div className="status">
               <span className={`status-indicator ${isConnected ? 'connected' : 'disconnected'}`}>
                 {isConnected ? '●' : '○'}
@@ -305,96 +1050,205 @@ function App() {
             </button>
           </div>
 
-          <div className="chat-body">
+          <div
+            className={`chat-body ${isDragging ? 'drag-over' : ''}`}
+            onDragOver={handleDragOver}
+            onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setIsDragging(false)}
+            onDrop={handleDrop}
+          >
+            {serverError && (
+              <div className="error-banner">
+                <span>{serverError.message}</span>
+                <button onClick={clearServerError} title="Dismiss">✕</button>
+              </div>
+            )}
+            {invitations.length > 0 && (
+              <div className="invitations">
+                {invitations.map(invite => (
+                  <div key={invite.room.id} className="invitation">
+                    <span>
+                      {invite.invitedBy.username} invited you to #{invite.room.name}
+                    </span>
+                    <button className="invitation-accept" onClick={() => acceptInvite(invite.room.id)}>Join</button>
+                    <button className="invitation-decline" onClick={() => declineInvite(invite.room.id)}>Decline</button>
+                  </div>
+                ))}
+              </div>
+            )}
             <div className="messages-container">
-              {!showPrivateChat && hasMore && (
+              {(showPrivateChat ? conversationHasMore : hasMore) && (
                 <button className="load-more" onClick={() => fetchOlderMessages(20)}>
                   Load older
                 </button>
               )}
               {displayMessages.map((message) => (
-                <div
-                  key={message.id}
-                  data-message-id={message.id}
-                  className={`message ${message.system ? 'system-message' : ''}`}
-                >
-                  {!message.system && (
-                    <div className="message-header">
-                      <span 
-                        className="message-sender"
-                        onClick={() => handleUserClick({ id: message.senderId, username: message.sender })}
-                        style={{ cursor: 'pointer' }}
-                      >
-                        {message.sender}
-                      </span>
-                      <span className="message-time">
-                        {new Date(message.timestamp).toLocaleTimeString()}
-                        {message.senderId === socket.id && (
-                          <span 
-                            title={
-                              message.status === 'sending' 
-                                ? 'Sending…' 
-                                : message.status === 'read' || (message.readBy && message.readBy.length > 0)
-                                ? 'Read' 
-                                : 'Delivered'
-                            } 
-                            style={{ marginLeft: '6px', opacity: 0.8 }}
-                          >
-                            {message.status === 'sending' ? '⏳' : message.status === 'read' || (message.readBy && message.readBy.length > 0) ? '✓✓' : '✓'}
+                <Fragment key={message.id}>
+                  {message.id === firstUnreadId && (
+                    <div className="new-messages-divider"><span>New messages</span></div>
+                  )}
+                  <div
+                    data-message-id={message.id}
+                    className={`message ${message.system ? 'system-message' : ''} ${message.id === highlightedId ? 'highlighted' : ''} ${mentionsUser(message, currentUser?.id) ? 'mentions-me' : ''}`}
+                  >
+                    {!message.system && (
+                      <div className="message-header">
+                        <span 
+                          className="message-sender"
+                          onClick={() => handleUserClick({ id: message.senderId, username: message.sender })}
+                          style={{ cursor: 'pointer' }}
+                        >
+                          {message.sender}
+                        </span>
+                        <span className="message-time">
+                          {new Date(message.timestamp).toLocaleTimeString()}
+                          {message.senderId === currentUser?.id && (
+                            <span 
+                              title={receiptStatus(message).title}
+                              style={{ marginLeft: '6px', opacity: 0.8 }}
+                            >
+                              {receiptStatus(message).icon}
+                            </span>
+                          )}
+                          {message.editedAt && !message.deleted && (
+                            <span
+                              className="message-edited"
+                              title={`Edited ${new Date(message.editedAt).toLocaleString()}`}
+                            >
+                              (edited)
+                            </span>
+                          )}
+                        </span>
+                        {message.status === 'failed' && (
+                          <span className="failed-message-actions">
+                            <button onClick={() => retryMessage(message.tempId)}>Retry</button>
+                            <button onClick={() => discardMessage(message.tempId)}>Discard</button>
                           </span>
                         )}
-                      </span>
-                    </div>
-                  )}
-                <div className="message-text">
-                  {message.type === 'image' && message.data ? (
-                    <img src={message.data} alt={message.message} className="message-image" />
-                  ) : message.type === 'file' && message.data ? (
-                    <a href={message.data} download>{message.message}</a>
-                  ) : (
-                    message.message
+                        {message.senderId === currentUser?.id && !message.deleted && typeof message.id === 'number' && (
+                          <span className="own-message-actions">
+                            <button
+                              onClick={() => setEditing({ id: message.id, text: message.message })}
+                              title="Edit message"
+                            >
+                              ✎
+                            </button>
+                            <button onClick={() => handleDeleteMessage(message)} title="Delete message">
+                              🗑
+                            </button>
+                          </span>
+                        )}
+                        {!message.deleted && canModerate(message.senderId) && (
+                          <span className="mod-controls">
+                            <button
+                              className="mod-toggle"
+                              onClick={() => setModMenu(modMenu === message.id ? null : message.id)}
+                              title="Moderate"
+                            >
+                              🛡
+                            </button>
+                            {modMenu === message.id && (
+                              <div className="mod-menu">
+                                <button onClick={() => handleModeration('remove', message)}>Remove message</button>
+                                <button onClick={() => handleModeration('mute10', message)}>Mute 10 min</button>
+                                <button onClick={() => handleModeration('mute60', message)}>Mute 1 hour</button>
+                                <button onClick={() => handleModeration('kick', message)}>Kick from room</button>
+                                <button onClick={() => handleModeration('ban', message)}>Ban from room</button>
+                              </div>
+                            )}
+                          </span>
+                        )}
+                      </div>
+                    )}
+                  <div className="message-text">
+                    {message.deleted ? (
+                      <em className="message-deleted">
+                        {message.deletedBy && message.deletedBy.id !== message.senderId
+                          ? `Message removed by ${message.deletedBy.username}`
+                          : 'Message deleted'}
+                      </em>
+                    ) : editing && editing.id === message.id ? (
+                      <form onSubmit={handleEditSubmit} className="edit-message-form">
+                        <textarea
+                          value={editing.text}
+                          rows={rowsFor(editing.text)}
+                          maxLength={MAX_MESSAGE_LENGTH}
+                          onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                          onKeyDown={(e) => (e.key === 'Escape' ? setEditing(null) : submitOnEnter(handleEditSubmit)(e))}
+                          autoFocus
+                        />
+                        <button type="submit">Save</button>
+                        <button type="button" onClick={() => setEditing(null)}>Cancel</button>
+                      </form>
+                    ) : message.type === 'image' && message.data ? (
+                      typeof message.data === 'string' ? (
+                        <img src={message.data} alt={message.message} className="message-image" />
+                      ) : (
+                        <a href={fileUrl(message.data.url)} target="_blank" rel="noreferrer">
+                          <img
+                            src={fileUrl(message.data.thumbnailUrl || message.data.url)}
+                            alt={message.data.name}
+                            className="message-image"
+                          />
+                        </a>
+                      )
+                    ) : message.type === 'file' && message.data ? (
+                      <a href={fileUrl(message.data.url || message.data)} download className="message-file">
+                        📄 {message.message}
+                        {message.data.size > 0 && <span className="file-size"> ({formatFileSize(message.data.size)})</span>}
+                      </a>
+                    ) : (
+                      renderMessageText(message)
+                    )}
+                  </div>
+                  {!message.deleted && message.previews?.length > 0 && renderLinkPreviews(message.previews)}
+                  {!message.system && !message.isPrivate && typeof message.id === 'number' && (
+                    <button className="thread-link" onClick={() => openThread(message.id)}>
+                      💬 {message.replyCount
+                        ? `${message.replyCount} ${message.replyCount === 1 ? 'reply' : 'replies'}`
+                        : 'Reply'}
+                    </button>
                   )}
-                </div>
-                {!message.system && message.reactions && (
-                  <div className="message-reactions">
-                    {Object.entries(message.reactions).map(([emoji, users]) => (
+                  {!message.system && !message.deleted && message.reactions && (
+                    <div className="message-reactions">
+                      {Object.entries(message.reactions).map(([emoji, users]) => (
+                        <button
+                          key={emoji}
+                          className="reaction-button"
+                          onClick={() => handleReactionClick(message.id, emoji)}
+                          title={users.join(', ')}
+                        >
+                          {emoji} {users.length}
+                        </button>
+                      ))}
                       <button
-                        key={emoji}
-                        className="reaction-button"
-                        onClick={() => handleReactionClick(message.id, emoji)}
-                        title={users.join(', ')}
+                        className="add-reaction-button"
+                        onClick={() => setShowEmojiPicker(showEmojiPicker === message.id ? null : message.id)}
                       >
-                        {emoji} {users.length}
+                        +
                       </button>
-                    ))}
-                    <button
-                      className="add-reaction-button"
-                      onClick={() => setShowEmojiPicker(showEmojiPicker === message.id ? null : message.id)}
-                    >
-                      +
-                    </button>
-                    {showEmojiPicker === message.id && (
-                      <div className="emoji-picker">
-                        {emojis.map(emoji => (
-                          <button
-                            key={emoji}
-                            className="emoji-option"
-                            onClick={() => handleReactionClick(message.id, emoji)}
-                          >
-                            {emoji}
-                          </button>
-                        ))}
-                      </div>
-                    )}
-                  </div>
-                )}
-              </div>
+                      {showEmojiPicker === message.id && (
+                        <div className="emoji-picker">
+                          {emojis.map(emoji => (
+                            <button
+                              key={emoji}
+                              className="emoji-option"
+                              onClick={() => handleReactionClick(message.id, emoji)}
+                            >
+                              {emoji}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </Fragment>
             ))}
             {displayMessages.length === 0 && (
               <div className="empty-messages">
                 <p>
-                  {showPrivateChat && selectedUser 
-                    ? `No messages yet. Start the conversation with ${selectedUser.username}!`
+                  {privateChatTitle
+                    ? `No messages yet. Start the conversation with ${privateChatTitle}!`
                     : 'No messages yet. Start the conversation!'}
                 </p>
               </div>
@@ -417,62 +1271,345 @@ function App() {
             <div className="chat-rooms">
               {!showPrivateChat && availableRooms.map(room => (
                 <button
-                  key={room}
-                  className={`room-button ${currentRoom === room ? 'active' : ''}`}
-                  onClick={() => handleRoomChange(room)}
+                  key={room.id}
+                  className={`room-button ${currentRoom === room.id ? 'active' : ''} ${room.joined === false ? 'not-joined' : ''}`}
+                  onClick={() => handleRoomChange(room.id)}
+                  title={room.topic || undefined}
                 >
-                  #{room}
-                  {unreadCounts[room] > 0 && (
-                    <span className="unread-badge">{unreadCounts[room]}</span>
+                  {roomIcons[room.visibility] && <span className="room-icon">{roomIcons[room.visibility]}</span>}
+                  #{room.name}
+                  {notificationLevel(notificationPrefs, room.id) === 'muted' && (
+                    <span className="muted-icon" title="Muted">🔕</span>
+                  )}
+                  {mentionCounts[room.id] > 0 && (
+                    <span className="mention-badge" title="Mentions of you">@{mentionCounts[room.id]}</span>
+                  )}
+                  {unreadCounts[room.id] > 0 && (
+                    <span className="unread-badge">{unreadCounts[room.id]}</span>
                   )}
                 </button>
               ))}
+              {!showPrivateChat && (
+                <button className="room-button new-room-button" onClick={() => openRoomForm('create')} title="Create a room">
+                  + New room
+                </button>
+              )}
+              {!showPrivateChat && currentRoom !== 'general' && (
+                <button className="room-button" onClick={() => leaveRoom(currentRoom)} title="Leave this room">
+                  Leave
+                </button>
+              )}
+              {!showPrivateChat && notificationPrefs && (
+                <select
+                  className="notification-level"
+                  value={notificationLevel(notificationPrefs, currentRoom)}
+                  onChange={(e) => setNotificationLevel({ room: currentRoom }, e.target.value)}
+                  title="Notifications for this room"
+                >
+                  {Object.entries(NOTIFICATION_LEVEL_LABELS).map(([level, label]) => (
+                    <option key={level} value={level}>{label}</option>
+                  ))}
+                </select>
+              )}
+              {showPrivateChat && activeConversationInfo && notificationPrefs && (
+                <select
+                  className="notification-level"
+                  value={notificationLevel(notificationPrefs, activeConversation)}
+                  onChange={(e) => setNotificationLevel({ conversationId: activeConversation }, e.target.value)}
+                  title="Notifications for this conversation"
+                >
+                  {/* Every message in a one-to-one DM is addressed to us, so "Mentions only" is for groups */}
+                  {Object.entries(NOTIFICATION_LEVEL_LABELS)
+                    .filter(([level]) => isGroupChat || level !== 'mentions')
+                    .map(([level, label]) => <option key={level} value={level}>{label}</option>)}
+                </select>
+              )}
+              {!showPrivateChat && isRoomOwner && (
+                <>
+                  <button className="room-button" onClick={() => openRoomForm('edit')} title="Edit room">
+                    ✎ Edit
+                  </button>
+                  <button className="room-button archive-room-button" onClick={handleArchiveRoom} title="Archive room">
+                    Archive
+                  </button>
+                </>
+              )}
               {showPrivateChat && (
                 <button
                   className="back-button"
                   onClick={() => {
                     setShowPrivateChat(false);
                     setSelectedUser(null);
+                    closeConversation();
                   }}
                 >
-                  ← Back to {currentRoom}
+                  ← Back to {currentRoomInfo?.name || currentRoom}
                 </button>
               )}
+              <div className="search-box">
+                <input
+                  type="search"
+                  className="search-input"
+                  placeholder="Search messages..."
+                  value={searchQuery}
+                  onChange={(e) => setSearchQuery(e.target.value)}
+                />
+                {searchResults && (
+                  <div className="search-results">
+                    <div className="search-filters">
+                      <input
+                        type="text"
+                        placeholder="From user"
+                        value={searchFilters.sender}
+                        onChange={(e) => setSearchFilter('sender', e.target.value)}
+                      />
+                      <select value={searchFilters.room} onChange={(e) => setSearchFilter('room', e.target.value)}>
+                        <option value="">Everywhere</option>
+                        {availableRooms.map(room => (
+                          <option key={room.id} value={room.id}>#{room.name}</option>
+                        ))}
+                        {conversations.map(conversation => (
+                          <option key={conversation.id} value={conversation.id}>
+                            {conversationTitle(conversation, currentUser?.id)}
+                          </option>
+                        ))}
+                      </select>
+                      <input
+                        type="date"
+                        title="From date"
+                        value={searchFilters.from}
+                        onChange={(e) => setSearchFilter('from', e.target.value)}
+                      />
+                      <input
+                        type="date"
+                        title="To date"
+                        value={searchFilters.to}
+                        onChange={(e) => setSearchFilter('to', e.target.value)}
+                      />
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={searchFilters.hasAttachment}
+                          onChange={(e) => setSearchFilter('hasAttachment', e.target.checked)}
+                        />
+                        Has attachment
+                      </label>
+                      <button className="close-search" onClick={() => setSearchQuery('')} title="Close search">✕</button>
+                    </div>
+                    {searchResults.length === 0 ? (
+                      <p className="search-empty">No matching messages</p>
+                    ) : (
+                      <ul>
+                        {searchResults.map(({ message, terms }) => (
+                          <li key={message.id} onClick={() => jumpToMessage(message)}>
+                            <div className="search-result-meta">
+                              {resultLocation(message)} · <strong>{message.sender}</strong> ·{' '}
+                              {new Date(message.timestamp).toLocaleString()}
+                            </div>
+                            <div className="search-result-text">{highlightTerms(message.message, terms)}</div>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </div>
+              <div className="notification-settings">
+                <button
+                  className="notification-toggle"
+                  onClick={() => (notificationMenu ? setNotificationMenu(null) : openNotificationMenu())}
+                  title="Notification settings"
+                >
+                  🔔{notificationsEnabled ? ' ✓' : ''}
+                </button>
+                {notificationMenu && (
+                  <form className="notification-menu" onSubmit={saveNotificationSettings}>
+                    <button
+                      type="button"
+                      disabled={notificationsEnabled}
+                      onClick={async () => {
+                        const enabled = await requestNotificationPermission();
+                        setNotificationsEnabled(enabled);
+                      }}
+                    >
+                      {notificationsEnabled ? 'Desktop notifications on' : 'Turn on desktop notifications'}
+                    </button>
+                    {pushSupported() && (
+                      <label title="Get notified on this device while the chat isn't open">
+                        <input
+                          type="checkbox"
+                          checked={pushEnabled}
+                          onChange={async (e) => {
+                            if (e.target.checked) {
+                              if (await enablePush()) setNotificationsEnabled(true);
+                            } else {
+                              await disablePush();
+                            }
+                          }}
+                        />
+                        Notify me while I'm away
+                      </label>
+                    )}
+                    <label>
+                      Sound
+                      <select
+                        value={notificationMenu.sound}
+                        onChange={(e) => {
+                          setNotificationMenu({ ...notificationMenu, sound: e.target.value });
+                          playNotificationSound(e.target.value);
+                        }}
+                      >
+                        {Object.entries(NOTIFICATION_SOUNDS).map(([sound, { label }]) => (
+                          <option key={sound} value={sound}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={notificationMenu.quietHours.enabled}
+                        onChange={(e) => setQuietHours({ enabled: e.target.checked })}
+                      />
+                      Quiet hours
+                    </label>
+                    <div className="quiet-hours">
+                      <input
+                        type="time"
+                        value={notificationMenu.quietHours.start}
+                        onChange={(e) => setQuietHours({ start: e.target.value })}
+                        disabled={!notificationMenu.quietHours.enabled}
+                        required
+                      />
+                      <span>to</span>
+                      <input
+                        type="time"
+                        value={notificationMenu.quietHours.end}
+                        onChange={(e) => setQuietHours({ end: e.target.value })}
+                        disabled={!notificationMenu.quietHours.enabled}
+                        required
+                      />
+                    </div>
+                    <button type="submit">Save</button>
+                  </form>
+                )}
+              </div>
+            </div>
+
+            {roomForm && (
+              <form onSubmit={handleRoomFormSubmit} className="room-form">
+                <input
+                  type="text"
+                  placeholder="Room name"
+                  value={roomForm.name}
+                  onChange={(e) => setRoomForm({ ...roomForm, name: e.target.value })}
+                  required
+                  minLength={2}
+                  maxLength={30}
+                  autoFocus
+                />
+                <input
+                  type="text"
+                  placeholder="Topic (optional)"
+                  value={roomForm.topic}
+                  onChange={(e) => setRoomForm({ ...roomForm, topic: e.target.value })}
+                  maxLength={120}
+                />
+                <textarea
+                  placeholder="Description (optional)"
+                  value={roomForm.description}
+                  onChange={(e) => setRoomForm({ ...roomForm, description: e.target.value })}
+                  maxLength={500}
+                  rows={2}
+                />
+                <select
+                  value={roomForm.visibility}
+                  onChange={(e) => setRoomForm({ ...roomForm, visibility: e.target.value })}
+                >
+                  <option value="public">Public - anyone can join</option>
+                  <option value="invite-only">Invite-only - listed, join by invitation</option>
+                  <option value="private">Private - hidden, join by invitation</option>
+                </select>
+                <div className="room-form-actions">
+                  <button type="button" onClick={() => setRoomForm(null)}>Cancel</button>
+                  <button type="submit" className="send-button">
+                    {roomForm.mode === 'create' ? 'Create room' : 'Save'}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {uploadStatus && (
+              <div className={`upload-status ${uploadStatus.error ? 'upload-error' : ''}`}>
+                {uploadStatus.error || `Uploading ${uploadStatus.uploading}...`}
+                {uploadStatus.error && <button onClick={() => setUploadStatus(null)}>✕</button>}
+              </div>
+            )}
+            {showPreview && inputMessage.trim() && (
+              <div className="composer-preview">
+                <span className="composer-preview-label">Preview</span>
+                <div className="message-text">{renderMarkdown(inputMessage)}</div>
+              </div>
+            )}
+            {rateLimit && (
+              <div className={`rate-limit-notice ${rateLimit.reason === 'muted' ? 'rate-limit-muted' : ''}`}>
+                {rateLimit.message}
+                {rateLimit.until && ` You can post again at ${new Date(rateLimit.until).toLocaleTimeString()}.`}
+              </div>
+            )}
+            <form onSubmit={handleSendMessage} className="message-form">
               <input
-                type="search"
-                className="search-input"
-                placeholder="Search messages..."
-                value={searchQuery}
-                onChange={async (e) => {
-                  const q = e.target.value;
-                  setSearchQuery(q);
-                  if (q.trim().length >= 2) {
-                    // Optional: preview search results in console or future dropdown
-                    await searchMessages(q);
-                  }
-                }}
+                type="file"
+                ref={fileInputRef}
+                onChange={handleFileInput}
+                style={{ display: 'none' }}
               />
               <button
-                className="notification-toggle"
-                onClick={async () => {
-                  const enabled = await requestNotificationPermission();
-                  setNotificationsEnabled(enabled);
-                }}
-                title={notificationsEnabled ? 'Notifications enabled' : 'Enable notifications'}
+                type="button"
+                className="attach-button"
+                title="Attach a file (or drop it on the chat)"
+                onClick={() => fileInputRef.current.click()}
+                disabled={!isConnected || Boolean(uploadStatus?.uploading)}
               >
-                🔔{notificationsEnabled ? ' ✓' : ''}
+                📎
               </button>
-            </div>
-
-            <form onSubmit={handleSendMessage} className="message-form">
-              <input
-                type="text"
-                placeholder="Type a message..."
+              {mentionOptions.length > 0 && (
+                <ul className="mention-suggestions">
+                  {mentionOptions.map((name, i) => (
+                    <li
+                      key={name}
+                      className={i === mentionIndex ? 'active' : ''}
+                      onMouseDown={(e) => {
+                        e.preventDefault();
+                        completeMention(name);
+                      }}
+                    >
+                      @{name}
+                      {name === 'room' && <span className="mention-hint">everyone in the room</span>}
+                      {name === 'here' && <span className="mention-hint">everyone online in the room</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <textarea
+                placeholder="Type a message... (Shift+Enter for a new line)"
                 value={inputMessage}
+                ref={messageInputRef}
+                rows={rowsFor(inputMessage)}
+                maxLength={MAX_MESSAGE_LENGTH}
                 onChange={handleTyping}
+                onKeyDown={handleComposerKeys}
+                onBlur={() => setMentionQuery(null)}
                 className="message-input"
                 disabled={!isConnected}
               />
+              <button
+                type="button"
+                className={`preview-toggle ${showPreview ? 'active' : ''}`}
+                title="Preview formatting (**bold**, *italic*, `code`, ```code blocks```, lists, > quotes, links)"
+                onClick={() => setShowPreview(!showPreview)}
+              >
+                Aa
+              </button>
               <button type="submit" className="send-button" disabled={!isConnected}>
                 Send
               </button>
@@ -481,34 +1618,240 @@ function App() {
 
           <div className="online-users">
             <h3>Online Users ({users.length})</h3>
-            {showPrivateChat && selectedUser ? (
+            {showPrivateChat && (selectedUser || isGroupChat) ? (
               <div className="private-chat-header">
-                <h4>Private Chat with {selectedUser.username}</h4>
+                <h4>{isGroupChat ? `Group: ${privateChatTitle}` : `Private Chat with ${selectedUser.username}`}</h4>
                 <button
                   className="close-private-chat"
                   onClick={() => {
                     setShowPrivateChat(false);
                     setSelectedUser(null);
+                    closeConversation();
                   }}
                 >
                   ✕
                 </button>
               </div>
             ) : (
+              <>
               <ul>
                 {users.map((user) => (
                   <li 
                     key={user.id}
-                    className={user.id === socket.id ? 'current-user' : ''}
-                    onClick={() => user.id !== socket.id && handleUserClick(user)}
-                    style={{ cursor: user.id === socket.id ? 'default' : 'pointer' }}
+                    className={user.id === currentUser?.id ? 'current-user' : ''}
+                    onClick={() => {
+                      if (user.id === currentUser?.id) return;
+                      if (groupSelection) {
+                        toggleGroupMember(user.id);
+                      } else {
+                        handleUserClick(user);
+                      }
+                    }}
+                    style={{ cursor: user.id === currentUser?.id ? 'default' : 'pointer' }}
                   >
-                    {user.username} {user.id === socket.id && '(You)'}
+                    {groupSelection && user.id !== currentUser?.id && (
+                      <input type="checkbox" className="group-checkbox" readOnly checked={groupSelection.includes(user.id)} />
+                    )}
+                    {renderPresenceDot(presenceOf(user.id))}
+                    {user.username} {user.id === currentUser?.id && '(You)'}
+                    {renderCustomStatus(user.customStatus)}
+                    {isRestrictedRoom && memberIds.has(currentUser?.id) && !memberIds.has(user.id) && (
+                      <button
+                        className="member-action-button"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          inviteToRoom(currentRoom, user.id);
+                        }}
+                      >
+                        Invite
+                      </button>
+                    )}
                   </li>
                 ))}
               </ul>
+              {groupSelection ? (
+                <div className="group-picker">
+                  <p>Pick 2 to {GROUP_MAX - 1} people for the group.</p>
+                  <input
+                    type="text"
+                    placeholder="Group name (optional)"
+                    value={groupName}
+                    onChange={(e) => setGroupName(e.target.value)}
+                    maxLength={50}
+                  />
+                  <div className="group-picker-actions">
+                    <button
+                      className="send-button"
+                      disabled={groupSelection.length < 2 || groupSelection.length > GROUP_MAX - 1}
+                      onClick={handleCreateGroup}
+                    >
+                      Create group ({groupSelection.length + 1})
+                    </button>
+                    <button onClick={() => setGroupSelection(null)}>Cancel</button>
+                  </div>
+                </div>
+              ) : (
+                <button className="new-group-button" onClick={() => setGroupSelection([])}>
+                  + New group
+                </button>
+              )}
+              </>
+            )}
+            {isGroupChat && (
+              <div className="group-participants">
+                <h3>Participants ({activeConversationInfo.participants.length})</h3>
+                <ul>
+                  {activeConversationInfo.participants.map(participant => (
+                    <li key={participant.id}>
+                      {renderPresenceDot(presenceOf(participant.id))}
+                      {participant.username} {participant.id === currentUser?.id && '(You)'}
+                    </li>
+                  ))}
+                </ul>
+                {activeConversationInfo.participants.length < GROUP_MAX && (
+                  <select
+                    value=""
+                    onChange={(e) => e.target.value && addParticipants(activeConversation, [Number(e.target.value)])}
+                  >
+                    <option value="">+ Add someone…</option>
+                    {users
+                      .filter(u => !activeConversationInfo.participants.some(p => p.id === u.id))
+                      .map(u => <option key={u.id} value={u.id}>{u.username}</option>)}
+                  </select>
+                )}
+                <button className="member-action-button" onClick={() => leaveConversation(activeConversation)}>
+                  Leave group
+                </button>
+              </div>
+            )}
+            <div className="conversations">
+              <h3>Direct Messages</h3>
+              {conversations.length === 0 ? (
+                <p className="conversations-empty">No conversations yet</p>
+              ) : (
+                <ul>
+                  {conversations.map((conversation) => {
+                    const isGroup = conversation.type === 'group';
+                    const peer = conversation.participants.find(p => p.id !== currentUser?.id)
+                      || conversation.participants[0];
+                    if (!peer) return null;
+                    return (
+                      <li
+                        key={conversation.id}
+                        className={conversation.id === activeConversation ? 'active' : ''}
+                        onClick={() => (isGroup ? openGroup(conversation) : handleUserClick(peer))}
+                      >
+                        {isGroup
+                          ? <span className="group-icon">👥</span>
+                          : renderPresenceDot(presenceOf(peer.id))}
+                        <span className="conversation-name">{conversationTitle(conversation, currentUser?.id)}</span>
+                        {!isGroup && renderCustomStatus(presence[peer.id]?.customStatus)}
+                        {!isGroup && presence[peer.id]?.status === 'offline' && presence[peer.id].lastSeenAt && (
+                          <span className="last-seen">{timeAgo(presence[peer.id].lastSeenAt)}</span>
+                        )}
+                        {conversation.unreadCount > 0 && (
+                          <span className="unread-badge">{conversation.unreadCount}</span>
+                        )}
+                        {conversation.lastMessage && (
+                          <div className="conversation-preview">
+                            {conversation.lastMessage.senderId === currentUser?.id && 'You: '}
+                            {conversationPreview(conversation.lastMessage)}
+                          </div>
+                        )}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+            {!showPrivateChat && (
+              <div className="room-members">
+                <h3>Members ({roomMembers.length})</h3>
+                <ul>
+                  {roomMembers.map(member => (
+                    <li key={member.id}>
+                      {renderPresenceDot(presenceOf(member.id))}
+                      {member.username}
+                      {member.role !== 'member' && <span className="role-badge">{member.role}</span>}
+                      {member.mutedUntil && <span title={`Muted until ${new Date(member.mutedUntil).toLocaleTimeString()}`}> 🔇</span>}
+                      {canModerate(member.id) && (
+                        <div className="member-actions">
+                          {isRoomOwner && (
+                            <button
+                              className="member-action-button"
+                              onClick={() => setMemberRole(currentRoom, member.id, member.role === 'moderator' ? 'member' : 'moderator')}
+                            >
+                              {member.role === 'moderator' ? 'Demote' : 'Make mod'}
+                            </button>
+                          )}
+                          <button
+                            className="member-action-button"
+                            onClick={() => (member.mutedUntil ? unmuteUser(currentRoom, member.id) : muteUser(currentRoom, member.id, 10))}
+                          >
+                            {member.mutedUntil ? 'Unmute' : 'Mute'}
+                          </button>
+                          <button
+                            className="member-action-button"
+                            onClick={() => kickMember(currentRoom, member.id)}
+                          >
+                            Remove
+                          </button>
+                          <button
+                            className="member-action-button"
+                            onClick={() => banUser(currentRoom, member.id)}
+                          >
+                            Ban
+                          </button>
+                        </div>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              </div>
             )}
           </div>
+
+          {threadParent && !showPrivateChat && (
+            <div className="thread-panel">
+              <div className="thread-panel-header">
+                <h3>Thread</h3>
+                <button className="close-thread" onClick={() => setThreadParentId(null)}>✕</button>
+              </div>
+              <div className="thread-messages">
+                {[threadParent, ...threadReplies].map((message) => (
+                  <div
+                    key={message.id}
+                    className={`message ${message.id === threadParent.id ? 'thread-root' : ''} ${message.sender === currentUsername ? 'own-message' : ''}`}
+                  >
+                    <div className="message-header">
+                      <span className="message-sender">{message.sender}</span>
+                      <span className="message-time">{new Date(message.timestamp).toLocaleTimeString()}</span>
+                    </div>
+                    <div className="message-text">
+                      {message.deleted
+                        ? <em className="message-deleted">This message was deleted</em>
+                        : renderMessageText(message)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+              <form onSubmit={handleThreadReply} className="message-form">
+                <textarea
+                  value={threadInput}
+                  rows={rowsFor(threadInput)}
+                  maxLength={MAX_MESSAGE_LENGTH}
+                  onChange={(e) => setThreadInput(e.target.value)}
+                  onKeyDown={submitOnEnter(handleThreadReply)}
+                  placeholder="Reply in thread..."
+                  className="message-input"
+                  disabled={!isConnected || threadParent.deleted}
+                />
+                <button type="submit" disabled={!isConnected || !threadInput.trim() || threadParent.deleted}>
+                  Reply
+                </button>
+              </form>
+            </div>
+          )}
         </div>
       )}
     </div>
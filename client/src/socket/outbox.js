@@ -0,0 +1,37 @@
+// outbox.js - Messages waiting for a server acknowledgement, persisted per user in localStorage
+//
+// Each entry is { tempId, event, payload, message, status } where `event` and `payload` are
+// what gets emitted, `message` is the optimistic copy shown in the chat and `status` is
+// 'sending' (replayed automatically on reconnect) or 'failed' (waits for a manual retry).
+
+const keyFor = (userId) => `chat_outbox:${userId}`;
+
+export const readOutbox = (userId) => {
+  if (!userId) return [];
+  try {
+    return JSON.parse(localStorage.getItem(keyFor(userId))) || [];
+  } catch (_e) {
+    return [];
+  }
+};
+
+const writeOutbox = (userId, entries) => {
+  if (!userId) return;
+  if (entries.length) {
+    localStorage.setItem(keyFor(userId), JSON.stringify(entries));
+  } else {
+    localStorage.removeItem(keyFor(userId));
+  }
+};
+
+export const addToOutbox = (userId, entry) => {
+  writeOutbox(userId, [...readOutbox(userId), entry]);
+};
+
+export const updateOutbox = (userId, tempId, changes) => {
+  writeOutbox(userId, readOutbox(userId).map(e => (e.tempId === tempId ? { ...e, ...changes } : e)));
+};
+
+export const removeFromOutbox = (userId, tempId) => {
+  writeOutbox(userId, readOutbox(userId).filter(e => e.tempId !== tempId));
+};
@@ -1,10 +1,63 @@
 // socket.js - Socket.io client setup
 
 import { io } from 'socket.io-client';
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { readOutbox, addToOutbox, updateOutbox, removeFromOutbox } from './outbox.js';
+import { currentPushSubscription, pushSupported, subscribeToPush } from '../utils/push.js';
 
 // Socket.io connection URL
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
+const API_URL = SOCKET_URL.replace(/\/$/, '');
+
+// Uploaded files are referenced by server-relative URLs; older messages may carry data URLs
+export const fileUrl = (url) => (url && url.startsWith('/') ? `${API_URL}${url}` : url);
+
+// How long to wait for the server to acknowledge a message before marking it failed
+const ACK_TIMEOUT = 10000;
+
+// Same key the server uses for the direct conversation between two users
+const directConversationId = (a, b) => `dm:${Math.min(a, b)}:${Math.max(a, b)}`;
+
+// A tab with no keyboard, mouse or touch activity for this long reports its user as idle
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+const IDLE_CHECK_MS = 30 * 1000;
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'];
+
+const newTempId = () => `tmp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+// Append the optimistic copies of outbox entries that aren't in a message list yet
+const withPending = (list, entries) => [
+  ...list,
+  ...entries
+    .filter(e => !list.some(m => m.tempId === e.tempId))
+    .map(e => ({ ...e.message, status: e.status, error: e.error })),
+];
+
+// Merge messages from a sync into a list: known ones are updated, missed ones inserted in time order
+const mergeMessages = (list, incoming) => {
+  let inserted = false;
+  const merged = [...list];
+  incoming.forEach((message) => {
+    const index = merged.findIndex(m => m.id === message.id
+      || (message.tempId && m.tempId === message.tempId && m.senderId === message.senderId));
+    if (index >= 0) {
+      merged[index] = { ...merged[index], ...message, status: merged[index].status === 'read' ? 'read' : 'delivered' };
+    } else {
+      merged.push(message);
+      inserted = true;
+    }
+  });
+  return inserted ? merged.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)) : merged;
+};
+
+// Login token is kept across page loads so sessions resume automatically
+const TOKEN_KEY = 'chat_token';
+
+// Authorization header for REST calls made on behalf of the logged-in user
+const authHeaders = () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
 
 // Create socket instance
 export const socket = io(SOCKET_URL, {
@@ -20,101 +73,240 @@ export const socket = io(SOCKET_URL, {
 export const useSocket = () => {
   const [isConnected, setIsConnected] = useState(socket.connected);
   const [lastMessage, setLastMessage] = useState(null);
+  const [lastReply, setLastReply] = useState(null); // Latest reply_notification: someone replied to our message
   const [messages, setMessages] = useState([]);
-  const [users, setUsers] = useState([]);
+  const [presence, setPresence] = useState({}); // { [userId]: { id, username, status, customStatus, lastSeenAt } }
+  const [myPresence, setMyPresence] = useState({ status: 'online', customStatus: null }); // What we picked
+  const [notificationPrefs, setNotificationPrefs] = useState(null); // { levels, sound, quietHours }, kept on the server
   const [typingUsers, setTypingUsers] = useState([]);
-  const [currentUsername, setCurrentUsername] = useState('');
-  const [usernameError, setUsernameError] = useState('');
+  const [currentUser, setCurrentUser] = useState(null); // { id, username } from the server's session event
+  const [authError, setAuthError] = useState('');
   const [currentRoom, setCurrentRoom] = useState('general');
-  const [availableRooms, setAvailableRooms] = useState(['general']);
+  const [availableRooms, setAvailableRooms] = useState([{ id: 'general', name: 'general' }]);
+  const [serverError, setServerError] = useState(null); // Last `error` event: { event, code, message }
+  const [rateLimit, setRateLimit] = useState(null); // Last `rate_limited` event: { event, reason, message, retryAfterMs?, until? }
+  const [roomMembers, setRoomMembers] = useState([]); // Members of the current room
+  const [invitations, setInvitations] = useState([]); // Pending room invitations for this user
   const [unreadCounts, setUnreadCounts] = useState({});
+  const [mentionCounts, setMentionCounts] = useState({}); // Unseen mentions of us, per room
+  const [readMarker, setReadMarker] = useState(null); // { stream, seq }: the "new messages" divider goes after seq
+  const [lastMention, setLastMention] = useState(null); // Latest mention_notification: { room, message }
   const [notificationsEnabled, setNotificationsEnabled] = useState(false);
+  const [pushEnabled, setPushEnabled] = useState(false); // This browser gets Web Push while no tab is open
   const [hasMore, setHasMore] = useState(true);
+  const [conversations, setConversations] = useState([]); // DMs: { id, participants, lastMessage, unreadCount, lastReadSeq }
+  const [activeConversation, setActiveConversation] = useState(null); // Id of the open DM, if any
+  const [conversationHasMore, setConversationHasMore] = useState(false);
+  // Last sequence number seen in each stream (room id or DM key), sent with `sync` on reconnect
+  const cursorsRef = useRef({});
+  // Whether the server last heard we're typing, so keystrokes only send changes
+  const typingRef = useRef(false);
+  // Users others can see online, plus ourselves even while invisible
+  const users = useMemo(
+    () => Object.values(presence).filter(u => u.status !== 'offline' || u.id === currentUser?.id),
+    [presence, currentUser],
+  );
 
-  // Connect to socket server
-  const connect = (username) => {
-    setUsernameError('');
+  // Log in (or register) over REST, then open the socket with the issued token
+  const connect = async ({ username, password, register = false }) => {
+    setAuthError('');
     const trimmedUsername = username ? username.trim() : '';
     
-    if (!trimmedUsername) {
-      return;
+    if (!trimmedUsername || !password) {
+      setAuthError('Username and password are required.');
+      return false;
     }
     
-    // Clear current username to prevent auto-rejoin issues
-    setCurrentUsername('');
-    
-    // If already connected, emit user_join immediately
-    if (socket.connected) {
-      setCurrentUsername(trimmedUsername);
-      socket.emit('user_join', trimmedUsername);
-      return;
+    try {
+      const res = await fetch(`${API_URL}/api/auth/${register ? 'register' : 'login'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: trimmedUsername, password }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setAuthError(data.message || 'Authentication failed.');
+        return false;
+      }
+      
+      // The handshake middleware reads the token from socket.auth
+      localStorage.setItem(TOKEN_KEY, data.token);
+      cursorsRef.current = {};
+      socket.auth = { token: data.token };
+      setCurrentUser(data.user);
+      if (socket.connected) {
+        socket.disconnect();
+      }
+      socket.connect();
+      return true;
+    } catch (_e) {
+      setAuthError('Could not reach the chat server.');
+      return false;
     }
+  };
+
+  // Reconnect with a token saved by a previous login; returns false if there is none
+  const resumeSession = () => {
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (!token) return false;
     
-    // Otherwise, connect and wait for connection
-    socket.connect();
-    
-    // Wait for connection, then emit user_join (only once)
-    const handleConnectOnce = () => {
-      setCurrentUsername(trimmedUsername);
-      socket.emit('user_join', trimmedUsername);
-    };
-    
-    socket.once('connect', handleConnectOnce);
+    socket.auth = { token };
+    if (!socket.connected) {
+      socket.connect();
+    }
+    return true;
+  };
+
+  // Have the server stop pushing to an endpoint; `headers` authorize the call, so it can run
+  // while logging out
+  const forgetPushEndpoint = (endpoint, headers = authHeaders()) => fetch(`${API_URL}/api/push/subscriptions`, {
+    method: 'DELETE',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint }),
+  });
+
+  // Stop Web Push to this browser
+  const removePushSubscription = async (headers = authHeaders()) => {
+    try {
+      const subscription = await currentPushSubscription();
+      if (!subscription) return;
+      await forgetPushEndpoint(subscription.endpoint, headers);
+      await subscription.unsubscribe();
+    } catch (error) {
+      console.error('Failed to turn off push notifications:', error);
+    }
   };
 
-  // Disconnect from socket server
+  // Disconnect from socket server (logs out of this browser)
   const disconnect = () => {
+    // Whoever signs in next on this browser shouldn't get our pushes
+    removePushSubscription(authHeaders());
+    setPushEnabled(false);
     socket.disconnect();
-    setCurrentUsername('');
+    socket.auth = {};
+    localStorage.removeItem(TOKEN_KEY);
+    cursorsRef.current = {};
+    setCurrentUser(null);
     setMessages([]);
-    setUsers([]);
+    setConversations([]);
+    setActiveConversation(null);
+    setPresence({});
+    setMyPresence({ status: 'online', customStatus: null });
     setTypingUsers([]);
     setCurrentRoom('general');
-    setAvailableRooms(['general']);
+    setAvailableRooms([{ id: 'general', name: 'general' }]);
+    setRoomMembers([]);
+    setInvitations([]);
+  };
+
+  // Emit an outbox entry and settle it from the server's acknowledgement. While offline
+  // the entry just stays queued; it is replayed when the next session starts.
+  const deliver = (userId, entry) => {
+    if (!socket.connected) return;
+    socket.timeout(ACK_TIMEOUT).emit(entry.event, entry.payload, (err, response) => {
+      if (err || response.error) {
+        // A timeout caused by a dropped connection is retried on reconnect
+        if (err && !socket.connected) return;
+        const error = err ? 'No response from the server.' : response.error.message;
+        updateOutbox(userId, entry.tempId, { status: 'failed', error });
+        setMessages((prev) => prev.map(m => (m.id === entry.tempId ? { ...m, status: 'failed', error } : m)));
+        return;
+      }
+      removeFromOutbox(userId, entry.tempId);
+      setMessages((prev) => {
+        // The broadcast may have arrived first and already replaced the optimistic copy
+        const delivered = { ...response.message, status: 'delivered' };
+        if (prev.some(m => m.id === response.message.id)) {
+          return prev.filter(m => m.id !== entry.tempId);
+        }
+        return prev.map(m => (m.id === entry.tempId ? { ...m, ...delivered } : m));
+      });
+    });
   };
 
-  // Send a message with optimistic update and tempId
-  const sendMessage = (message, type = 'text', data = null) => {
-    const tempId = `tmp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-    const optimistic = {
+  // Show a message immediately and keep it in the outbox until the server acknowledges it
+  const queueMessage = (event, payload, optimistic) => {
+    const entry = { tempId: payload.tempId, event, payload, message: optimistic, status: 'sending' };
+    setMessages((prev) => [...prev, optimistic]);
+    addToOutbox(currentUser?.id, entry);
+    deliver(currentUser?.id, entry);
+  };
+
+  // Send a message to the current room; parentId makes it a thread reply
+  const sendMessage = (message, type = 'text', data = null, parentId = null) => {
+    const tempId = newTempId();
+    const payload = { message, type, data, tempId, room: currentRoom, ...(parentId ? { parentId } : {}) };
+    queueMessage('send_message', payload, {
       id: tempId,
       tempId,
       message,
       type,
       data,
-      sender: currentUsername || 'You',
-      senderId: socket.id,
+      sender: currentUser?.username || 'You',
+      senderId: currentUser?.id,
       timestamp: new Date().toISOString(),
       room: currentRoom,
       status: 'sending',
-    };
-    setMessages((prev) => [...prev, optimistic]);
-    socket.emit('send_message', { message, type, data, tempId });
+      ...(parentId ? { parentId } : {}),
+    });
   };
 
   // Send a private message with optional file/image
   const sendPrivateMessage = (to, message, type = 'text', data = null) => {
-    // Create optimistic message for immediate UI update
-    const tempId = `tmp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
-    const optimistic = {
+    const tempId = newTempId();
+    queueMessage('private_message', { to, message, type, data, tempId }, {
       id: tempId,
       tempId,
       message,
       type,
       data,
-      sender: currentUsername || 'You',
-      senderId: socket.id,
+      sender: currentUser?.username || 'You',
+      senderId: currentUser?.id,
       recipientId: to, // Store recipient ID for filtering
+      conversationId: currentUser ? directConversationId(currentUser.id, to) : undefined,
       timestamp: new Date().toISOString(),
       isPrivate: true,
       status: 'sending',
-    };
-    setMessages((prev) => [...prev, optimistic]);
-    socket.emit('private_message', { to, message, type, data });
+    });
+  };
+
+  // Send a message to a group conversation
+  const sendGroupMessage = (conversationId, message, type = 'text', data = null) => {
+    const tempId = newTempId();
+    queueMessage('private_message', { conversationId, message, type, data, tempId }, {
+      id: tempId,
+      tempId,
+      message,
+      type,
+      data,
+      sender: currentUser?.username || 'You',
+      senderId: currentUser?.id,
+      conversationId,
+      timestamp: new Date().toISOString(),
+      isPrivate: true,
+      status: 'sending',
+    });
+  };
+
+  // Send a failed message again; the server ignores it if the first attempt did arrive
+  const retryMessage = (tempId) => {
+    const entry = readOutbox(currentUser?.id).find(e => e.tempId === tempId);
+    if (!entry) return;
+    updateOutbox(currentUser.id, tempId, { status: 'sending', error: undefined });
+    setMessages((prev) => prev.map(m => (m.id === tempId ? { ...m, status: 'sending', error: undefined } : m)));
+    deliver(currentUser.id, { ...entry, status: 'sending' });
+  };
+
+  // Give up on a failed message
+  const discardMessage = (tempId) => {
+    removeFromOutbox(currentUser?.id, tempId);
+    setMessages((prev) => prev.filter(m => m.id !== tempId));
   };
 
-  // Set typing status
+  // Set typing status; only changes are sent
   const setTyping = (isTyping) => {
+    if (typingRef.current === isTyping) return;
+    typingRef.current = isTyping;
     socket.emit('typing', isTyping);
   };
 
@@ -123,11 +315,105 @@ export const useSocket = () => {
     socket.emit('join_room', roomName);
   };
 
-  // Leave a room
+  // Leave a room for good; its messages stop arriving until we join it again
   const leaveRoom = (roomName) => {
     socket.emit('leave_room', roomName);
   };
 
+  // Create a room ({ name, topic, description }); the server moves us into it
+  const createRoom = (roomData) => {
+    socket.emit('create_room', roomData);
+  };
+
+  // Rename a room or change its topic/description (creator only)
+  const updateRoom = (room, changes) => {
+    socket.emit('update_room', { room, ...changes });
+  };
+
+  // Archive a room (creator only)
+  const archiveRoom = (room) => {
+    socket.emit('archive_room', { room });
+  };
+
+  // Invite a user to an invite-only or private room we belong to
+  const inviteToRoom = (room, userId) => {
+    socket.emit('invite_to_room', { room, userId });
+  };
+
+  const acceptInvite = (room) => {
+    socket.emit('accept_invite', { room });
+    setInvitations(prev => prev.filter(invite => invite.room.id !== room));
+  };
+
+  const declineInvite = (room) => {
+    socket.emit('decline_invite', { room });
+    setInvitations(prev => prev.filter(invite => invite.room.id !== room));
+  };
+
+  // Moderation (moderators and owners): remove a member from a room
+  const kickMember = (room, userId) => {
+    socket.emit('kick_member', { room, userId });
+  };
+
+  const banUser = (room, userId) => {
+    socket.emit('ban_user', { room, userId });
+  };
+
+  const unbanUser = (room, userId) => {
+    socket.emit('unban_user', { room, userId });
+  };
+
+  const muteUser = (room, userId, minutes) => {
+    socket.emit('mute_user', { room, userId, minutes });
+  };
+
+  const unmuteUser = (room, userId) => {
+    socket.emit('unmute_user', { room, userId });
+  };
+
+  // Promote a member to moderator or demote them (owners only)
+  const setMemberRole = (room, userId, role) => {
+    socket.emit('set_role', { room, userId, role });
+  };
+
+  // Edit or delete one of our own messages (room or private)
+  const editMessage = (messageId, message) => {
+    socket.emit('edit_message', { messageId, message });
+  };
+
+  const deleteMessage = (messageId) => {
+    socket.emit('delete_message', { messageId });
+  };
+
+  // Remove any message in the current room (moderators only)
+  const removeMessage = (messageId) => {
+    socket.emit('remove_message', { messageId });
+  };
+
+  const clearServerError = () => setServerError(null);
+
+  const clearRateLimit = () => setRateLimit(null);
+
+  // Pick online, idle, dnd or invisible; applies to all our tabs
+  const setStatus = (status) => {
+    socket.emit('set_status', status);
+  };
+
+  // { emoji, text, expiresInMinutes }; an empty emoji and text clear it
+  const setCustomStatus = (customStatus) => {
+    socket.emit('set_custom_status', customStatus);
+  };
+
+  // target is { room } or { conversationId }; level is 'all', 'mentions' or 'muted'
+  const setNotificationLevel = (target, level) => {
+    socket.emit('set_notification_level', { ...target, level });
+  };
+
+  // { sound, quietHours: { enabled, start, end, timeZone } }, either one optional
+  const setNotificationSettings = (settings) => {
+    socket.emit('set_notification_settings', settings);
+  };
+
   // Add reaction to a message
   const addReaction = (messageId, room, reaction) => {
     socket.emit('add_reaction', { messageId, room, reaction });
@@ -136,6 +422,7 @@ export const useSocket = () => {
   // Mark room as read
   const markRoomAsRead = (roomName) => {
     setUnreadCounts(prev => ({ ...prev, [roomName]: 0 }));
+    setMentionCounts(prev => ({ ...prev, [roomName]: 0 }));
   };
 
   // Request notification permission
@@ -148,12 +435,60 @@ export const useSocket = () => {
     return Notification.permission === 'granted';
   };
 
+  // Subscribe this browser with the server's current VAPID key and register the subscription;
+  // resolves to an error ({ code, message }) or null. A subscription made with another key
+  // (the server restarted without fixed keys) is replaced, and its endpoint forgotten.
+  const registerPush = async () => {
+    const keyRes = await fetch(`${API_URL}/api/push/key`, { headers: authHeaders() });
+    const { publicKey } = await keyRes.json();
+    const previous = await currentPushSubscription();
+    const subscription = await subscribeToPush(publicKey);
+    if (previous && previous.endpoint !== subscription.endpoint) {
+      await forgetPushEndpoint(previous.endpoint).catch(() => {});
+    }
+    const res = await fetch(`${API_URL}/api/push/subscriptions`, {
+      method: 'POST',
+      headers: { ...authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify(subscription.toJSON()),
+    });
+    return res.ok ? null : res.json();
+  };
+
+  const enablePush = async () => {
+    if (!pushSupported() || !(await requestNotificationPermission())) return false;
+    try {
+      const error = await registerPush();
+      if (error) {
+        setServerError({ event: 'push_subscribe', code: error.code, message: error.message });
+        return false;
+      }
+      setPushEnabled(true);
+      return true;
+    } catch (error) {
+      console.error('Failed to turn on push notifications:', error);
+      setServerError({ event: 'push_subscribe', code: 'PUSH_FAILED', message: 'Could not turn on push notifications.' });
+      return false;
+    }
+  };
+
+  const disablePush = async () => {
+    await removePushSubscription();
+    setPushEnabled(false);
+  };
+
   // Pagination: fetch older messages for current room
   const fetchOlderMessages = async (limit = 20) => {
+    if (activeConversation) {
+      const first = messages.find(m => m.conversationId === activeConversation);
+      await loadConversationPage(activeConversation, first?.timestamp, limit);
+      return;
+    }
     try {
       const first = messages[0];
       const before = first ? first.timestamp : new Date().toISOString();
-      const res = await fetch(`${SOCKET_URL.replace(/\/$/, '')}/api/messages/${currentRoom}?before=${encodeURIComponent(before)}&limit=${limit}`);
+      const res = await fetch(`${API_URL}/api/messages/${currentRoom}?before=${encodeURIComponent(before)}&limit=${limit}`, {
+        headers: authHeaders(),
+      });
       const data = await res.json();
       if (data && Array.isArray(data.messages)) {
         const currentIds = new Set(messages.map(m => m.id));
@@ -166,10 +501,132 @@ export const useSocket = () => {
     } catch (_e) {}
   };
 
-  // Search messages in current room
-  const searchMessages = async (q) => {
+  // Load the DM conversation list; the open conversation never counts as unread
+  const fetchConversations = async () => {
+    try {
+      const res = await fetch(`${API_URL}/api/conversations`, { headers: authHeaders() });
+      const data = await res.json();
+      if (Array.isArray(data)) {
+        setConversations(data.map(c => (c.id === activeConversation ? { ...c, unreadCount: 0 } : c)));
+      }
+    } catch (_e) {}
+  };
+
+  // Load a page of a conversation's history (the latest one without `before`)
+  const loadConversationPage = async (conversationId, before, limit = 20) => {
+    try {
+      const params = new URLSearchParams({ limit });
+      if (before) params.set('before', before);
+      const res = await fetch(`${API_URL}/api/conversations/${conversationId}/messages?${params}`, {
+        headers: authHeaders(),
+      });
+      // A conversation only exists once a message has been sent
+      if (res.status === 404) {
+        setConversationHasMore(false);
+        return;
+      }
+      const data = await res.json();
+      if (!res.ok) return;
+      setMessages((prev) => mergeMessages(prev, data.messages));
+      setConversationHasMore(Boolean(data.hasMore));
+    } catch (_e) {}
+  };
+
+  // Open a conversation by id: load its history and mark it read
+  const openConversationById = (conversationId) => {
+    const conversation = conversations.find(c => c.id === conversationId);
+    setActiveConversation(conversationId);
+    setReadMarker(conversation?.unreadCount ? { stream: conversationId, seq: conversation.lastReadSeq || 0 } : null);
+    setConversations(prev => prev.map(c => (c.id === conversationId ? { ...c, unreadCount: 0 } : c)));
+    if (conversation?.lastMessage) {
+      socket.emit('mark_read_up_to', { conversationId, seq: conversation.lastMessage.seq });
+    }
+    loadConversationPage(conversationId);
+  };
+
+  // Open the DM with a user, even one who is offline
+  const openConversation = (peer) => {
+    if (!currentUser) return;
+    openConversationById(directConversationId(currentUser.id, peer.id));
+  };
+
+  // Start a group conversation; resolves to { conversation } or { error }
+  const createGroup = (participantIds, name = '') => new Promise((resolve) => {
+    socket.timeout(ACK_TIMEOUT).emit('create_group', { participantIds, name }, (err, response) => {
+      if (err || response.error) {
+        const error = err ? { code: 'TIMEOUT', message: 'No response from the server.' } : response.error;
+        setServerError({ event: 'create_group', ...error });
+        resolve({ error });
+        return;
+      }
+      setConversations(prev => [
+        { ...response.conversation, lastMessage: null, unreadCount: 0 },
+        ...prev.filter(c => c.id !== response.conversation.id),
+      ]);
+      resolve(response);
+    });
+  });
+
+  const addParticipants = (conversationId, userIds) => {
+    socket.emit('add_participants', { conversationId, userIds });
+  };
+
+  const leaveConversation = (conversationId) => {
+    socket.emit('leave_conversation', { conversationId });
+  };
+
+  const closeConversation = () => {
+    setActiveConversation(null);
+  };
+
+  // Load a thread (root message and replies) into the message list
+  const loadThread = async (messageId) => {
+    try {
+      const res = await fetch(`${API_URL}/api/messages/${currentRoom}/${messageId}/thread`, {
+        headers: authHeaders(),
+      });
+      const data = await res.json();
+      if (!res.ok) return null;
+      setMessages((prev) => {
+        const known = new Set(prev.map(m => m.id));
+        const updated = prev.map(m => (m.id === data.parent.id ? { ...m, ...data.parent } : m));
+        return [...updated, ...data.replies.filter(m => !known.has(m.id))];
+      });
+      return data;
+    } catch (_e) {
+      return null;
+    }
+  };
+
+  // Upload a file; resolves to the attachment to send as a message's `data`
+  const uploadFile = async (file) => {
+    const body = new FormData();
+    body.append('file', file);
+    try {
+      const res = await fetch(`${API_URL}/api/uploads`, {
+        method: 'POST',
+        headers: authHeaders(),
+        body,
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        return { error: data.message || 'Upload failed.' };
+      }
+      return { attachment: data };
+    } catch (_e) {
+      return { error: 'Could not reach the server.' };
+    }
+  };
+
+  // Search every room and DM the user can read. Filters: sender, room (room or conversation
+  // id), from/to (dates) and hasAttachment. Resolves to [{ message, score, terms }].
+  const searchMessages = async (q, filters = {}) => {
+    const params = new URLSearchParams({ q });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, String(value));
+    });
     try {
-      const res = await fetch(`${SOCKET_URL.replace(/\/$/, '')}/api/messages/${currentRoom}/search?q=${encodeURIComponent(q)}`);
+      const res = await fetch(`${API_URL}/api/search?${params}`, { headers: authHeaders() });
       const data = await res.json();
       return Array.isArray(data) ? data : [];
     } catch (_e) {
@@ -177,14 +634,83 @@ export const useSocket = () => {
     }
   };
 
+  // Load the messages around a search result into the list; resolves to the id to scroll to
+  // (a thread reply resolves to its root), or null if it can't be loaded
+  const loadMessageContext = async (message) => {
+    const url = message.isPrivate
+      ? `${API_URL}/api/conversations/${message.conversationId || message.stream}/messages/${message.id}/context`
+      : `${API_URL}/api/messages/${message.room}/${message.id}/context`;
+    try {
+      const res = await fetch(url, { headers: authHeaders() });
+      const data = await res.json();
+      if (!res.ok) return null;
+      setMessages((prev) => mergeMessages(prev, data.messages));
+      return data.target;
+    } catch (_e) {
+      return null;
+    }
+  };
+
   // Socket event listeners
   useEffect(() => {
     // Connection events
+    // Live events only advance a stream's cursor; anything missed while offline comes from sync
+    const noteSeq = (message) => {
+      if (!message?.stream || !message.updatedSeq) return;
+      const cursors = cursorsRef.current;
+      cursors[message.stream] = Math.max(cursors[message.stream] || 0, message.updatedSeq);
+    };
+
+    // Fetch what happened in our rooms and DMs while this socket was away
+    const syncMissed = () => {
+      const cursors = { ...cursorsRef.current };
+      socket.timeout(ACK_TIMEOUT).emit('sync', { cursors }, (err, result) => {
+        if (err) return;
+        
+        setMessages((prev) => mergeMessages(prev, result.messages.filter(m => m.isPrivate || m.room === currentRoom)));
+        // Private messages that arrived while we were away have now been delivered
+        result.messages
+          .filter(m => m.isPrivate && m.senderId !== currentUser?.id && m.seq > (cursors[m.stream] || 0))
+          .forEach(m => socket.emit('mark_message_delivered', { messageId: m.id }));
+        
+        Object.entries(result.cursors).forEach(([stream, seq]) => {
+          cursorsRef.current[stream] = Math.max(cursorsRef.current[stream] || 0, seq);
+        });
+        // Too much happened in the open room to patch in; load it again
+        if (result.truncated.includes(currentRoom)) {
+          socket.emit('join_room', currentRoom);
+        } else {
+          // What we missed in the open room is on screen now
+          const seen = result.messages.filter(m => !m.isPrivate && m.room === currentRoom && !m.parentId);
+          if (seen.length) {
+            socket.emit('mark_read_up_to', { room: currentRoom, seq: Math.max(...seen.map(m => m.seq)) });
+          }
+        }
+      });
+    };
+
     const onConnect = () => {
       setIsConnected(true);
-      // Only re-authenticate if we have a valid username and no error
-      // Don't auto-rejoin on reconnect to prevent conflicts
-      // User should manually join again after disconnect
+      // A new connection starts out not typing
+      typingRef.current = false;
+      // The server shows #general to authenticated sockets automatically (room_changed),
+      // including after reconnects, so return to the room this tab was viewing
+      if (currentRoom !== 'general') {
+        socket.emit('join_room', currentRoom);
+      }
+      syncMissed();
+    };
+
+    // Identity of the authenticated user, sent by the server on every connection
+    const onSession = ({ user, presence: settings, notifications }) => {
+      setCurrentUser(user);
+      setMyPresence(settings);
+      setNotificationPrefs(notifications);
+      // Show messages still waiting from an earlier session and replay the ones not marked failed
+      const pending = readOutbox(user.id);
+      setMessages((prev) => withPending(prev, pending.filter(e => e.message.isPrivate || e.message.room === currentRoom)));
+      pending.filter(e => e.status === 'sending').forEach(e => deliver(user.id, e));
+      fetchConversations();
     };
 
     const onDisconnect = () => {
@@ -194,40 +720,47 @@ export const useSocket = () => {
     // Message events
     const onReceiveMessage = (message) => {
       setLastMessage(message);
-      setMessages((prev) => [...prev, message]);
-      
-      // Update unread count if message is from another room
+      noteSeq(message);
+      // We get the messages of every room we're in; the ones we aren't viewing count as unread
       if (message.room && message.room !== currentRoom) {
-        setUnreadCounts(prev => ({
-          ...prev,
-          [message.room]: (prev[message.room] || 0) + 1
-        }));
-      } else if (message.room && message.room === currentRoom) {
-        // If message is in current room and user is viewing, mark as read
-        // (Server already handles this when user joins room, but we can mark new messages)
-        if (message.senderId !== socket.id && !message.isPrivate) {
-          // Mark individual message as read after a short delay (user is viewing)
-          setTimeout(() => {
-            socket.emit('mark_message_read', { messageId: message.id, room: message.room, isPrivate: false });
-          }, 500);
+        if (!message.system && !message.parentId && message.senderId !== currentUser?.id) {
+          setUnreadCounts(prev => ({ ...prev, [message.room]: (prev[message.room] || 0) + 1 }));
         }
+        return;
+      }
+      setMessages((prev) => {
+        // Our own message coming back replaces its optimistic copy
+        if (message.tempId && prev.some(m => m.tempId === message.tempId && m.senderId === message.senderId)) {
+          return prev.map(m => (m.tempId === message.tempId && m.senderId === message.senderId
+            ? { ...message, status: 'delivered' }
+            : m));
+        }
+        return [...prev, message];
+      });
+      
+      // The room is on screen, so we've read up to this message
+      if (message.room && message.senderId !== currentUser?.id && !message.isPrivate && !message.parentId) {
+        // After a short delay (user is viewing)
+        setTimeout(() => {
+          socket.emit('mark_read_up_to', { room: message.room, seq: message.seq });
+        }, 500);
       }
     };
 
     const onPrivateMessage = (message) => {
       setLastMessage(message);
+      noteSeq(message);
       // Ensure message has isPrivate flag and recipientId
       const privateMsg = {
         ...message,
         isPrivate: true,
-        recipientId: message.recipientId || (message.senderId === socket.id ? message.recipientId : socket.id),
+        recipientId: message.recipientId,
       };
       
-      // Update existing optimistic message if it exists (by tempId or by matching sender/recipient)
+      // Replace the optimistic copy if this tab sent it
       setMessages((prev) => {
-        // Check if there's an optimistic message to replace
         const existingIndex = prev.findIndex(
-          m => m.tempId && m.senderId === socket.id && m.isPrivate
+          m => message.tempId && m.tempId === message.tempId && m.senderId === message.senderId
         );
         if (existingIndex >= 0) {
           const updated = [...prev];
@@ -237,18 +770,28 @@ export const useSocket = () => {
         return [...prev, privateMsg];
       });
       
-      // Mark private message as read when received (user is viewing)
-      if (message.senderId !== socket.id) {
+      // Let the sender know it arrived, and mark it read when its conversation is open (user is viewing)
+      if (message.senderId !== currentUser?.id) {
+        socket.emit('mark_message_delivered', { messageId: message.id });
+      }
+      if (message.senderId !== currentUser?.id && message.conversationId === activeConversation) {
         // Mark as read after a short delay (simulating user viewing the message)
         setTimeout(() => {
-          socket.emit('mark_message_read', { messageId: message.id, room: null, isPrivate: true });
+          socket.emit('mark_read_up_to', { conversationId: message.conversationId, seq: message.seq });
         }, 500);
       }
+      // Refresh last messages and unread counts, and pick up conversations started by others
+      fetchConversations();
     };
 
     // User events
-    const onUserList = (userList) => {
-      setUsers(userList);
+    // Everyone's presence on connect, then one user at a time as it changes
+    const onPresenceList = (list) => {
+      setPresence(Object.fromEntries(list.map(u => [u.id, u])));
+    };
+
+    const onPresenceUpdate = (user) => {
+      setPresence(prev => ({ ...prev, [user.id]: user }));
     };
 
     const onUserJoined = (user) => {
@@ -282,34 +825,38 @@ export const useSocket = () => {
       setTypingUsers(users);
     };
 
-    // Username error event
-    const onUsernameTaken = (error) => {
-      console.log('[Client] Username error:', error.message);
-      setUsernameError(error.message);
-      setCurrentUsername(''); // Clear username on error to prevent auto-rejoin
-      setIsConnected(false);
-      // Disconnect to ensure clean state
-      socket.disconnect();
+    // Handshake rejected by the auth middleware (bad or expired token)
+    const onConnectError = (error) => {
+      if (!error.data?.code?.startsWith('AUTH')) return;
+      console.log('[Client] Authentication error:', error.message);
+      setAuthError(error.message);
+      setCurrentUser(null);
+      socket.auth = {};
+      localStorage.removeItem(TOKEN_KEY);
     };
 
     // Room events
     const onRoomChanged = (data) => {
       setCurrentRoom(data.room);
-      setMessages(data.messages || []);
-      // Mark the room as read when user joins it
+      if (data.seq !== undefined) {
+        cursorsRef.current[data.room] = Math.max(cursorsRef.current[data.room] || 0, data.seq);
+      }
+      setMessages(withPending(
+        data.messages || [],
+        readOutbox(currentUser?.id).filter(e => e.message.isPrivate || e.message.room === data.room),
+      ));
+      setHasMore(Boolean(data.hasMore));
+      setRoomMembers(data.members || []);
+      // Messages after what we'd read before get the "new messages" divider (if any of them
+      // are from others), and the room is now read up to its latest message
+      const lastReadSeq = data.lastReadSeq || 0;
+      const hasUnread = (data.messages || []).some(m => m.seq > lastReadSeq && !m.system && m.senderId !== currentUser?.id);
+      setReadMarker(hasUnread ? { stream: data.room, seq: lastReadSeq } : null);
       setUnreadCounts(prev => ({ ...prev, [data.room]: 0 }));
-      
-      // Mark all messages in the room as read when user joins
-      // Server already handles this, but we can also mark client-side for immediate feedback
-      const roomMessages = data.messages || [];
-      roomMessages.forEach((message) => {
-        if (message.senderId !== socket.id && !message.isPrivate && message.id) {
-          // Mark as read after a short delay
-          setTimeout(() => {
-            socket.emit('mark_message_read', { messageId: message.id, room: data.room, isPrivate: false });
-          }, 100);
-        }
-      });
+      setMentionCounts(prev => ({ ...prev, [data.room]: 0 }));
+      if (data.seq > (data.lastReadSeq || 0)) {
+        socket.emit('mark_read_up_to', { room: data.room, seq: data.seq });
+      }
     };
 
     const onUserJoinedRoom = (data) => {
@@ -340,6 +887,117 @@ export const useSocket = () => {
       setAvailableRooms(rooms);
     };
 
+    // The room we're viewing was archived; fall back to #general
+    const onRoomArchived = ({ room }) => {
+      if (room === currentRoom) {
+        socket.emit('join_room', 'general');
+      }
+    };
+
+    // Unread and mention counts from the server: all of them on connect, then the ones a
+    // read cursor move (in any of our tabs) changed
+    const onUnreadCounts = ({ rooms = {}, mentions = {}, conversations: unreadConversations = {} }) => {
+      setUnreadCounts(prev => ({ ...prev, ...rooms }));
+      setMentionCounts(prev => ({ ...prev, ...mentions }));
+      setConversations(prev => prev.map(c => (
+        unreadConversations[c.id] !== undefined ? { ...c, unreadCount: unreadConversations[c.id] } : c
+      )));
+    };
+
+    // We left a room (possibly in another tab)
+    const onRoomLeft = ({ room }) => {
+      setUnreadCounts(prev => ({ ...prev, [room]: 0 }));
+      setMentionCounts(prev => ({ ...prev, [room]: 0 }));
+      if (room === currentRoom) {
+        socket.emit('join_room', 'general');
+      }
+    };
+
+    const onRoomMembers = ({ room, members }) => {
+      if (room === currentRoom) {
+        setRoomMembers(members);
+      }
+    };
+
+    const onRoomInvitations = (pending) => {
+      setInvitations(pending);
+    };
+
+    const onRoomInvitation = (invitation) => {
+      setInvitations(prev => [
+        ...prev.filter(invite => invite.room.id !== invitation.room.id),
+        invitation,
+      ]);
+    };
+
+    // We were kicked or banned from a room; leave it if we're viewing it
+    const onRoomKicked = ({ room, by, reason }) => {
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: Date.now(),
+          system: true,
+          message: `You were ${reason === 'banned' ? 'banned from' : 'removed from'} ${room} by ${by}`,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+      if (room === currentRoom) {
+        socket.emit('join_room', 'general');
+      }
+    };
+
+    const onMuted = ({ room, until, by }) => {
+      setMessages((prev) => [
+        ...prev,
+        {
+          id: Date.now(),
+          system: true,
+          message: `You were muted in ${room} by ${by} until ${new Date(until).toLocaleTimeString()}`,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+    };
+
+    const onReplyNotification = (reply) => {
+      setLastReply(reply);
+    };
+
+    // Someone mentioned us; it only counts as unseen outside the room we're viewing
+    const onMentionNotification = (mention) => {
+      setLastMention(mention);
+      if (mention.room !== currentRoom) {
+        setMentionCounts(prev => ({ ...prev, [mention.room]: (prev[mention.room] || 0) + 1 }));
+      }
+    };
+
+    // An edited message; keep client-only fields such as status and readBy
+    const onMessageUpdated = (message) => {
+      noteSeq(message);
+      setMessages((prev) =>
+        prev.map((msg) => (msg.id === message.id ? { ...msg, ...message } : msg))
+      );
+    };
+
+    // Deleted messages stay in the list as tombstones
+    const onMessageDeleted = ({ messageId, deletedBy }) => {
+      setMessages((prev) =>
+        prev.map((msg) =>
+          msg.id === messageId
+            ? { ...msg, deleted: true, message: '', data: null, reactions: {}, editHistory: [], deletedBy }
+            : msg
+        )
+      );
+    };
+
+    // A socket event we sent was rejected by the server
+    const onServerError = (error) => {
+      setServerError(error);
+    };
+
+    const onRateLimited = (notice) => {
+      setRateLimit(notice);
+    };
+
     // Reaction events
     const onMessageReactionUpdated = ({ messageId, reactions }) => {
       setMessages((prev) =>
@@ -349,9 +1007,38 @@ export const useSocket = () => {
       );
     };
 
-    // Delivery ack
-    const onMessageAck = ({ tempId, id, room }) => {
-      setMessages((prev) => prev.map(m => (m.tempId === tempId ? { ...m, id, status: 'delivered' } : m)));
+    // A private message reached one of its recipients
+    const onMessageDelivered = ({ messageId, deliveredTo }) => {
+      setMessages((prev) =>
+        prev.map((msg) => {
+          const list = msg.deliveredTo || [];
+          if (msg.id !== messageId || list.some(r => r.userId === deliveredTo.userId)) return msg;
+          return { ...msg, deliveredTo: [...list, deliveredTo] };
+        })
+      );
+    };
+
+    // Group conversation membership changes
+    const replaceConversation = (conversation) => {
+      setConversations(prev => prev.map(c => (c.id === conversation.id ? { ...c, ...conversation } : c)));
+    };
+
+    const onParticipantsAdded = ({ conversation, added }) => {
+      // Someone added us: the conversation is new to this user
+      if (added.some(p => p.id === currentUser?.id)) {
+        fetchConversations();
+      } else {
+        replaceConversation(conversation);
+      }
+    };
+
+    const onParticipantLeft = ({ conversation, user }) => {
+      if (user.id === currentUser?.id) {
+        setConversations(prev => prev.filter(c => c.id !== conversation.id));
+        if (activeConversation === conversation.id) setActiveConversation(null);
+      } else {
+        replaceConversation(conversation);
+      }
     };
 
     // Read receipt event
@@ -377,68 +1064,202 @@ export const useSocket = () => {
 
     // Register event listeners
     socket.on('connect', onConnect);
+    socket.on('session', onSession);
     socket.on('disconnect', onDisconnect);
     socket.on('receive_message', onReceiveMessage);
     socket.on('private_message', onPrivateMessage);
-    socket.on('user_list', onUserList);
+    socket.on('presence_list', onPresenceList);
+    socket.on('presence_update', onPresenceUpdate);
+    socket.on('presence_settings', setMyPresence);
+    socket.on('notification_prefs', setNotificationPrefs);
     socket.on('user_joined', onUserJoined);
     socket.on('user_left', onUserLeft);
     socket.on('typing_users', onTypingUsers);
-    socket.on('username_taken', onUsernameTaken);
+    socket.on('connect_error', onConnectError);
     socket.on('room_changed', onRoomChanged);
     socket.on('user_joined_room', onUserJoinedRoom);
     socket.on('user_left_room', onUserLeftRoom);
     socket.on('available_rooms', onAvailableRooms);
+    socket.on('room_archived', onRoomArchived);
+    socket.on('room_members', onRoomMembers);
+    socket.on('unread_counts', onUnreadCounts);
+    socket.on('room_left', onRoomLeft);
+    socket.on('room_invitations', onRoomInvitations);
+    socket.on('room_invitation', onRoomInvitation);
+    socket.on('room_kicked', onRoomKicked);
+    socket.on('muted', onMuted);
+    socket.on('message_updated', onMessageUpdated);
+    socket.on('reply_notification', onReplyNotification);
+    socket.on('mention_notification', onMentionNotification);
+    socket.on('message_deleted', onMessageDeleted);
+    socket.on('error', onServerError);
+    socket.on('rate_limited', onRateLimited);
     socket.on('message_reaction_updated', onMessageReactionUpdated);
-    socket.on('message_ack', onMessageAck);
     socket.on('message_read', onMessageRead);
+    socket.on('message_delivered', onMessageDelivered);
+    socket.on('conversation_created', fetchConversations);
+    socket.on('participants_added', onParticipantsAdded);
+    socket.on('participant_left', onParticipantLeft);
 
     // Clean up event listeners
     return () => {
       socket.off('connect', onConnect);
+      socket.off('session', onSession);
       socket.off('disconnect', onDisconnect);
       socket.off('receive_message', onReceiveMessage);
       socket.off('private_message', onPrivateMessage);
-      socket.off('user_list', onUserList);
+      socket.off('presence_list', onPresenceList);
+      socket.off('presence_update', onPresenceUpdate);
+      socket.off('presence_settings', setMyPresence);
+      socket.off('notification_prefs', setNotificationPrefs);
       socket.off('user_joined', onUserJoined);
       socket.off('user_left', onUserLeft);
       socket.off('typing_users', onTypingUsers);
-      socket.off('username_taken', onUsernameTaken);
+      socket.off('connect_error', onConnectError);
       socket.off('room_changed', onRoomChanged);
       socket.off('user_joined_room', onUserJoinedRoom);
       socket.off('user_left_room', onUserLeftRoom);
       socket.off('available_rooms', onAvailableRooms);
+      socket.off('room_archived', onRoomArchived);
+      socket.off('room_members', onRoomMembers);
+      socket.off('unread_counts', onUnreadCounts);
+      socket.off('room_left', onRoomLeft);
+      socket.off('room_invitations', onRoomInvitations);
+      socket.off('room_invitation', onRoomInvitation);
+      socket.off('room_kicked', onRoomKicked);
+      socket.off('muted', onMuted);
+      socket.off('message_updated', onMessageUpdated);
+      socket.off('reply_notification', onReplyNotification);
+      socket.off('mention_notification', onMentionNotification);
+      socket.off('message_deleted', onMessageDeleted);
+      socket.off('error', onServerError);
+      socket.off('rate_limited', onRateLimited);
       socket.off('message_reaction_updated', onMessageReactionUpdated);
-      socket.off('message_ack', onMessageAck);
       socket.off('message_read', onMessageRead);
+      socket.off('message_delivered', onMessageDelivered);
+      socket.off('conversation_created', fetchConversations);
+      socket.off('participants_added', onParticipantsAdded);
+      socket.off('participant_left', onParticipantLeft);
+    };
+  }, [currentUser, currentRoom, activeConversation]);
+
+  // Report this tab idle after a while without activity, and active again on the next input
+  useEffect(() => {
+    if (!currentUser) return undefined;
+    let lastActivity = Date.now();
+    let idle = false;
+    const report = (value) => {
+      idle = value;
+      socket.emit('set_idle', value);
+    };
+    const onActivity = () => {
+      lastActivity = Date.now();
+      if (idle) report(false);
     };
-  }, [currentUsername, currentRoom]);
+    // The server forgets a socket's idleness when it reconnects
+    const onConnect = () => {
+      if (idle) report(true);
+    };
+    const timer = setInterval(() => {
+      if (!idle && Date.now() - lastActivity >= IDLE_AFTER_MS) report(true);
+    }, IDLE_CHECK_MS);
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, onActivity, { passive: true }));
+    socket.on('connect', onConnect);
+    return () => {
+      clearInterval(timer);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, onActivity));
+      socket.off('connect', onConnect);
+    };
+  }, [currentUser]);
+
+  // A browser still subscribed from an earlier visit registers again, in case the server's
+  // key changed or it lost the subscription
+  const currentUserId = currentUser?.id;
+  useEffect(() => {
+    if (!currentUserId) return;
+    currentPushSubscription()
+      .then(subscription => (subscription ? registerPush().then(error => !error) : false))
+      .then(setPushEnabled)
+      .catch(() => setPushEnabled(false));
+  }, [currentUserId]);
 
   return {
     socket,
     isConnected,
     lastMessage,
+    lastReply,
+    lastMention,
     messages,
     users,
+    presence,
+    myPresence,
+    notificationPrefs,
+    pushEnabled,
     typingUsers,
-    currentUsername,
-    usernameError,
+    currentUser,
+    currentUsername: currentUser?.username || '',
+    authError,
     currentRoom,
     availableRooms,
+    serverError,
+    rateLimit,
+    roomMembers,
+    invitations,
     unreadCounts,
+    mentionCounts,
+    readMarker,
     notificationsEnabled,
     hasMore,
+    conversations,
+    activeConversation,
+    conversationHasMore,
     connect,
     disconnect,
+    resumeSession,
     sendMessage,
     sendPrivateMessage,
+    sendGroupMessage,
+    retryMessage,
+    discardMessage,
     setTyping,
     joinRoom,
     leaveRoom,
+    createRoom,
+    updateRoom,
+    archiveRoom,
+    inviteToRoom,
+    acceptInvite,
+    declineInvite,
+    kickMember,
+    banUser,
+    unbanUser,
+    muteUser,
+    unmuteUser,
+    setMemberRole,
+    editMessage,
+    deleteMessage,
+    removeMessage,
+    clearServerError,
+    clearRateLimit,
+    setStatus,
+    setCustomStatus,
+    setNotificationLevel,
+    setNotificationSettings,
     addReaction,
     markRoomAsRead,
     requestNotificationPermission,
+    enablePush,
+    disablePush,
     fetchOlderMessages,
+    openConversation,
+    openConversationById,
+    closeConversation,
+    createGroup,
+    addParticipants,
+    leaveConversation,
+    loadThread,
+    loadMessageContext,
+    uploadFile,
     searchMessages,
   };
 };
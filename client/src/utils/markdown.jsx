@@ -0,0 +1,158 @@
+// markdown.jsx - Safe markdown subset for message text
+//
+// Supported: **bold**, *italic* (or _italic_), `inline code`, ```fenced code``` with syntax
+// highlighting, - / 1. lists, > blockquotes, [links](https://...) and bare URLs.
+//
+// Text is turned into React elements, never into HTML strings, so React escapes everything
+// the sender wrote. The only other way in is a link's href, which must be http(s) or mailto.
+
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// The href for a link target, or null when it isn't safe to link to
+export const safeUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch (_e) {
+    return null;
+  }
+};
+
+// Code highlighting: one keyword list covers the languages people usually paste
+const KEYWORDS = new Set([
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def', 'default',
+  'delete', 'do', 'elif', 'else', 'enum', 'except', 'export', 'extends', 'false', 'finally', 'fn',
+  'for', 'from', 'func', 'function', 'if', 'import', 'in', 'instanceof', 'interface', 'lambda',
+  'let', 'new', 'nil', 'None', 'null', 'package', 'pass', 'private', 'public', 'raise', 'return',
+  'self', 'static', 'struct', 'super', 'switch', 'this', 'throw', 'True', 'False', 'true', 'try',
+  'type', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield',
+  'SELECT', 'FROM', 'WHERE', 'INSERT', 'UPDATE', 'DELETE', 'JOIN', 'ORDER', 'BY', 'GROUP', 'LIMIT',
+]);
+// Languages whose line comments start with # rather than //
+const HASH_COMMENTS = new Set(['py', 'python', 'sh', 'bash', 'shell', 'rb', 'ruby', 'yaml', 'yml', 'toml']);
+
+const CODE_TOKEN = {
+  slash: /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\.)*`)|(\b\d[\d_.]*\b)|([A-Za-z_$][\w$]*)/g,
+  hash: /(#[^\n]*)|("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')|(\b\d[\d_.]*\b)|([A-Za-z_][\w]*)/g,
+};
+
+// Split code into plain text and <span className="tok-*"> tokens
+export const highlightCode = (code, language = '') => {
+  const pattern = new RegExp(CODE_TOKEN[HASH_COMMENTS.has(language.toLowerCase()) ? 'hash' : 'slash']);
+  const parts = [];
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(code)) !== null) {
+    const [token, comment, string, number, word] = match;
+    const kind = comment ? 'comment' : string ? 'string' : number ? 'number' : KEYWORDS.has(word) ? 'keyword' : null;
+    if (!kind) continue;
+    if (match.index > last) parts.push(code.slice(last, match.index));
+    parts.push(<span key={match.index} className={`tok-${kind}`}>{token}</span>);
+    last = match.index + token.length;
+  }
+  if (last < code.length) parts.push(code.slice(last));
+  return parts;
+};
+
+// Inline syntax, earliest match wins: code, [text](url), bare URL, **bold**, *italic*, _italic_
+const INLINE = /`([^`\n]+)`|\[([^\]\n]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]*[^\s<.,;:!?)\]'"])|\*\*(.+?)\*\*|\*([^*\s](?:[^*]*[^*\s])?)\*|(?<![\p{L}\p{N}_])_([^_\s](?:[^_]*[^_\s])?)_(?![\p{L}\p{N}_])/u;
+
+const renderInline = (text, renderText, keyPrefix) => {
+  const nodes = [];
+  let rest = text;
+  let i = 0;
+  while (rest) {
+    const match = rest.match(INLINE);
+    if (!match) {
+      nodes.push(<span key={`${keyPrefix}-${i}`}>{renderText(rest)}</span>);
+      break;
+    }
+    if (match.index > 0) {
+      nodes.push(<span key={`${keyPrefix}-${i++}`}>{renderText(rest.slice(0, match.index))}</span>);
+    }
+    const key = `${keyPrefix}-${i++}`;
+    const [whole, code, linkText, linkUrl, bareUrl, bold, italic, underscored] = match;
+    if (code !== undefined) {
+      nodes.push(<code key={key}>{code}</code>);
+    } else if (linkText !== undefined) {
+      const href = safeUrl(linkUrl);
+      nodes.push(href
+        ? <a key={key} href={href} target="_blank" rel="noopener noreferrer nofollow">{renderInline(linkText, renderText, key)}</a>
+        : <span key={key}>{renderText(whole)}</span>);
+    } else if (bareUrl !== undefined) {
+      const href = safeUrl(bareUrl);
+      nodes.push(href
+        ? <a key={key} href={href} target="_blank" rel="noopener noreferrer nofollow">{bareUrl}</a>
+        : <span key={key}>{bareUrl}</span>);
+    } else if (bold !== undefined) {
+      nodes.push(<strong key={key}>{renderInline(bold, renderText, key)}</strong>);
+    } else {
+      nodes.push(<em key={key}>{renderInline(italic ?? underscored, renderText, key)}</em>);
+    }
+    rest = rest.slice(match.index + whole.length);
+  }
+  return nodes;
+};
+
+// Lines of a paragraph keep their line breaks
+const renderLines = (lines, renderText, keyPrefix) => lines.flatMap((line, i) => [
+  ...(i > 0 ? [<br key={`${keyPrefix}-br${i}`} />] : []),
+  ...renderInline(line, renderText, `${keyPrefix}-${i}`),
+]);
+
+const FENCE = /^\s*```\s*([\w+#.-]*)\s*$/;
+const QUOTE = /^\s*> ?/;
+const BULLET = /^\s*[-*+]\s+/;
+const NUMBERED = /^\s*\d{1,9}[.)]\s+/;
+
+const renderBlocks = (lines, renderText, keyPrefix) => {
+  const blocks = [];
+  let i = 0;
+  // Consecutive lines from i that match a pattern
+  const takeWhile = (test) => {
+    const taken = [];
+    while (i < lines.length && test(lines[i])) taken.push(lines[i++]);
+    return taken;
+  };
+
+  while (i < lines.length) {
+    const key = `${keyPrefix}-${blocks.length}`;
+    const line = lines[i];
+    const fence = line.match(FENCE);
+    if (fence) {
+      i++;
+      const code = takeWhile((l) => !FENCE.test(l));
+      i++; // Closing fence (an unclosed block runs to the end of the message)
+      blocks.push(
+        <pre key={key} className="code-block" data-language={fence[1] || undefined}>
+          <code>{highlightCode(code.join('\n'), fence[1])}</code>
+        </pre>
+      );
+    } else if (QUOTE.test(line)) {
+      const quoted = takeWhile((l) => QUOTE.test(l)).map((l) => l.replace(QUOTE, ''));
+      blocks.push(<blockquote key={key}>{renderBlocks(quoted, renderText, key)}</blockquote>);
+    } else if (BULLET.test(line) || NUMBERED.test(line)) {
+      const marker = BULLET.test(line) ? BULLET : NUMBERED;
+      const items = takeWhile((l) => marker.test(l)).map((l) => l.replace(marker, ''));
+      const ListTag = marker === BULLET ? 'ul' : 'ol';
+      blocks.push(
+        <ListTag key={key}>
+          {items.map((item, n) => <li key={n}>{renderInline(item, renderText, `${key}-${n}`)}</li>)}
+        </ListTag>
+      );
+    } else if (!line.trim()) {
+      i++;
+    } else {
+      const paragraph = takeWhile((l) => l.trim() && !FENCE.test(l) && !QUOTE.test(l) && !BULLET.test(l) && !NUMBERED.test(l));
+      blocks.push(<p key={key}>{renderLines(paragraph, renderText, key)}</p>);
+    }
+  }
+  return blocks;
+};
+
+// Render message text as markdown. `renderText` decorates runs of plain text (outside code
+// and URLs), e.g. to highlight mentions.
+export const renderMarkdown = (text, { renderText = (t) => t } = {}) => {
+  if (!text) return null;
+  return <div className="markdown">{renderBlocks(text.split(/\r?\n/), renderText, 'md')}</div>;
+};
@@ -1,52 +1,112 @@
 // Notification utilities for the chat application
 
+// Sounds a user can pick; each tone is [frequency in Hz, start in s, length in s]
+export const NOTIFICATION_SOUNDS = {
+  beep: { label: 'Beep', type: 'sine', tones: [[800, 0, 0.5]] },
+  chime: { label: 'Chime', type: 'sine', tones: [[880, 0, 0.3], [1320, 0.15, 0.45]] },
+  pop: { label: 'Pop', type: 'triangle', tones: [[500, 0, 0.08]] },
+  none: { label: 'None', type: 'sine', tones: [] },
+};
+
 // Play notification sound
-export const playNotificationSound = () => {
+export const playNotificationSound = (sound = 'beep') => {
+  const { type, tones } = NOTIFICATION_SOUNDS[sound] || NOTIFICATION_SOUNDS.beep;
+  if (tones.length === 0) return;
   try {
-    // Create a simple beep sound using Web Audio API
+    // Create the tones using Web Audio API
     const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
-    
-    oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
-    
-    oscillator.frequency.value = 800;
-    oscillator.type = 'sine';
-    
-    gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5);
-    
-    oscillator.start(audioContext.currentTime);
-    oscillator.stop(audioContext.currentTime + 0.5);
+    tones.forEach(([frequency, start, length]) => {
+      const oscillator = audioContext.createOscillator();
+      const gainNode = audioContext.createGain();
+
+      oscillator.connect(gainNode);
+      gainNode.connect(audioContext.destination);
+
+      oscillator.frequency.value = frequency;
+      oscillator.type = type;
+
+      const from = audioContext.currentTime + start;
+      gainNode.gain.setValueAtTime(0.3, from);
+      gainNode.gain.exponentialRampToValueAtTime(0.01, from + length);
+
+      oscillator.start(from);
+      oscillator.stop(from + length);
+    });
   } catch (error) {
     console.error('Failed to play notification sound:', error);
   }
 };
 
-// Show browser notification
-export const showBrowserNotification = (title, body, icon = '') => {
-  if ('Notification' in window && Notification.permission === 'granted') {
-    try {
-      const notification = new Notification(title, {
-        body,
-        icon: icon || '/favicon.ico',
-        tag: 'chat-notification',
-      });
-      
-      // Close notification after 5 seconds
-      setTimeout(() => {
-        notification.close();
-      }, 5000);
-      
-      return notification;
-    } catch (error) {
-      console.error('Failed to show browser notification:', error);
-    }
+// How much a room or DM notifies: 'all', 'mentions' or 'muted'
+export const notificationLevel = (prefs, stream) => prefs?.levels?.[stream] || 'all';
+
+// The time of day as "HH:MM" in a time zone
+const timeOfDay = (date, timeZone) => new Intl.DateTimeFormat('en-GB', {
+  timeZone,
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23',
+}).format(date);
+
+// Whether `date` falls in quiet hours ({ enabled, start, end, timeZone }); a range such as
+// 22:00-08:00 wraps past midnight
+export const isQuietTime = (quietHours, date = new Date()) => {
+  if (!quietHours?.enabled || quietHours.start === quietHours.end) return false;
+  let now;
+  try {
+    now = timeOfDay(date, quietHours.timeZone);
+  } catch (_e) {
+    return false;
+  }
+  const { start, end } = quietHours;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// Messages notified per room or DM since it was last opened: { [key]: { count, lines } }
+const groups = new Map();
+const GROUP_LINES = 3;
+
+// Show a browser notification, merged with the earlier ones for the same room or DM: the first
+// message shows `title`, later ones `groupTitle(count)` with the latest few lines. Clicking
+// it focuses the window and runs `onClick`.
+export const showGroupedNotification = (key, { title, groupTitle, line, onClick }) => {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return null;
+
+  const group = groups.get(key) || { count: 0, lines: [] };
+  group.count += 1;
+  group.lines = [...group.lines, line].slice(-GROUP_LINES);
+  groups.set(key, group);
+  try {
+    const notification = new Notification(group.count > 1 ? groupTitle(group.count) : title, {
+      body: group.lines.join('\n'),
+      icon: '/favicon.ico',
+      tag: `chat-${key}`,
+      renotify: true,
+    });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+      groups.delete(key);
+      if (onClick) onClick();
+    };
+
+    // Close notification after 5 seconds
+    setTimeout(() => {
+      notification.close();
+    }, 5000);
+
+    return notification;
+  } catch (error) {
+    console.error('Failed to show browser notification:', error);
   }
   return null;
 };
 
+// Start counting afresh once the room or DM has been opened
+export const clearNotificationGroup = (key) => {
+  groups.delete(key);
+};
+
 // Request notification permission
 export const requestNotificationPermission = async () => {
   if ('Notification' in window && Notification.permission === 'default') {
@@ -55,4 +115,3 @@ export const requestNotificationPermission = async () => {
   }
   return Notification.permission === 'granted';
 };
-
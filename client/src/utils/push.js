@@ -0,0 +1,53 @@
+// Web Push subscription helpers: the browser side of /api/push on the server
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+export const pushSupported = () => 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// VAPID keys come base64url-encoded; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(window.atob(base64), (char) => char.charCodeAt(0));
+};
+
+const registration = () => navigator.serviceWorker.register(SERVICE_WORKER_URL);
+
+// This browser's current subscription, or null
+export const currentPushSubscription = async () => {
+  if (!pushSupported()) return null;
+  const existing = await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL);
+  return existing ? existing.pushManager.getSubscription() : null;
+};
+
+const sameKey = (buffer, key) => {
+  if (!buffer) return false;
+  const bytes = new Uint8Array(buffer);
+  return bytes.length === key.length && bytes.every((byte, i) => byte === key[i]);
+};
+
+// Subscribe this browser with the server's VAPID public key; resolves to the subscription.
+// One made with a different key can't receive this server's pushes, so it's replaced.
+export const subscribeToPush = async (publicKey) => {
+  const { pushManager } = await registration();
+  const applicationServerKey = urlBase64ToUint8Array(publicKey);
+  const existing = await pushManager.getSubscription();
+  if (existing) {
+    if (sameKey(existing.options?.applicationServerKey, applicationServerKey)) return existing;
+    await existing.unsubscribe();
+  }
+  return pushManager.subscribe({ userVisibleOnly: true, applicationServerKey });
+};
+
+// The room or DM a notification clicked while no tab was open asks for (see sw.js)
+export const streamToOpen = () => new URLSearchParams(window.location.search).get('open');
+
+// Tell a tab to open the room or DM of a notification clicked while it was open
+export const onPushNotificationClick = (handler) => {
+  if (!('serviceWorker' in navigator)) return () => {};
+  const listener = (event) => {
+    if (event.data?.type === 'open_stream') handler(event.data.message);
+  };
+  navigator.serviceWorker.addEventListener('message', listener);
+  return () => navigator.serviceWorker.removeEventListener('message', listener);
+};
@@ -0,0 +1,63 @@
+// index.js - Server configuration read from the environment
+
+const crypto = require('crypto');
+const path = require('path');
+const webpush = require('web-push');
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  // Without a fixed secret every restart invalidates all issued tokens
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('[config] JWT_SECRET is not set; using a random secret for this process');
+}
+
+let vapidKeys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+if (!vapidKeys.publicKey || !vapidKeys.privateKey) {
+  // Browsers subscribe to one public key, so their push subscriptions stop working on restart
+  vapidKeys = webpush.generateVAPIDKeys();
+  console.warn('[config] VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY are not set; using a random key pair for this process');
+}
+
+// A JSON object from the environment, or undefined when unset or invalid
+const parseJson = (name) => {
+  if (!process.env[name]) return undefined;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (_e) {
+    console.warn(`[config] ${name} is not valid JSON; ignoring it`);
+    return undefined;
+  }
+};
+
+module.exports = {
+  jwtSecret,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  // Comma-separated usernames that act as owner of every room, including the built-in ones
+  adminUsernames: (process.env.ADMIN_USERNAMES || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean),
+  // Where uploaded files and their thumbnails are written
+  uploadDir: process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+  maxUploadBytes: Number(process.env.MAX_UPLOAD_MB || 10) * 1024 * 1024,
+  // Link previews may fetch pages on private and loopback addresses (only for local testing)
+  unfurlAllowPrivate: process.env.UNFURL_ALLOW_PRIVATE === 'true',
+  unfurlTimeoutMs: Number(process.env.UNFURL_TIMEOUT_MS || 5000),
+  // Longest message text accepted, in characters
+  maxMessageLength: Number(process.env.MAX_MESSAGE_LENGTH || 4000),
+  // Token buckets overriding the defaults per event, e.g. {"send_message":{"capacity":5,"perSecond":1}}
+  rateLimits: parseJson('RATE_LIMITS'),
+  // How long a user who keeps hitting the rate limits is muted
+  autoMuteMs: Number(process.env.AUTO_MUTE_SECONDS || 60) * 1000,
+  // Broker that connects server instances, e.g. tcp://localhost:6380; unset for a single instance
+  brokerUrl: process.env.BROKER_URL || null,
+  // Names this instance in logs and to the other instances
+  instanceId: process.env.INSTANCE_ID || crypto.randomBytes(4).toString('hex'),
+  // Web Push: the key pair that signs pushes (`npx web-push generate-vapid-keys`) and a contact
+  // for push services, as a mailto: or https: URL
+  vapidPublicKey: vapidKeys.publicKey,
+  vapidPrivateKey: vapidKeys.privateKey,
+  vapidSubject: process.env.VAPID_SUBJECT || 'mailto:admin@localhost',
+  // Push endpoints may be plain http on private and loopback addresses (only for a local push stand-in)
+  pushAllowLocal: process.env.PUSH_ALLOW_LOCAL === 'true',
+};
@@ -0,0 +1,18 @@
+// requireAuth.js - Express middleware that requires a Bearer token
+
+const { verifyToken } = require('../utils/token');
+
+const createRequireAuth = (userModel) => (req, res, next) => {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const payload = verifyToken(token);
+  const account = payload && userModel.findById(payload.sub);
+  if (!account) {
+    return res.status(401).json({ message: 'Authentication required. Please log in.' });
+  }
+
+  req.user = { id: account.id, username: account.username };
+  next();
+};
+
+module.exports = { createRequireAuth };
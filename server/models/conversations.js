@@ -0,0 +1,104 @@
+// conversations.js - Direct-message conversations: between two users, or small groups
+
+const crypto = require('crypto');
+
+// Group conversations hold this many people, including their creator
+const GROUP_MIN = 3;
+const GROUP_MAX = 8;
+const GROUP_NAME_MAX = 50;
+
+const conversationError = (code, message) => ({ error: { code, message } });
+
+// A direct conversation is keyed by the pair of users, so both sides always find the same one.
+// The id doubles as the conversation's message stream (see messages.js).
+const directConversationId = (a, b) => `dm:${Math.min(a, b)}:${Math.max(a, b)}`;
+
+// A conversation as sent to clients, with participants expanded to public user records
+const toPublicConversation = (conversation, findUser) => ({
+  ...conversation,
+  participants: conversation.participants
+    .map(findUser)
+    .filter(Boolean)
+    .map(({ id, username }) => ({ id, username })),
+});
+
+const createConversationModel = (store) => {
+  // { id, type: 'direct' | 'group', participants: [userId...], createdAt }
+  // Groups also have a name (may be empty) and createdBy
+  const conversations = store.table('conversations');
+
+  const get = (id) => conversations.get(id);
+
+  const isParticipant = (id, userId) => {
+    const conversation = conversations.get(id);
+    return Boolean(conversation && conversation.participants.includes(userId));
+  };
+
+  // The direct conversation between two users, created the first time they talk
+  const ensureDirect = (a, b) => {
+    const id = directConversationId(a, b);
+    return conversations.get(id) || conversations.insert({
+      id,
+      type: 'direct',
+      participants: [Math.min(a, b), Math.max(a, b)],
+      createdAt: new Date().toISOString(),
+    });
+  };
+
+  const listFor = (userId) => conversations.find((c) => c.participants.includes(userId));
+
+  // Start a group with the creator and the given (existing) user ids
+  const createGroup = (creator, userIds, name) => {
+    const participants = [...new Set([creator.id, ...userIds])];
+    if (participants.length < GROUP_MIN || participants.length > GROUP_MAX) {
+      return conversationError(
+        'INVALID_PARTICIPANTS',
+        `Group conversations have ${GROUP_MIN} to ${GROUP_MAX} people, including you.`,
+      );
+    }
+    const conversation = conversations.insert({
+      id: `group:${crypto.randomBytes(8).toString('hex')}`,
+      type: 'group',
+      name: typeof name === 'string' ? name.trim().slice(0, GROUP_NAME_MAX) : '',
+      participants,
+      createdBy: creator.id,
+      createdAt: new Date().toISOString(),
+    });
+    return { conversation };
+  };
+
+  // Any participant of a group can add people to it; returns the ids that were new
+  const addParticipants = (id, actorId, userIds) => {
+    const conversation = conversations.get(id);
+    if (!conversation || conversation.type !== 'group' || !conversation.participants.includes(actorId)) {
+      return conversationError('CONVERSATION_NOT_FOUND', 'Conversation not found.');
+    }
+    const added = [...new Set(userIds)].filter((userId) => !conversation.participants.includes(userId));
+    if (added.length === 0) {
+      return conversationError('INVALID_PARTICIPANTS', 'Everyone you picked is already in this conversation.');
+    }
+    if (conversation.participants.length + added.length > GROUP_MAX) {
+      return conversationError('GROUP_FULL', `Group conversations have at most ${GROUP_MAX} people.`);
+    }
+    return {
+      conversation: conversations.update(id, { participants: [...conversation.participants, ...added] }),
+      added,
+    };
+  };
+
+  const leaveGroup = (id, userId) => {
+    const conversation = conversations.get(id);
+    if (!conversation || conversation.type !== 'group' || !conversation.participants.includes(userId)) {
+      return conversationError('CONVERSATION_NOT_FOUND', 'Conversation not found.');
+    }
+    return {
+      conversation: conversations.update(id, {
+        participants: conversation.participants.filter((participant) => participant !== userId),
+      }),
+    };
+  };
+
+  return { get, isParticipant, ensureDirect, listFor, createGroup, addParticipants, leaveGroup };
+};
+
+module.exports = { createConversationModel, directConversationId, toPublicConversation };
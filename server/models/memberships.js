@@ -0,0 +1,112 @@
+// memberships.js - Room member lists, roles, invitations, mutes and bans
+
+const key = (roomId, userId) => `${roomId}:${userId}`;
+
+const createMembershipModel = (store) => {
+  const members = store.table('room_members', { indexes: ['roomId', 'userId'] });
+  const invites = store.table('room_invites', { indexes: ['roomId', 'userId'] });
+  const mutes = store.table('room_mutes', { indexes: ['roomId'] });
+  const bans = store.table('room_bans', { indexes: ['roomId'] });
+
+  const isMember = (roomId, userId) => members.has(key(roomId, userId));
+
+  const get = (roomId, userId) => members.get(key(roomId, userId));
+
+  // Add a member (no-op if already one); returns the member row
+  const add = (roomId, user, { invitedBy = null, role = 'member' } = {}) => {
+    const existing = members.get(key(roomId, user.id));
+    if (existing) return existing;
+
+    invites.remove(key(roomId, user.id));
+    return members.insert({
+      id: key(roomId, user.id),
+      roomId,
+      userId: user.id,
+      username: user.username,
+      role,
+      invitedBy,
+      joinedAt: new Date().toISOString(),
+    });
+  };
+
+  const remove = (roomId, userId) => members.remove(key(roomId, userId));
+
+  const setRole = (roomId, userId, role) => members.update(key(roomId, userId), { role });
+
+  // Active mute expiry (ISO string) for a member, or null
+  const mutedUntil = (roomId, userId) => {
+    const mute = mutes.get(key(roomId, userId));
+    if (!mute || new Date(mute.until).getTime() <= Date.now()) return null;
+    return mute.until;
+  };
+
+  const mute = (roomId, userId, until, by) =>
+    mutes.get(key(roomId, userId))
+      ? mutes.update(key(roomId, userId), { until, by })
+      : mutes.insert({ id: key(roomId, userId), roomId, userId, until, by });
+
+  const unmute = (roomId, userId) => mutes.remove(key(roomId, userId));
+
+  const isBanned = (roomId, userId) => bans.has(key(roomId, userId));
+
+  // Banning also drops membership and any pending invitation
+  const ban = (roomId, userId, by) => {
+    members.remove(key(roomId, userId));
+    invites.remove(key(roomId, userId));
+    if (bans.has(key(roomId, userId))) return bans.get(key(roomId, userId));
+    return bans.insert({ id: key(roomId, userId), roomId, userId, by, createdAt: new Date().toISOString() });
+  };
+
+  const unban = (roomId, userId) => bans.remove(key(roomId, userId));
+
+  const listMembers = (roomId) =>
+    members.findBy('roomId', roomId).map(({ userId, username, role, joinedAt }) => ({
+      id: userId,
+      username,
+      role: role || 'member',
+      joinedAt,
+      mutedUntil: mutedUntil(roomId, userId),
+    }));
+
+  const roomsOf = (userId) => members.findBy('userId', userId).map((member) => member.roomId);
+
+  // Record an invitation; returns null if the user is already invited
+  const invite = (roomId, user, inviter) => {
+    if (invites.has(key(roomId, user.id))) return null;
+    return invites.insert({
+      id: key(roomId, user.id),
+      roomId,
+      userId: user.id,
+      invitedBy: { id: inviter.id, username: inviter.username },
+      createdAt: new Date().toISOString(),
+    });
+  };
+
+  const findInvite = (roomId, userId) => invites.get(key(roomId, userId));
+
+  const removeInvite = (roomId, userId) => invites.remove(key(roomId, userId));
+
+  const invitesFor = (userId) => invites.findBy('userId', userId);
+
+  return {
+    isMember,
+    get,
+    add,
+    remove,
+    setRole,
+    mutedUntil,
+    mute,
+    unmute,
+    isBanned,
+    ban,
+    unban,
+    listMembers,
+    roomsOf,
+    invite,
+    findInvite,
+    removeInvite,
+    invitesFor,
+  };
+};
+
+module.exports = { createMembershipModel };
@@ -0,0 +1,382 @@
+// messages.js - Room messages, private messages, read cursors and delivery receipts
+
+const { directConversationId } = require('./conversations');
+const { createSearchIndex } = require('../utils/searchIndex');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+// Most changes returned for one stream by changesSince; beyond that the client reloads
+const SYNC_LIMIT = 100;
+const MAX_SEARCH_RESULTS = 100;
+// Messages on each side of the target when jumping to a search result
+const CONTEXT_SIZE = 10;
+
+// Messages are ordered per stream: a room id, or a conversation id for private messages
+// (older private messages have no conversationId, so it's derived from the pair of users)
+const streamOf = (message) => {
+  if (!message.isPrivate) return message.room;
+  return message.conversationId || directConversationId(message.senderId, message.recipientId);
+};
+
+// What a message can be found by: its text and an attachment's file name
+const searchableText = (message) => {
+  if (message.system || message.deleted) return '';
+  return [...new Set([message.message, message.data && message.data.name])].filter(Boolean).join(' ');
+};
+
+// A date filter as a timestamp; a plain date used as the end of a range includes that whole day
+const parseDate = (value, endOfDay) => {
+  if (!value) return endOfDay ? Infinity : -Infinity;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) return endOfDay ? Infinity : -Infinity;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+};
+
+// Newest `limit` messages strictly older than `before`, plus whether there are more
+const pageOf = (list, { before, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const cutoff = before ? new Date(before).getTime() : Infinity;
+  const older = list.filter((m) => new Date(m.timestamp).getTime() < cutoff);
+  return {
+    messages: older.slice(-pageSize),
+    hasMore: older.length > pageSize,
+  };
+};
+
+// Position of the first entry in a seq-ordered list whose seq is greater than `seq`
+const firstAfter = (entries, seq) => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (entries[middle].seq <= seq) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+const createMessageModel = (store) => {
+  // Room and private messages share one table so ids never collide on the client
+  const messages = store.table('messages', { indexes: ['room', 'parentId', 'tempId', 'stream'] });
+  // Full-text index over every message, rebuilt from the table on startup
+  const searchIndex = createSearchIndex();
+  // Last sequence number handed out in each stream: { id: stream, value }
+  const sequences = store.table('sequences');
+  // How far each user has read each stream: id is `${stream}:${userId}`, seq the last message read
+  const readCursors = store.table('read_cursors', { indexes: ['stream'] });
+  // Delivery receipts: id is `${messageId}:${userId}`
+  const deliveryReceipts = store.table('delivery_receipts', { indexes: ['messageId'] });
+  // Per-message read receipts, only kept to seed the cursors of data written by older versions
+  const readReceipts = store.table('read_receipts', { indexes: ['messageId'] });
+  // Who an @here reached: id is the message id, userIds the members online when it was sent.
+  // Kept off the message, which everyone gets, so it can't give away invisible users.
+  const hereMentions = store.table('here_mentions');
+
+  const nextSeq = (stream) => {
+    const row = sequences.get(stream);
+    const value = (row ? row.value : 0) + 1;
+    if (row) {
+      sequences.update(stream, { value });
+    } else {
+      sequences.insert({ id: stream, value });
+    }
+    return value;
+  };
+
+  // Every message of each stream in seq order, { [stream]: [{ seq, id }] }, so a range of a
+  // stream (what's unread, what a read cursor moved past) is found without going through all
+  // of its history. Messages are never removed and keep their seq, so entries only get added.
+  const streamIndex = new Map();
+  const indexMessage = ({ stream, seq, id }) => {
+    if (!streamIndex.has(stream)) streamIndex.set(stream, []);
+    const entries = streamIndex.get(stream);
+    const position = firstAfter(entries, seq);
+    if (position > 0 && entries[position - 1].seq === seq) return;
+    entries.splice(position, 0, { seq, id });
+  };
+
+  // Messages of a stream with after < seq <= upTo, oldest first
+  const streamRange = (stream, after, upTo = Infinity) => {
+    // Reading the table first applies what other instances wrote, which indexes it
+    messages.count();
+    const entries = streamIndex.get(stream) || [];
+    const range = [];
+    for (let i = firstAfter(entries, after); i < entries.length && entries[i].seq <= upTo; i += 1) {
+      range.push(messages.get(entries[i].id));
+    }
+    return range;
+  };
+
+  const headOf = (stream) => {
+    const row = sequences.get(stream);
+    return row ? row.value : 0;
+  };
+
+  // Every new message takes the next number in its stream (seq), and every later change to
+  // it takes another (updatedSeq), so one cursor per stream covers both kinds of events
+  const add = (message) => {
+    const stream = streamOf(message);
+    const seq = nextSeq(stream);
+    const stored = messages.insert({ ...message, id: messages.nextId(), stream, seq, updatedSeq: seq });
+    indexMessage(stored);
+    searchIndex.add(stored.id, searchableText(stored));
+    return stored;
+  };
+
+  const touch = (id, changes) => {
+    const existing = messages.get(id);
+    if (!existing) return null;
+    const updated = messages.update(id, { ...changes, updatedSeq: nextSeq(existing.stream) });
+    searchIndex.add(id, searchableText(updated));
+    return updated;
+  };
+
+  // Messages stored before sequence numbers existed get them in their original order
+  messages.find((m) => m.seq === undefined).forEach((m) => {
+    const stream = streamOf(m);
+    const seq = nextSeq(stream);
+    messages.update(m.id, { stream, seq, updatedSeq: seq });
+  });
+  messages.find().forEach((m) => {
+    indexMessage(m);
+    searchIndex.add(m.id, searchableText(m));
+  });
+  // Cursors start at the latest message each user had a read receipt for
+  if (readCursors.find().length === 0) {
+    readReceipts.find().forEach(({ messageId, userId, username, timestamp }) => {
+      const message = messages.get(messageId);
+      if (!message) return;
+      const id = `${message.stream}:${userId}`;
+      const cursor = readCursors.get(id);
+      if (!cursor) {
+        readCursors.insert({ id, stream: message.stream, userId, username, seq: message.seq, timestamp });
+      } else if (message.seq > cursor.seq) {
+        readCursors.update(id, { seq: message.seq, timestamp });
+      }
+    });
+  }
+  // Messages written by other server instances sharing the store
+  messages.onRemoteChange((op, payload) => {
+    if (op === 'put') {
+      indexMessage(payload);
+      searchIndex.add(payload.id, searchableText(payload));
+    } else {
+      searchIndex.remove(payload);
+    }
+  });
+
+  const find = (id) => messages.get(id);
+
+  // A message the sender already sent with this client-generated id, so retries don't duplicate it
+  const findByTempId = (senderId, tempId) =>
+    messages.findBy('tempId', tempId).find(m => m.senderId === senderId) || null;
+
+  const update = (id, changes) => touch(id, changes);
+
+  // Change a message's text, keeping the previous versions in editHistory; `changes` are
+  // other fields that depend on the text
+  const edit = (id, text, changes = {}) => {
+    const existing = messages.get(id);
+    if (!existing) return null;
+    const editedAt = new Date().toISOString();
+    return touch(id, {
+      ...changes,
+      message: text,
+      editedAt,
+      editHistory: [
+        ...(existing.editHistory || []),
+        { message: existing.message, replacedAt: editedAt },
+      ],
+    });
+  };
+
+  // Replace a message with a tombstone: content, attachments, edits and reactions are dropped
+  const markDeleted = (id, deletedBy) =>
+    touch(id, {
+      deleted: true,
+      message: '',
+      data: null,
+      mentions: null,
+      previews: [],
+      reactions: {},
+      editHistory: [],
+      deletedBy,
+      deletedAt: new Date().toISOString(),
+    });
+
+  const getRoomMessages = (room) => messages.findBy('room', room).filter((m) => !m.isPrivate);
+
+  // Page backwards through a room's timeline: top-level messages strictly older than `before`
+  // (thread replies are loaded separately with getThread)
+  const getRoomPage = (room, options) => pageOf(getRoomMessages(room).filter((m) => !m.parentId), options);
+
+  const getConversationMessages = (conversationId) => messages.findBy('stream', conversationId);
+
+  // Page backwards through a conversation's private messages
+  const getConversationPage = (conversationId, options) => pageOf(getConversationMessages(conversationId), options);
+
+  const lastMessageOf = (stream) => {
+    messages.count();
+    const entries = streamIndex.get(stream) || [];
+    return entries.length ? messages.get(entries[entries.length - 1].id) : null;
+  };
+
+  // Sequence number of the last message a user read in a stream (0 if none)
+  const lastReadSeq = (stream, userId) => {
+    const cursor = readCursors.get(`${stream}:${userId}`);
+    return cursor ? cursor.seq : 0;
+  };
+
+  // Messages from others in a stream past the user's read cursor, optionally only those sent
+  // after `since` (an ISO timestamp). Thread replies don't count.
+  const unreadOf = (stream, userId, since) => {
+    return streamRange(stream, lastReadSeq(stream, userId))
+      .filter((m) => !m.system && !m.deleted && !m.parentId && m.senderId !== userId
+        && (!since || m.timestamp > since));
+  };
+
+  const unreadCount = (stream, userId, since = null) => unreadOf(stream, userId, since).length;
+
+  // Record the users a message's @here reached; an empty list forgets them
+  const setHereMentioned = (id, userIds) => {
+    if (userIds.length === 0) hereMentions.remove(id);
+    else if (hereMentions.has(id)) hereMentions.update(id, { userIds });
+    else hereMentions.insert({ id, userIds });
+  };
+
+  const hereMentioned = (id) => hereMentions.get(id)?.userIds || [];
+
+  // Unread messages that mention the user by name, with @room, or with an @here that reached them
+  const unreadMentionCount = (stream, userId, since = null) => unreadOf(stream, userId, since)
+    .filter((m) => m.mentions && (m.mentions.room || m.mentions.users.some((u) => u.id === userId)
+      || (m.mentions.here && hereMentioned(m.id).includes(userId))))
+    .length;
+
+  // Replies to a thread's root message, oldest first
+  const getThread = (parentId) => messages.findBy('parentId', parentId);
+
+  // Bump a thread root's reply counter; returns the updated root
+  const recordReply = (parentId, reply) => {
+    const parent = messages.get(parentId);
+    return touch(parentId, {
+      replyCount: (parent.replyCount || 0) + 1,
+      lastReplyAt: reply.timestamp,
+    });
+  };
+
+  // Messages in a stream created or changed after sequence number `since`, in sequence order.
+  // `truncated` means there were more than SYNC_LIMIT and only the latest are included.
+  const changesSince = (stream, since) => {
+    const changed = messages.findBy('stream', stream)
+      .filter((m) => m.updatedSeq > since)
+      .sort((a, b) => a.updatedSeq - b.updatedSeq);
+    return { messages: changed.slice(-SYNC_LIMIT), truncated: changed.length > SYNC_LIMIT };
+  };
+
+  // Ranked full-text search: [{ message, score, terms }], `terms` being the words that matched.
+  // `canSee(message)` limits results to what the searching user may read. Filters: sender
+  // (username), stream (a room or conversation id), from/to (dates) and hasAttachment.
+  const search = (query, { canSee, sender, stream, from, to, hasAttachment, limit = 50 } = {}) => {
+    const fromTime = parseDate(from, false);
+    const toTime = parseDate(to, true);
+    const senderKey = sender ? sender.toLowerCase() : null;
+    const accept = (id) => {
+      const m = messages.get(id);
+      if (!m) return false;
+      if (senderKey && (m.sender || '').toLowerCase() !== senderKey) return false;
+      if (stream && m.stream !== stream) return false;
+      const time = new Date(m.timestamp).getTime();
+      if (time < fromTime || time > toTime) return false;
+      if (hasAttachment && !(m.data && (m.type === 'image' || m.type === 'file'))) return false;
+      return canSee(m);
+    };
+    const size = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_SEARCH_RESULTS);
+    return searchIndex.search(query, { accept, limit: size })
+      .map(({ id, score, terms }) => ({ message: messages.get(id), score, terms }));
+  };
+
+  // A message with the messages around it in its timeline (top-level room messages, or its
+  // conversation), for jumping to a search result. hasMore tells whether older ones exist.
+  const getContext = (message) => {
+    const timeline = message.isPrivate
+      ? getConversationMessages(message.stream)
+      : getRoomMessages(message.room).filter((m) => !m.parentId);
+    const index = timeline.findIndex((m) => m.id === message.id);
+    const start = Math.max(index - CONTEXT_SIZE, 0);
+    return {
+      messages: timeline.slice(start, index + CONTEXT_SIZE + 1),
+      hasMore: start > 0,
+    };
+  };
+
+  // Move a user's read cursor in a stream forward to `seq` (at most the latest message). Returns
+  // { seq, timestamp, read }, `read` being the messages from others it moved past, or null if
+  // the cursor was already there.
+  const markReadUpTo = (stream, { userId, username }, seq) => {
+    const id = `${stream}:${userId}`;
+    const previous = lastReadSeq(stream, userId);
+    const target = Math.min(seq, headOf(stream));
+    if (target <= previous) return null;
+
+    const timestamp = new Date().toISOString();
+    if (readCursors.has(id)) {
+      readCursors.update(id, { seq: target, timestamp });
+    } else {
+      readCursors.insert({ id, stream, userId, username, seq: target, timestamp });
+    }
+    const read = streamRange(stream, previous, target)
+      .filter((m) => !m.system && m.senderId !== userId);
+    return { seq: target, timestamp, read };
+  };
+
+  // Record that a message reached one of a user's devices; returns the receipt, or null if it already had
+  const markDelivered = (messageId, { userId, username }) => {
+    const id = `${messageId}:${userId}`;
+    if (deliveryReceipts.has(id)) return null;
+    return deliveryReceipts.insert({ id, messageId, userId, username, timestamp: new Date().toISOString() });
+  };
+
+  // Who a message has been delivered to and read by (read cursors at or past it), for its sender
+  const receiptsFor = (messageId) => {
+    const message = messages.get(messageId);
+    const summary = ({ userId, username, timestamp }) => ({ userId, username, timestamp });
+    return {
+      deliveredTo: deliveryReceipts.findBy('messageId', messageId).map(summary),
+      readBy: message
+        ? readCursors.findBy('stream', message.stream)
+          .filter((cursor) => cursor.seq >= message.seq && cursor.userId !== message.senderId)
+          .map(summary)
+        : [],
+    };
+  };
+
+  return {
+    add,
+    find,
+    findByTempId,
+    update,
+    edit,
+    markDeleted,
+    getRoomMessages,
+    getRoomPage,
+    getConversationMessages,
+    getConversationPage,
+    lastMessageOf,
+    lastReadSeq,
+    unreadCount,
+    unreadMentionCount,
+    setHereMentioned,
+    hereMentioned,
+    getThread,
+    recordReply,
+    search,
+    getContext,
+    markReadUpTo,
+    markDelivered,
+    receiptsFor,
+    headOf,
+    changesSince,
+  };
+};
+
+module.exports = { createMessageModel };
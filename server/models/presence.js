@@ -0,0 +1,93 @@
+// presence.js - Online users, each mapped to the sockets (tabs/devices) they have open
+//
+// Sockets are kept in a map shared by every server instance (see pubsub/sharedMap.js), so a
+// user counts as online wherever their sockets are connected. What others see combines that
+// with the status the user picked (see users.js):
+//   offline    no sockets, or the user is invisible
+//   dnd        do not disturb
+//   idle       picked "idle", or every one of their tabs has been inactive for a while
+//   online     otherwise
+
+// Socket.io room that every socket of a user joins, used to fan out per-user events
+const userRoom = (userId) => `user:${userId}`;
+
+// `sockets` is a shared map of { [socketId]: { id, username, idle } }
+const createPresence = (sockets, userModel) => {
+  const socketsOf = (userId) => sockets.values().filter((user) => user.id === userId);
+
+  // Register a socket; firstConnection is true when the user just came online
+  const addSocket = ({ id, username }, socketId) => {
+    const firstConnection = !isOnline(id);
+    sockets.set(socketId, { id, username, idle: false });
+    return { user: { id, username }, firstConnection };
+  };
+
+  // A tab reports whether its user has stopped interacting with it
+  const setIdle = (socketId, idle) => {
+    const user = sockets.get(socketId);
+    if (user && user.idle !== idle) sockets.set(socketId, { ...user, idle });
+  };
+
+  // Unregister a socket; lastConnection is true when the user has no sockets left
+  const removeSocket = (userId, socketId) => {
+    const user = sockets.get(socketId);
+    if (!user) return { user: null, lastConnection: false };
+
+    sockets.delete(socketId);
+    return { user, lastConnection: !isOnline(userId) };
+  };
+
+  const get = (userId) => {
+    const [user] = socketsOf(userId);
+    return user ? { id: user.id, username: user.username } : null;
+  };
+
+  const isOnline = (userId) => socketsOf(userId).length > 0;
+
+  // What other users see: { id, username, status, customStatus, lastSeenAt }, where
+  // lastSeenAt is only set for offline users
+  const describe = (userId) => {
+    const account = userModel.findById(userId);
+    if (!account) return null;
+    const { status: picked, customStatus } = userModel.presenceSettings(userId);
+    const userSockets = socketsOf(userId);
+    let status = 'online';
+    if (userSockets.length === 0 || picked === 'invisible') {
+      status = 'offline';
+    } else if (picked === 'dnd') {
+      status = 'dnd';
+    } else if (picked === 'idle' || userSockets.every((user) => user.idle)) {
+      status = 'idle';
+    }
+    return {
+      id: account.id,
+      username: account.username,
+      status,
+      customStatus,
+      lastSeenAt: status === 'offline' ? account.lastSeenAt || null : null,
+    };
+  };
+
+  // Everyone's presence, for a client that just connected
+  const describeAll = () => userModel.list().map((account) => describe(account.id));
+
+  // Users with at least one socket, invisible ones included (for server-side fan-out)
+  const list = () => {
+    const online = new Map();
+    sockets.values().forEach(({ id, username }) => online.set(id, { id, username }));
+    return Array.from(online.values());
+  };
+
+  return {
+    addSocket,
+    removeSocket,
+    setIdle,
+    get,
+    isOnline,
+    describe,
+    describeAll,
+    list,
+  };
+};
+
+module.exports = { createPresence, userRoom };
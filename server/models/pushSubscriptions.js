@@ -0,0 +1,65 @@
+// pushSubscriptions.js - Browsers that asked to get Web Push notifications for a user
+
+const ENDPOINT_MAX = 2000;
+const KEY_MAX = 200;
+
+const isKey = (value) => typeof value === 'string' && value.length > 0 && value.length <= KEY_MAX;
+
+// Returns an error, or null when a subscription from PushManager.subscribe() looks usable.
+// Push services are reached over https; `allowHttp` is for a local stand-in.
+const validateSubscription = (subscription, { allowHttp = false } = {}) => {
+  const { endpoint, keys } = subscription || {};
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (_e) {
+    url = null;
+  }
+  const protocols = allowHttp ? ['https:', 'http:'] : ['https:'];
+  if (!url || !protocols.includes(url.protocol) || endpoint.length > ENDPOINT_MAX) {
+    return { code: 'INVALID_SUBSCRIPTION', message: 'The subscription endpoint must be an https URL.' };
+  }
+  if (!keys || !isKey(keys.p256dh) || !isKey(keys.auth)) {
+    return { code: 'INVALID_SUBSCRIPTION', message: 'The subscription needs its p256dh and auth keys.' };
+  }
+  return null;
+};
+
+const createPushSubscriptionModel = (store) => {
+  // Keyed by endpoint, which the push service makes unique per browser and app
+  const subscriptions = store.table('push_subscriptions', { indexes: ['userId'] });
+
+  // A browser that subscribes again, possibly for whoever signed in on it since, replaces its
+  // earlier subscription
+  const add = (userId, { endpoint, keys }) => {
+    subscriptions.remove(endpoint);
+    return subscriptions.insert({
+      id: endpoint,
+      userId,
+      keys: { p256dh: keys.p256dh, auth: keys.auth },
+      createdAt: new Date().toISOString(),
+    });
+  };
+
+  // Only the user who owns a subscription may remove it; returns whether it was removed
+  const removeFor = (userId, endpoint) => {
+    const subscription = subscriptions.get(endpoint);
+    return Boolean(subscription && subscription.userId === userId && subscriptions.remove(endpoint));
+  };
+
+  // The push service said the subscription is gone (unsubscribed or expired)
+  const remove = (endpoint) => subscriptions.remove(endpoint);
+
+  // In the shape web-push expects: { endpoint, keys }
+  const listFor = (userId) => subscriptions.findBy('userId', userId)
+    .map(({ id, keys }) => ({ endpoint: id, keys }));
+
+  return {
+    add,
+    removeFor,
+    remove,
+    listFor,
+  };
+};
+
+module.exports = { createPushSubscriptionModel, validateSubscription };
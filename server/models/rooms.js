@@ -0,0 +1,360 @@
+// rooms.js - Chat rooms and their metadata
+//
+// A room's id is a slug derived from its name when it is created and never changes,
+// so messages and Socket.io rooms keep working after a rename.
+//
+// Visibility:
+//   public       listed for everyone, anyone can join and read
+//   invite-only  listed for everyone, only members (by invitation) can join and read
+//   private      hidden from non-members, only members (by invitation) can join and read
+//
+// Roles, per room: owner (the creator, or a server admin) > moderator > member.
+// Moderators can mute, kick, ban and remove messages of anyone ranked below them.
+
+const NAME_MIN = 2;
+const NAME_MAX = 30;
+const TOPIC_MAX = 120;
+const DESCRIPTION_MAX = 500;
+const DEFAULT_ROOMS = ['general', 'random', 'tech', 'gaming'];
+const VISIBILITIES = ['public', 'invite-only', 'private'];
+const RANKS = { member: 1, moderator: 2, owner: 3 };
+const MAX_MUTE_MINUTES = 7 * 24 * 60;
+
+const slugify = (name) =>
+  name
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
+const roomError = (code, message) => ({ error: { code, message } });
+
+// Returns an error message for invalid metadata, or null. Updates may leave the name out.
+const validateMetadata = ({ name, topic, description, visibility }, { nameRequired = false } = {}) => {
+  if (name !== undefined || nameRequired) {
+    if (typeof name !== 'string' || name.trim().length < NAME_MIN || name.trim().length > NAME_MAX) {
+      return `Room name must be between ${NAME_MIN} and ${NAME_MAX} characters.`;
+    }
+    if (!slugify(name)) {
+      return 'Room name must contain letters or numbers.';
+    }
+  }
+  if (topic !== undefined && (typeof topic !== 'string' || topic.length > TOPIC_MAX)) {
+    return `Topic must be at most ${TOPIC_MAX} characters.`;
+  }
+  if (description !== undefined && (typeof description !== 'string' || description.length > DESCRIPTION_MAX)) {
+    return `Description must be at most ${DESCRIPTION_MAX} characters.`;
+  }
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    return `Visibility must be one of: ${VISIBILITIES.join(', ')}.`;
+  }
+  return null;
+};
+
+// Rooms created before visibility existed are public
+const visibilityOf = (room) => room.visibility || 'public';
+
+const createRoomModel = (store, memberships, { isAdmin = () => false } = {}) => {
+  const rooms = store.table('rooms');
+
+  // Create the built-in rooms the first time the server runs
+  DEFAULT_ROOMS.forEach((name) => {
+    if (!rooms.has(name)) {
+      rooms.insert({
+        id: name,
+        name,
+        topic: '',
+        description: '',
+        visibility: 'public',
+        createdBy: null,
+        createdAt: new Date().toISOString(),
+        archived: false,
+      });
+    }
+  });
+
+  const get = (id) => rooms.get(id);
+
+  const isActive = (id) => {
+    const room = rooms.get(id);
+    return Boolean(room && !room.archived);
+  };
+
+  const list = ({ includeArchived = false } = {}) =>
+    rooms.find((room) => includeArchived || !room.archived);
+
+  // Whether a user may see that a room exists
+  const canView = (id, userId) => {
+    const room = rooms.get(id);
+    return Boolean(room && (visibilityOf(room) !== 'private' || memberships.isMember(id, userId)));
+  };
+
+  // Whether a user may read a room's history (archived rooms stay readable)
+  const canRead = (id, userId) => {
+    const room = rooms.get(id);
+    if (!room || memberships.isBanned(id, userId)) return false;
+    return visibilityOf(room) === 'public' || memberships.isMember(id, userId);
+  };
+
+  // Whether a user may join a room
+  const canJoin = (id, userId) => isActive(id) && canRead(id, userId);
+
+  // Why a user can't join a room, or null if they can
+  const checkJoin = (id, userId) => {
+    if (!canView(id, userId)) return { code: 'ROOM_NOT_FOUND', message: 'That room does not exist.' };
+    if (memberships.isBanned(id, userId)) return { code: 'BANNED', message: 'You are banned from this room.' };
+    if (!isActive(id)) return { code: 'ROOM_ARCHIVED', message: 'This room is archived.' };
+    if (!canRead(id, userId)) return { code: 'NOT_A_MEMBER', message: 'You need an invitation to join this room.' };
+    return null;
+  };
+
+  // Why a user can't post (or type or react) in a room, or null if they can
+  const checkPost = (id, userId) => {
+    const denied = checkJoin(id, userId);
+    if (denied) return denied;
+    const until = memberships.mutedUntil(id, userId);
+    if (until) {
+      return { code: 'MUTED', message: `You are muted in this room until ${new Date(until).toLocaleTimeString()}.`, until };
+    }
+    return null;
+  };
+
+  // The user's role in a room, or null if they have none
+  const roleOf = (id, userId) => {
+    const room = rooms.get(id);
+    if (!room) return null;
+    if (isAdmin(userId) || (room.createdBy && room.createdBy.id === userId)) return 'owner';
+    const member = memberships.get(id, userId);
+    return member ? member.role || 'member' : null;
+  };
+
+  const rankOf = (id, userId) => RANKS[roleOf(id, userId)] || 0;
+
+  // Member list with effective roles (the creator and admins show as owner)
+  const listMembers = (id) =>
+    memberships.listMembers(id).map((member) => ({ ...member, role: roleOf(id, member.id) }));
+
+  // Rooms visible to one user
+  const listFor = (userId, options) => list(options).filter((room) => canView(room.id, userId));
+
+  const nameTaken = (name, exceptId) =>
+    rooms.find((room) => room.id !== exceptId && room.name.toLowerCase() === name.trim().toLowerCase()).length > 0;
+
+  const create = ({ name, topic = '', description = '', visibility = 'public' }, user) => {
+    const invalid = validateMetadata({ name, topic, description, visibility }, { nameRequired: true });
+    if (invalid) return roomError('INVALID_ROOM', invalid);
+
+    const id = slugify(name);
+    if (rooms.has(id) || nameTaken(name)) {
+      return roomError('ROOM_EXISTS', 'A room with that name already exists.');
+    }
+
+    const room = rooms.insert({
+      id,
+      name: name.trim(),
+      topic: topic.trim(),
+      description: description.trim(),
+      visibility,
+      createdBy: { id: user.id, username: user.username },
+      createdAt: new Date().toISOString(),
+      archived: false,
+    });
+    memberships.add(id, user, { role: 'owner' });
+    return { room };
+  };
+
+  // Only owners may change a room; built-in rooms are owned by server admins only
+  const checkOwner = (room, user) => {
+    if (!room) return roomError('ROOM_NOT_FOUND', 'Room not found.');
+    if (rankOf(room.id, user.id) < RANKS.owner) {
+      return roomError('FORBIDDEN', 'Only the room owner can change this room.');
+    }
+    return null;
+  };
+
+  // Moderation needs at least moderator rank, and a strictly higher rank than the target
+  const checkModerator = (room, actor, targetId) => {
+    if (!room) return roomError('ROOM_NOT_FOUND', 'Room not found.');
+    const actorRank = rankOf(room.id, actor.id);
+    if (actorRank < RANKS.moderator) {
+      return roomError('FORBIDDEN', 'Only moderators can do that.');
+    }
+    if (targetId !== undefined && rankOf(room.id, targetId) >= actorRank) {
+      return roomError('FORBIDDEN', 'You cannot moderate someone with an equal or higher role.');
+    }
+    return null;
+  };
+
+  const update = (id, { name, topic, description, visibility }, user) => {
+    const room = rooms.get(id);
+    const denied = checkOwner(room, user);
+    if (denied) return denied;
+    if (room.archived) return roomError('ROOM_ARCHIVED', 'Archived rooms cannot be changed.');
+
+    const invalid = validateMetadata({ name, topic, description, visibility });
+    if (invalid) return roomError('INVALID_ROOM', invalid);
+    if (name !== undefined && nameTaken(name, id)) {
+      return roomError('ROOM_EXISTS', 'A room with that name already exists.');
+    }
+
+    const changes = { updatedAt: new Date().toISOString() };
+    if (name !== undefined) changes.name = name.trim();
+    if (topic !== undefined) changes.topic = topic.trim();
+    if (description !== undefined) changes.description = description.trim();
+    if (visibility !== undefined) changes.visibility = visibility;
+    return { room: rooms.update(id, changes) };
+  };
+
+  const archive = (id, user) => {
+    const room = rooms.get(id);
+    const denied = checkOwner(room, user);
+    if (denied) return denied;
+    if (room.archived) return roomError('ROOM_ARCHIVED', 'Room is already archived.');
+
+    return { room: rooms.update(id, { archived: true, archivedAt: new Date().toISOString() }) };
+  };
+
+  // Any member of a non-public room can invite someone who isn't a member yet
+  const invite = (id, invitee, inviter) => {
+    const room = rooms.get(id);
+    if (!room || !canView(id, inviter.id)) return roomError('ROOM_NOT_FOUND', 'Room not found.');
+    if (room.archived) return roomError('ROOM_ARCHIVED', 'Archived rooms cannot be joined.');
+    if (visibilityOf(room) === 'public') {
+      return roomError('INVALID_INVITE', 'Public rooms do not need invitations.');
+    }
+    if (!memberships.isMember(id, inviter.id)) {
+      return roomError('FORBIDDEN', 'Only members can invite people to this room.');
+    }
+    if (!invitee) return roomError('USER_NOT_FOUND', 'User not found.');
+    if (memberships.isMember(id, invitee.id)) {
+      return roomError('INVALID_INVITE', `${invitee.username} is already a member.`);
+    }
+
+    const invitation = memberships.invite(id, invitee, inviter);
+    if (!invitation) return roomError('INVALID_INVITE', `${invitee.username} has already been invited.`);
+    return { room, invitation };
+  };
+
+  const acceptInvite = (id, user) => {
+    const invitation = memberships.findInvite(id, user.id);
+    if (!invitation) return roomError('INVITE_NOT_FOUND', 'You have no invitation to this room.');
+    if (!isActive(id)) {
+      memberships.removeInvite(id, user.id);
+      return roomError('ROOM_ARCHIVED', 'That room has been archived.');
+    }
+
+    memberships.add(id, user, { invitedBy: invitation.invitedBy });
+    return { room: rooms.get(id) };
+  };
+
+  const declineInvite = (id, user) => {
+    if (!memberships.removeInvite(id, user.id)) {
+      return roomError('INVITE_NOT_FOUND', 'You have no invitation to this room.');
+    }
+    return { room: rooms.get(id) };
+  };
+
+  const kick = (id, targetId, actor) => {
+    const room = rooms.get(id);
+    const denied = checkModerator(room, actor, targetId);
+    if (denied) return denied;
+    if (!memberships.remove(id, targetId)) {
+      return roomError('NOT_A_MEMBER', 'That user is not a member of this room.');
+    }
+    return { room };
+  };
+
+  const ban = (id, targetId, actor) => {
+    const room = rooms.get(id);
+    const denied = checkModerator(room, actor, targetId);
+    if (denied) return denied;
+    memberships.ban(id, targetId, { id: actor.id, username: actor.username });
+    return { room };
+  };
+
+  const unban = (id, targetId, actor) => {
+    const room = rooms.get(id);
+    const denied = checkModerator(room, actor);
+    if (denied) return denied;
+    if (!memberships.unban(id, targetId)) {
+      return roomError('NOT_BANNED', 'That user is not banned from this room.');
+    }
+    return { room };
+  };
+
+  const mute = (id, targetId, minutes, actor) => {
+    const room = rooms.get(id);
+    const denied = checkModerator(room, actor, targetId);
+    if (denied) return denied;
+    const duration = Number(minutes);
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_MUTE_MINUTES) {
+      return roomError('INVALID_MUTE', `Mute duration must be between 1 and ${MAX_MUTE_MINUTES} minutes.`);
+    }
+
+    const until = new Date(Date.now() + duration * 60 * 1000).toISOString();
+    memberships.mute(id, targetId, until, { id: actor.id, username: actor.username });
+    return { room, until };
+  };
+
+  const unmute = (id, targetId, actor) => {
+    const room = rooms.get(id);
+    const denied = checkModerator(room, actor, targetId);
+    if (denied) return denied;
+    if (!memberships.unmute(id, targetId)) {
+      return roomError('NOT_MUTED', 'That user is not muted.');
+    }
+    return { room };
+  };
+
+  // Owners promote members to moderator and demote them again
+  const setRole = (id, targetId, role, actor) => {
+    const room = rooms.get(id);
+    const denied = checkOwner(room, actor);
+    if (denied) return denied;
+    if (!['member', 'moderator'].includes(role)) {
+      return roomError('INVALID_ROLE', 'Role must be member or moderator.');
+    }
+    if (!memberships.isMember(id, targetId)) {
+      return roomError('NOT_A_MEMBER', 'That user is not a member of this room.');
+    }
+    if (rankOf(id, targetId) >= RANKS.owner) {
+      return roomError('FORBIDDEN', 'The owner\'s role cannot be changed.');
+    }
+    memberships.setRole(id, targetId, role);
+    return { room };
+  };
+
+  // Whether a user may remove someone else's message in a room
+  const checkRemoveMessage = (id, actor, message) => checkModerator(rooms.get(id), actor, message.senderId);
+
+  return {
+    get,
+    isActive,
+    list,
+    listFor,
+    canView,
+    canRead,
+    canJoin,
+    checkJoin,
+    checkPost,
+    roleOf,
+    listMembers,
+    create,
+    update,
+    archive,
+    invite,
+    acceptInvite,
+    declineInvite,
+    kick,
+    ban,
+    unban,
+    mute,
+    unmute,
+    setRole,
+    checkRemoveMessage,
+  };
+};
+
+module.exports = { createRoomModel };
@@ -0,0 +1,56 @@
+// uploads.js - Files uploaded over REST and attached to messages
+
+// Accepted MIME types; anything else is rejected before it reaches the disk
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const FILE_TYPES = [
+  'application/pdf',
+  'application/zip',
+  'text/plain',
+  'text/csv',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'audio/mpeg',
+  'video/mp4',
+];
+
+const isImageType = (mimeType) => IMAGE_TYPES.includes(mimeType);
+const isAllowedType = (mimeType) => isImageType(mimeType) || FILE_TYPES.includes(mimeType);
+
+// What gets embedded in a message's `data` field
+const toAttachment = (upload) => ({
+  id: upload.id,
+  name: upload.originalName,
+  mimeType: upload.mimeType,
+  size: upload.size,
+  url: `/uploads/${upload.filename}`,
+  thumbnailUrl: upload.thumbnail ? `/uploads/${upload.thumbnail}` : null,
+});
+
+const createUploadModel = (store) => {
+  const uploads = store.table('uploads', { indexes: ['uploadedBy'] });
+
+  const add = ({ filename, originalName, mimeType, size, thumbnail }, uploader) =>
+    uploads.insert({
+      filename,
+      originalName,
+      mimeType,
+      size,
+      thumbnail: thumbnail || null,
+      uploadedBy: uploader.id,
+      createdAt: new Date().toISOString(),
+    });
+
+  const get = (id) => uploads.get(id);
+
+  // Attachments can only be sent by the user who uploaded them
+  const attachmentFor = (id, userId) => {
+    const upload = uploads.get(Number(id));
+    return upload && upload.uploadedBy === userId ? toAttachment(upload) : null;
+  };
+
+  return { add, get, attachmentFor };
+};
+
+module.exports = { createUploadModel, toAttachment, isImageType, isAllowedType };
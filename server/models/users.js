@@ -0,0 +1,227 @@
+// users.js - Registered user accounts
+
+const bcrypt = require('bcryptjs');
+const { adminUsernames } = require('../config');
+
+const USERNAME_MIN = 3;
+const USERNAME_MAX = 20;
+const PASSWORD_MIN = 6;
+// Availability a user can pick; "idle" is also set automatically after inactivity
+const STATUSES = ['online', 'idle', 'dnd', 'invisible'];
+const CUSTOM_STATUS_MAX = 100;
+// How much a room or DM notifies: every message, only mentions of the user, or nothing
+const NOTIFICATION_LEVELS = ['all', 'mentions', 'muted'];
+const NOTIFICATION_SOUNDS = ['beep', 'chime', 'pop', 'none'];
+const DEFAULT_NOTIFICATIONS = {
+  levels: {}, // { [room or conversation id]: level } for the ones not on "all"
+  sound: 'beep',
+  // Times of day in the user's time zone; the range may wrap past midnight
+  quietHours: { enabled: false, start: '22:00', end: '08:00', timeZone: 'UTC' },
+};
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_e) {
+    return false;
+  }
+};
+
+// Whether `date` falls in quiet hours; a range such as 22:00-08:00 wraps past midnight
+const isQuietTime = (quietHours, date) => {
+  if (!quietHours || !quietHours.enabled || quietHours.start === quietHours.end) return false;
+  const now = new Intl.DateTimeFormat('en-GB', {
+    timeZone: quietHours.timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).format(date);
+  const { start, end } = quietHours;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+};
+
+// Only the fields that are safe to send to clients
+const toPublic = (account) => ({ id: account.id, username: account.username, createdAt: account.createdAt });
+
+const createUserModel = (store) => {
+  // usernameKey is the lowercased name, so uniqueness is case-insensitive
+  const accounts = store.table('users', { indexes: ['usernameKey'] });
+
+  const findById = (id) => accounts.get(id);
+
+  const findByUsername = (username) => accounts.findBy('usernameKey', username.toLowerCase())[0] || null;
+
+  // Server-wide admins are configured with ADMIN_USERNAMES
+  const isAdmin = (id) => {
+    const account = accounts.get(id);
+    return Boolean(account && adminUsernames.includes(account.usernameKey));
+  };
+
+  // Returns an error message, or null when the credentials are acceptable
+  const validateCredentials = (username, password) => {
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return 'Username and password are required.';
+    }
+    const trimmed = username.trim();
+    if (trimmed.length < USERNAME_MIN || trimmed.length > USERNAME_MAX) {
+      return `Username must be between ${USERNAME_MIN} and ${USERNAME_MAX} characters.`;
+    }
+    if (password.length < PASSWORD_MIN) {
+      return `Password must be at least ${PASSWORD_MIN} characters.`;
+    }
+    return null;
+  };
+
+  const register = async (username, password) => {
+    const trimmed = username.trim();
+    if (findByUsername(trimmed)) {
+      return null;
+    }
+    const passwordHash = await bcrypt.hash(password, 10);
+    // Another registration for the name may have finished while we were hashing
+    if (findByUsername(trimmed)) {
+      return null;
+    }
+    return accounts.insert({
+      username: trimmed,
+      usernameKey: trimmed.toLowerCase(),
+      passwordHash,
+      createdAt: new Date().toISOString(),
+    });
+  };
+
+  // Returns the account when the password matches, otherwise null
+  const authenticate = async (username, password) => {
+    const account = findByUsername(username.trim());
+    if (!account) return null;
+    const matches = await bcrypt.compare(password, account.passwordHash);
+    return matches ? account : null;
+  };
+
+  // The presence a user picked: { status, customStatus: { emoji, text, expiresAt } | null }.
+  // An expired custom status reads as null.
+  const presenceSettings = (id) => {
+    const account = accounts.get(id);
+    const custom = account && account.customStatus;
+    const active = custom && (!custom.expiresAt || new Date(custom.expiresAt) > new Date());
+    return {
+      status: (account && account.status) || 'online',
+      customStatus: active ? custom : null,
+    };
+  };
+
+  // Returns { error } or the new settings
+  const setStatus = (id, status) => {
+    if (!STATUSES.includes(status)) {
+      return { error: { code: 'INVALID_STATUS', message: `Status must be one of ${STATUSES.join(', ')}.` } };
+    }
+    accounts.update(id, { status });
+    return presenceSettings(id);
+  };
+
+  // An empty emoji and text clear the custom status; expiresInMinutes is optional
+  const setCustomStatus = (id, { emoji = '', text = '', expiresInMinutes } = {}) => {
+    const trimmed = text.trim();
+    if (trimmed.length > CUSTOM_STATUS_MAX) {
+      return { error: { code: 'INVALID_STATUS', message: `Status text must be at most ${CUSTOM_STATUS_MAX} characters.` } };
+    }
+    const customStatus = emoji || trimmed
+      ? {
+        emoji: emoji || null,
+        text: trimmed,
+        expiresAt: expiresInMinutes ? new Date(Date.now() + expiresInMinutes * 60000).toISOString() : null,
+      }
+      : null;
+    accounts.update(id, { customStatus });
+    return presenceSettings(id);
+  };
+
+  // Drop custom statuses that have run out; returns the ids of the users who had one
+  const clearExpiredStatuses = (now = new Date()) => list()
+    .filter((account) => account.customStatus?.expiresAt && new Date(account.customStatus.expiresAt) <= now)
+    .map((account) => {
+      accounts.update(account.id, { customStatus: null });
+      return account.id;
+    });
+
+  // { levels, sound, quietHours: { enabled, start, end, timeZone } }, kept on the account so
+  // they follow the user to every device
+  const notificationPrefs = (id) => {
+    const account = accounts.get(id);
+    return { ...DEFAULT_NOTIFICATIONS, ...(account && account.notifications) };
+  };
+
+  // Returns { error } or the new preferences
+  const setNotificationLevel = (id, stream, level) => {
+    if (!NOTIFICATION_LEVELS.includes(level)) {
+      return { error: { code: 'INVALID_LEVEL', message: `Level must be one of ${NOTIFICATION_LEVELS.join(', ')}.` } };
+    }
+    const prefs = notificationPrefs(id);
+    const levels = { ...prefs.levels };
+    if (level === 'all') {
+      delete levels[stream];
+    } else {
+      levels[stream] = level;
+    }
+    accounts.update(id, { notifications: { ...prefs, levels } });
+    return notificationPrefs(id);
+  };
+
+  // `sound` and `quietHours` are both optional; returns { error } or the new preferences
+  const setNotificationSettings = (id, { sound, quietHours } = {}) => {
+    if (sound !== undefined && !NOTIFICATION_SOUNDS.includes(sound)) {
+      return { error: { code: 'INVALID_SOUND', message: `Sound must be one of ${NOTIFICATION_SOUNDS.join(', ')}.` } };
+    }
+    if (quietHours && !isTimeZone(quietHours.timeZone)) {
+      return { error: { code: 'INVALID_TIME_ZONE', message: `Unknown time zone "${quietHours.timeZone}".` } };
+    }
+    const prefs = notificationPrefs(id);
+    accounts.update(id, {
+      notifications: { ...prefs, ...(sound !== undefined && { sound }), ...(quietHours && { quietHours }) },
+    });
+    return notificationPrefs(id);
+  };
+
+  // Whether a message in a room or DM should notify the user while they're away. `addressed`
+  // means it's for them in particular (a one-to-one DM or a mention), which "mentions only"
+  // lets through. Nothing notifies in quiet hours or on do not disturb.
+  const wantsNotification = (id, stream, { addressed = false } = {}, date = new Date()) => {
+    const prefs = notificationPrefs(id);
+    const level = prefs.levels[stream] || 'all';
+    if (level === 'muted' || (level === 'mentions' && !addressed)) return false;
+    if (presenceSettings(id).status === 'dnd') return false;
+    return !isQuietTime(prefs.quietHours, date);
+  };
+
+  const setLastSeen = (id, lastSeenAt) => accounts.update(id, { lastSeenAt });
+
+  const list = () => accounts.find();
+
+  return {
+    findById,
+    findByUsername,
+    isAdmin,
+    validateCredentials,
+    register,
+    authenticate,
+    presenceSettings,
+    setStatus,
+    setCustomStatus,
+    clearExpiredStatuses,
+    notificationPrefs,
+    setNotificationLevel,
+    setNotificationSettings,
+    wantsNotification,
+    setLastSeen,
+    list,
+  };
+};
+
+module.exports = {
+  createUserModel,
+  toPublic,
+  STATUSES,
+  NOTIFICATION_LEVELS,
+  NOTIFICATION_SOUNDS,
+};
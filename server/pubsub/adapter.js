@@ -0,0 +1,41 @@
+// adapter.js - Socket.io adapter that relays broadcasts between instances through a broker
+//
+// socket.io-adapter's ClusterAdapterWithHeartbeat does the work (broadcasts, socketsJoin /
+// socketsLeave, fetchSockets, noticing instances that went away); it only needs a way to
+// publish to every instance and to answer one of them.
+
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// Usage: new Server(httpServer, { adapter: createBrokerAdapter(broker) })
+const createBrokerAdapter = (broker, { heartbeatInterval = 5000, heartbeatTimeout = 10000 } = {}) => {
+  class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp) {
+      super(nsp, { heartbeatInterval, heartbeatTimeout });
+      this.channel = `socket.io#${nsp.name}#`;
+      // Requests go to every instance; responses only to the instance that asked
+      this.unsubscribers = [
+        broker.subscribe(this.channel, (message) => this.onMessage(message)),
+        broker.subscribe(`${this.channel}${this.uid}#`, (response) => this.onResponse(response)),
+      ];
+    }
+
+    doPublish(message) {
+      broker.publish(this.channel, message);
+      return Promise.resolve('');
+    }
+
+    doPublishResponse(requesterUid, response) {
+      broker.publish(`${this.channel}${requesterUid}#`, response);
+      return Promise.resolve();
+    }
+
+    close() {
+      super.close();
+      this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    }
+  }
+
+  return BrokerAdapter;
+};
+
+module.exports = { createBrokerAdapter };
@@ -0,0 +1,28 @@
+// index.js - Pub/sub entry point
+//
+// Instances of the server talk to each other through a broker: Socket.io broadcasts (see
+// adapter.js) and shared state such as presence and typing (see sharedMap.js) travel over it.
+// A broker has publish(channel, message), subscribe(channel, handler) -> unsubscribe, and
+// close(). Messages must be JSON-serializable.
+//
+// Without a URL everything stays in this process; tcp://host:port connects to the broker in
+// tcpBroker.js.
+
+const { createMemoryBroker } = require('./memoryBroker');
+const { connectTcpBroker, startBrokerServer } = require('./tcpBroker');
+const { createBrokerAdapter } = require('./adapter');
+const { createSharedMap } = require('./sharedMap');
+
+const createBroker = (url) => {
+  if (!url) return createMemoryBroker();
+  const { protocol } = new URL(url);
+  if (protocol === 'tcp:') return connectTcpBroker(url);
+  throw new Error(`Unsupported broker URL "${url}". Expected tcp://host:port`);
+};
+
+module.exports = {
+  createBroker,
+  createBrokerAdapter,
+  createSharedMap,
+  startBrokerServer,
+};
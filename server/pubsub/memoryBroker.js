@@ -0,0 +1,34 @@
+// memoryBroker.js - Broker that delivers messages within this process
+//
+// The default when no BROKER_URL is set: with a single server every subscriber is local.
+// Messages are delivered asynchronously, like they would be over a network.
+
+const createMemoryBroker = () => {
+  const channels = new Map(); // { [channel]: Set<handler> }
+
+  const publish = (channel, message) => {
+    const handlers = channels.get(channel);
+    if (!handlers) return;
+    // Handlers get their own copy, as they would after a round trip through a real broker
+    const payload = JSON.stringify(message);
+    handlers.forEach((handler) => setImmediate(() => handler(JSON.parse(payload))));
+  };
+
+  // Returns a function that removes the subscription
+  const subscribe = (channel, handler) => {
+    if (!channels.has(channel)) channels.set(channel, new Set());
+    channels.get(channel).add(handler);
+    return () => {
+      const handlers = channels.get(channel);
+      if (!handlers) return;
+      handlers.delete(handler);
+      if (handlers.size === 0) channels.delete(channel);
+    };
+  };
+
+  const close = () => channels.clear();
+
+  return { publish, subscribe, close };
+};
+
+module.exports = { createMemoryBroker };
@@ -0,0 +1,110 @@
+// sharedMap.js - Key/value map that every instance sees the same way
+//
+// Each entry is owned by the instance that last set it. Changes are published on the broker
+// and applied by the other instances; an instance that starts asks the others for their
+// entries. Instances announce themselves with heartbeats, and the entries of one that stops
+// (crash, network split) are dropped once it has been silent for `expireAfterMs`.
+//
+// Values must be JSON-serializable. Reads are local and never wait for the broker, so another
+// instance's change shows up a moment after it was made.
+
+const crypto = require('crypto');
+
+const createSharedMap = (broker, name, {
+  nodeId = crypto.randomBytes(8).toString('hex'),
+  heartbeatMs = 5000,
+  expireAfterMs = 15000,
+  onExpire = () => {}, // (entries) => void, with the [key, value] pairs that were dropped
+} = {}) => {
+  const channel = `shared#${name}`;
+  const entries = new Map(); // { [key]: { value, owner } }
+  const lastSeen = new Map(); // { [nodeId]: timestamp } for the other instances
+
+  const publish = (message) => broker.publish(channel, { ...message, node: nodeId });
+
+  const dropOwnedBy = (owner) => {
+    const dropped = [];
+    entries.forEach((entry, key) => {
+      if (entry.owner === owner) {
+        entries.delete(key);
+        dropped.push([key, entry.value]);
+      }
+    });
+    return dropped;
+  };
+
+  const unsubscribe = broker.subscribe(channel, (message) => {
+    const { type, node, key, value } = message;
+    if (node === nodeId) return;
+    lastSeen.set(node, Date.now());
+    if (type === 'set') {
+      entries.set(key, { value, owner: node });
+    } else if (type === 'delete') {
+      entries.delete(key);
+    } else if (type === 'hello') {
+      // A new instance: tell it what this one owns
+      const owned = [];
+      entries.forEach((entry, entryKey) => {
+        if (entry.owner === nodeId) owned.push([entryKey, entry.value]);
+      });
+      publish({ type: 'snapshot', entries: owned });
+    } else if (type === 'snapshot') {
+      message.entries.forEach(([entryKey, entryValue]) => {
+        if (!entries.has(entryKey)) entries.set(entryKey, { value: entryValue, owner: node });
+      });
+    } else if (type === 'bye') {
+      const dropped = dropOwnedBy(node);
+      lastSeen.delete(node);
+      if (dropped.length) onExpire(dropped);
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    publish({ type: 'heartbeat' });
+    const cutoff = Date.now() - expireAfterMs;
+    lastSeen.forEach((seen, node) => {
+      if (seen >= cutoff) return;
+      lastSeen.delete(node);
+      const dropped = dropOwnedBy(node);
+      if (dropped.length) onExpire(dropped);
+    });
+  }, heartbeatMs);
+  heartbeat.unref();
+  publish({ type: 'hello' });
+
+  const set = (key, value) => {
+    entries.set(key, { value, owner: nodeId });
+    publish({ type: 'set', key, value });
+  };
+
+  // Deleting works on any entry, including ones another instance owns
+  const remove = (key) => {
+    const existed = entries.delete(key);
+    publish({ type: 'delete', key });
+    return existed;
+  };
+
+  const get = (key) => (entries.has(key) ? entries.get(key).value : undefined);
+
+  const has = (key) => entries.has(key);
+
+  const values = () => Array.from(entries.values(), (entry) => entry.value);
+
+  // Hand this instance's entries over as gone, e.g. on shutdown
+  const close = () => {
+    clearInterval(heartbeat);
+    publish({ type: 'bye' });
+    unsubscribe();
+  };
+
+  return {
+    set,
+    delete: remove,
+    get,
+    has,
+    values,
+    close,
+  };
+};
+
+module.exports = { createSharedMap };
@@ -0,0 +1,150 @@
+// tcpBroker.js - Minimal pub/sub broker over TCP, and the client server instances use with it
+//
+// A stand-in for Redis or NATS that needs nothing installed: run `npm run broker` (or start
+// it in-process with startBrokerServer) and point every instance at it with
+// BROKER_URL=tcp://host:port. Frames are newline-delimited JSON:
+//   client -> broker  { op: 'sub' | 'unsub', channel }  { op: 'pub', channel, message }
+//   broker -> client  { channel, message }
+// The broker keeps nothing: messages published while an instance is disconnected are lost.
+
+const net = require('net');
+
+const RECONNECT_DELAY_MS = 1000;
+
+// Calls onFrame for every complete JSON line received on a socket
+const readFrames = (socket, onFrame) => {
+  let buffer = '';
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+      try {
+        onFrame(JSON.parse(line));
+      } catch (error) {
+        console.warn(`[broker] Dropping malformed frame: ${error.message}`);
+      }
+    }
+  });
+};
+
+const writeFrame = (socket, frame) => socket.write(`${JSON.stringify(frame)}\n`);
+
+// Resolves to { port, close() } once listening; port 0 picks a free port
+const startBrokerServer = ({ port = 0, host = '127.0.0.1' } = {}) => new Promise((resolve, reject) => {
+  const subscribers = new Map(); // { [channel]: Set<socket> }
+  const clients = new Set();
+
+  const server = net.createServer((socket) => {
+    clients.add(socket);
+    const channels = new Set();
+    readFrames(socket, ({ op, channel, message }) => {
+      if (typeof channel !== 'string') return;
+      if (op === 'sub') {
+        if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+        subscribers.get(channel).add(socket);
+        channels.add(channel);
+      } else if (op === 'unsub') {
+        subscribers.get(channel)?.delete(socket);
+        channels.delete(channel);
+      } else if (op === 'pub') {
+        subscribers.get(channel)?.forEach((subscriber) => writeFrame(subscriber, { channel, message }));
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      clients.delete(socket);
+      channels.forEach((channel) => subscribers.get(channel)?.delete(socket));
+    });
+  });
+
+  server.on('error', reject);
+  server.listen(port, host, () => {
+    resolve({
+      port: server.address().port,
+      close: () => new Promise((done) => {
+        clients.forEach((socket) => socket.destroy());
+        server.close(() => done());
+      }),
+    });
+  });
+});
+
+// Broker client for tcp://host:port. Publishes made while disconnected are queued, and
+// subscriptions are renewed after a reconnect.
+const connectTcpBroker = (url) => {
+  const { hostname, port } = new URL(url);
+  const handlers = new Map(); // { [channel]: Set<handler> }
+  let pending = []; // Frames waiting for a connection
+  let socket = null;
+  let connected = false;
+  let closed = false;
+
+  const send = (frame) => {
+    if (connected) {
+      writeFrame(socket, frame);
+    } else {
+      pending.push(frame);
+    }
+  };
+
+  const connect = () => {
+    socket = net.connect(Number(port), hostname);
+    socket.setNoDelay(true);
+    socket.on('connect', () => {
+      connected = true;
+      handlers.forEach((_set, channel) => writeFrame(socket, { op: 'sub', channel }));
+      pending.forEach((frame) => writeFrame(socket, frame));
+      pending = [];
+    });
+    readFrames(socket, ({ channel, message }) => {
+      handlers.get(channel)?.forEach((handler) => handler(message));
+    });
+    socket.on('error', (error) => {
+      if (!closed) console.warn(`[broker] Connection to ${url} failed: ${error.message}`);
+    });
+    socket.on('close', () => {
+      connected = false;
+      if (!closed) setTimeout(connect, RECONNECT_DELAY_MS);
+    });
+  };
+  connect();
+
+  const publish = (channel, message) => send({ op: 'pub', channel, message });
+
+  const subscribe = (channel, handler) => {
+    if (!handlers.has(channel)) {
+      handlers.set(channel, new Set());
+      if (connected) writeFrame(socket, { op: 'sub', channel });
+    }
+    handlers.get(channel).add(handler);
+    return () => {
+      const set = handlers.get(channel);
+      if (!set) return;
+      set.delete(handler);
+      if (set.size === 0) {
+        handlers.delete(channel);
+        send({ op: 'unsub', channel });
+      }
+    };
+  };
+
+  // Anything already published is still sent before the connection closes
+  const close = () => {
+    closed = true;
+    socket.end();
+  };
+
+  return { publish, subscribe, close };
+};
+
+// `node pubsub/tcpBroker.js` runs a standalone broker on BROKER_PORT (default 6380)
+if (require.main === module) {
+  startBrokerServer({ port: Number(process.env.BROKER_PORT || 6380), host: process.env.BROKER_HOST || '127.0.0.1' })
+    .then(({ port }) => console.log(`Broker listening on port ${port}`));
+}
+
+module.exports = { startBrokerServer, connectTcpBroker };
@@ -0,0 +1,40 @@
+// auth.js - Registration and login routes
+
+const express = require('express');
+const { toPublic } = require('../models/users');
+const { signToken } = require('../utils/token');
+
+const createAuthRouter = (userModel) => {
+  const router = express.Router();
+
+  router.post('/register', async (req, res) => {
+    const { username, password } = req.body || {};
+    const invalid = userModel.validateCredentials(username, password);
+    if (invalid) {
+      return res.status(400).json({ message: invalid });
+    }
+
+    const account = await userModel.register(username, password);
+    if (!account) {
+      return res.status(409).json({ message: 'Username already taken. Please choose another.' });
+    }
+    res.status(201).json({ token: signToken(account), user: toPublic(account) });
+  });
+
+  router.post('/login', async (req, res) => {
+    const { username, password } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ message: 'Username and password are required.' });
+    }
+
+    const account = await userModel.authenticate(username, password);
+    if (!account) {
+      return res.status(401).json({ message: 'Invalid username or password.' });
+    }
+    res.json({ token: signToken(account), user: toPublic(account) });
+  });
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
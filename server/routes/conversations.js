@@ -0,0 +1,51 @@
+// conversations.js - Direct-message conversation list and history routes
+
+const express = require('express');
+const { toPublicConversation } = require('../models/conversations');
+
+const createConversationsRouter = ({ conversationModel, messageModel, userModel, requireAuth }) => {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // The user's conversations, most recently active first
+  router.get('/', (req, res) => {
+    const list = conversationModel.listFor(req.user.id).map((conversation) => {
+      const lastMessage = messageModel.lastMessageOf(conversation.id);
+      return {
+        ...toPublicConversation(conversation, userModel.findById),
+        lastMessage,
+        unreadCount: messageModel.unreadCount(conversation.id, req.user.id),
+        lastReadSeq: messageModel.lastReadSeq(conversation.id, req.user.id),
+      };
+    });
+    const activity = (c) => (c.lastMessage ? c.lastMessage.timestamp : c.createdAt);
+    list.sort((a, b) => activity(b).localeCompare(activity(a)));
+    res.json(list);
+  });
+
+  router.get('/:id/messages', (req, res) => {
+    if (!conversationModel.isParticipant(req.params.id, req.user.id)) {
+      return res.status(404).json({ code: 'CONVERSATION_NOT_FOUND', message: 'Conversation not found.' });
+    }
+    const { before, limit } = req.query;
+    const page = messageModel.getConversationPage(req.params.id, { before, limit });
+    // Senders see who each of their messages has reached and been read by
+    page.messages = page.messages.map((message) => (
+      message.senderId === req.user.id ? { ...message, ...messageModel.receiptsFor(message.id) } : message
+    ));
+    res.json(page);
+  });
+
+  // A message with the messages around it, for jumping to a search result
+  router.get('/:id/messages/:messageId/context', (req, res) => {
+    const message = messageModel.find(Number(req.params.messageId));
+    if (!conversationModel.isParticipant(req.params.id, req.user.id) || !message || message.stream !== req.params.id) {
+      return res.status(404).json({ code: 'MESSAGE_NOT_FOUND', message: 'Message not found.' });
+    }
+    res.json({ target: message.id, ...messageModel.getContext(message) });
+  });
+
+  return router;
+};
+
+module.exports = { createConversationsRouter };
@@ -0,0 +1,37 @@
+// push.js - Web Push subscription routes
+
+const express = require('express');
+const { validateSubscription } = require('../models/pushSubscriptions');
+
+const createPushRouter = ({ subscriptionModel, requireAuth, publicKey, allowHttp = false }) => {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // The server's VAPID public key, which browsers subscribe with (applicationServerKey)
+  router.get('/key', (req, res) => {
+    res.json({ publicKey });
+  });
+
+  // Register this browser's subscription (PushSubscription.toJSON()) for the signed-in user
+  router.post('/subscriptions', (req, res) => {
+    const error = validateSubscription(req.body, { allowHttp });
+    if (error) {
+      return res.status(400).json(error);
+    }
+    subscriptionModel.add(req.user.id, req.body);
+    res.status(201).json({ endpoint: req.body.endpoint });
+  });
+
+  // Stop pushing to a browser, e.g. when the user signs out or turns push off
+  router.delete('/subscriptions', (req, res) => {
+    const endpoint = req.body && req.body.endpoint;
+    if (!subscriptionModel.removeFor(req.user.id, endpoint)) {
+      return res.status(404).json({ code: 'SUBSCRIPTION_NOT_FOUND', message: 'Subscription not found.' });
+    }
+    res.status(204).end();
+  });
+
+  return router;
+};
+
+module.exports = { createPushRouter };
@@ -0,0 +1,65 @@
+// rooms.js - Room listing and management routes
+
+const express = require('express');
+
+// HTTP status for each error code returned by the room model
+const STATUS = {
+  INVALID_ROOM: 400,
+  FORBIDDEN: 403,
+  ROOM_NOT_FOUND: 404,
+  USER_NOT_FOUND: 404,
+  ROOM_EXISTS: 409,
+  ROOM_ARCHIVED: 409,
+};
+
+// onChange(room, action) lets the socket layer broadcast changes made over REST
+const createRoomsRouter = ({ roomModel, requireAuth, onChange }) => {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  const respond = (res, result, action, status = 200) => {
+    if (result.error) {
+      return res.status(STATUS[result.error.code] || 400).json(result.error);
+    }
+    onChange(result.room, action);
+    res.status(status).json(result.room);
+  };
+
+  router.get('/', (req, res) => {
+    res.json(roomModel.listFor(req.user.id, { includeArchived: req.query.includeArchived === 'true' }));
+  });
+
+  router.get('/:id', (req, res) => {
+    // Private rooms are reported as missing to non-members
+    if (!roomModel.canView(req.params.id, req.user.id)) {
+      return res.status(404).json({ code: 'ROOM_NOT_FOUND', message: 'Room not found.' });
+    }
+    res.json(roomModel.get(req.params.id));
+  });
+
+  router.get('/:id/members', (req, res) => {
+    if (!roomModel.canView(req.params.id, req.user.id)) {
+      return res.status(404).json({ code: 'ROOM_NOT_FOUND', message: 'Room not found.' });
+    }
+    if (!roomModel.canRead(req.params.id, req.user.id)) {
+      return res.status(403).json({ code: 'FORBIDDEN', message: 'Only members can see who is in this room.' });
+    }
+    res.json(roomModel.listMembers(req.params.id));
+  });
+
+  router.post('/', (req, res) => {
+    respond(res, roomModel.create(req.body || {}, req.user), 'created', 201);
+  });
+
+  router.patch('/:id', (req, res) => {
+    respond(res, roomModel.update(req.params.id, req.body || {}, req.user), 'updated');
+  });
+
+  router.post('/:id/archive', (req, res) => {
+    respond(res, roomModel.archive(req.params.id, req.user), 'archived');
+  });
+
+  return router;
+};
+
+module.exports = { createRoomsRouter };
@@ -0,0 +1,29 @@
+// search.js - Full-text message search across the user's rooms and DMs
+
+const express = require('express');
+
+// canRead(message, userId) decides which stored messages the searching user may see
+const createSearchRouter = ({ messageModel, requireAuth, canRead }) => {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // GET /api/search?q=...&sender=&room=&from=&to=&hasAttachment=true&limit=
+  // `room` is a room id or a conversation id; `from`/`to` are dates or timestamps
+  router.get('/', (req, res) => {
+    const { q, sender, room, from, to, hasAttachment, limit } = req.query;
+    if (typeof q !== 'string' || !q.trim()) return res.json([]);
+    res.json(messageModel.search(q, {
+      canSee: (message) => canRead(message, req.user.id),
+      sender: typeof sender === 'string' ? sender.trim() : null,
+      stream: typeof room === 'string' ? room : null,
+      from,
+      to,
+      hasAttachment: hasAttachment === 'true',
+      limit,
+    }));
+  });
+
+  return router;
+};
+
+module.exports = { createSearchRouter };
@@ -0,0 +1,113 @@
+// uploads.js - Multipart file upload route
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const sharp = require('sharp');
+const { uploadDir, maxUploadBytes } = require('../config');
+const { toAttachment, isImageType, isAllowedType } = require('../models/uploads');
+
+const THUMBNAIL_SIZE = 320;
+
+// Images are always saved with the extension of their declared type, so they're served inline as that type
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+};
+
+// Stored names are random so they can't be guessed or collide
+const storage = multer.diskStorage({
+  destination: uploadDir,
+  filename: (req, file, cb) => {
+    const ext = IMAGE_EXTENSIONS[file.mimetype]
+      || path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10);
+    cb(null, `${crypto.randomBytes(16).toString('hex')}${ext}`);
+  },
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: maxUploadBytes, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!isAllowedType(file.mimetype)) {
+      const error = new Error(`Files of type ${file.mimetype} are not allowed.`);
+      error.code = 'UNSUPPORTED_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+// Writes a small webp next to the original; also proves the image actually decodes
+const createThumbnail = async (file) => {
+  const thumbnail = `${path.parse(file.filename).name}-thumb.webp`;
+  await sharp(file.path, { animated: false })
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp()
+    .toFile(path.join(uploadDir, thumbnail));
+  return thumbnail;
+};
+
+const createUploadsRouter = ({ uploadModel, requireAuth }) => {
+  fs.mkdirSync(uploadDir, { recursive: true });
+  const router = express.Router();
+
+  router.post('/', requireAuth, (req, res) => {
+    upload(req, res, async (err) => {
+      if (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({
+            code: 'FILE_TOO_LARGE',
+            message: `Files can be at most ${Math.round(maxUploadBytes / (1024 * 1024))} MB.`,
+          });
+        }
+        if (err.code === 'UNSUPPORTED_TYPE') {
+          return res.status(415).json({ code: err.code, message: err.message });
+        }
+        return res.status(400).json({ code: 'INVALID_UPLOAD', message: err.message });
+      }
+      if (!req.file) {
+        return res.status(400).json({ code: 'INVALID_UPLOAD', message: 'No file was sent.' });
+      }
+
+      let thumbnail = null;
+      if (isImageType(req.file.mimetype)) {
+        try {
+          thumbnail = await createThumbnail(req.file);
+        } catch (_e) {
+          fs.unlink(req.file.path, () => {});
+          return res.status(415).json({ code: 'UNSUPPORTED_TYPE', message: 'The image could not be read.' });
+        }
+      }
+
+      const stored = uploadModel.add({
+        filename: req.file.filename,
+        originalName: path.basename(req.file.originalname).slice(0, 255),
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        thumbnail,
+      }, req.user);
+      res.status(201).json(toAttachment(stored));
+    });
+  });
+
+  return router;
+};
+
+// Serves stored files; anything that isn't an image is downloaded rather than rendered
+const serveUploads = () => express.static(uploadDir, {
+  index: false,
+  setHeaders: (res, filePath) => {
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (!/\.(jpe?g|png|gif|webp)$/i.test(filePath)) {
+      res.set('Content-Disposition', 'attachment');
+    }
+  },
+});
+
+module.exports = { createUploadsRouter, serveUploads };
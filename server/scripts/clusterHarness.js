@@ -0,0 +1,167 @@
+// clusterHarness.js - Runs two server instances against one broker and checks they act as one
+//
+// `npm run test:cluster` starts the TCP broker in this process, then two servers (A and B)
+// sharing a temporary data directory, and connects alice to A and bob to B. It checks that
+// an account made on one instance can sign in on the other, that presence, typing and
+// messages cross between the instances, and that stopping A takes alice offline on B.
+// Exits with 1 if any check fails.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+const { startBrokerServer } = require('../pubsub');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const STEP_TIMEOUT_MS = 5000;
+const OVERALL_TIMEOUT_MS = 60000;
+
+const failures = [];
+const children = [];
+
+const check = (ok, label) => {
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}`);
+  if (!ok) failures.push(label);
+};
+
+// Resolves with the first value `predicate` accepts for an event, or null after a while
+const waitFor = (socket, event, predicate = () => true) => new Promise((resolve) => {
+  const timer = setTimeout(() => {
+    socket.off(event, listener);
+    resolve(null);
+  }, STEP_TIMEOUT_MS);
+  const listener = (payload) => {
+    if (!predicate(payload)) return;
+    clearTimeout(timer);
+    socket.off(event, listener);
+    resolve(payload);
+  };
+  socket.on(event, listener);
+});
+
+// Start server.js on a free port; resolves once it's listening
+const startInstance = (name, env) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, ...env, INSTANCE_ID: name, PORT: '0' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  children.push(child);
+  let output = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+    const listening = output.match(/Server running on port (\d+)/);
+    if (listening) resolve({ child, url: `http://127.0.0.1:${listening[1]}` });
+  });
+  child.stderr.on('data', (chunk) => process.stderr.write(`[${name}] ${chunk}`));
+  child.on('exit', (code) => reject(new Error(`Instance ${name} exited (${code}) before listening:\n${output}`)));
+});
+
+const register = async (url, username) => {
+  const response = await fetch(`${url}/api/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password: 'cluster-secret' }),
+  });
+  return response.json();
+};
+
+const login = async (url, username) => {
+  const response = await fetch(`${url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password: 'cluster-secret' }),
+  });
+  return response.ok ? response.json() : null;
+};
+
+const openSocket = async (url, token) => {
+  const socket = connect(url, { transports: ['websocket'], auth: { token }, reconnection: false });
+  const session = await waitFor(socket, 'session');
+  if (!session) throw new Error(`Could not connect to ${url}`);
+  return socket;
+};
+
+const run = async () => {
+  const broker = await startBrokerServer();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-cluster-'));
+  const env = {
+    BROKER_URL: `tcp://127.0.0.1:${broker.port}`,
+    STORE_SHARED: 'true',
+    DATA_DIR: path.join(dataDir, 'data'),
+    UPLOAD_DIR: path.join(dataDir, 'uploads'),
+    JWT_SECRET: 'cluster-harness',
+  };
+  const sockets = [];
+
+  try {
+    const a = await startInstance('A', env);
+    const b = await startInstance('B', env);
+    console.log(`Broker on port ${broker.port}, A on ${a.url}, B on ${b.url}`);
+
+    const alice = await register(a.url, 'alice');
+    await register(b.url, 'bob');
+    check(Boolean(await login(b.url, 'alice')), 'an account registered on A can log in on B');
+
+    const bobSocket = await openSocket(b.url, (await login(b.url, 'bob')).token);
+    sockets.push(bobSocket);
+    const aliceOnline = waitFor(bobSocket, 'presence_update', (user) => user.username === 'alice' && user.status === 'online');
+    const aliceSocket = await openSocket(a.url, alice.token);
+    sockets.push(aliceSocket);
+    check(Boolean(await aliceOnline), 'bob on B sees alice come online on A');
+
+    const typing = waitFor(bobSocket, 'typing_users', (names) => names.includes('alice'));
+    aliceSocket.emit('typing', true);
+    check(Boolean(await typing), 'bob on B sees alice typing on A');
+
+    const received = waitFor(bobSocket, 'receive_message', (m) => m.message === 'hello from A');
+    aliceSocket.emit('send_message', { room: 'general', message: 'hello from A', tempId: 'cluster-1' });
+    const message = await received;
+    check(Boolean(message), 'a message sent on A reaches bob on B');
+
+    const history = await fetch(`${b.url}/api/messages/general`, {
+      headers: { Authorization: `Bearer ${(await login(b.url, 'bob')).token}` },
+    }).then((response) => response.json());
+    check(Boolean(message) && history.messages.some((m) => m.id === message.id), "B's history includes the message stored by A");
+
+    const reply = waitFor(aliceSocket, 'receive_message', (m) => m.message === 'hello from B');
+    bobSocket.emit('send_message', { room: 'general', message: 'hello from B', tempId: 'cluster-2' });
+    const replied = await reply;
+    check(Boolean(replied) && Boolean(message) && replied.id !== message.id, 'a message sent on B reaches alice on A with a new id');
+
+    const aliceIdle = waitFor(bobSocket, 'presence_update', (user) => user.username === 'alice' && user.status === 'idle');
+    aliceSocket.emit('set_idle', true);
+    check(Boolean(await aliceIdle), 'bob on B sees alice go idle on A');
+
+    const aliceLeft = waitFor(bobSocket, 'presence_update', (user) => user.username === 'alice' && user.status === 'offline');
+    a.child.kill('SIGTERM');
+    check(Boolean(await aliceLeft), 'bob on B sees alice go offline when A stops');
+  } finally {
+    sockets.forEach((socket) => socket.close());
+    // Let the instances finish their last writes before their data directory goes
+    await Promise.all(children.filter((child) => child.exitCode === null && child.signalCode === null)
+      .map((child) => new Promise((resolve) => {
+        child.once('exit', resolve);
+        child.kill('SIGTERM');
+      })));
+    await broker.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+};
+
+const deadline = setTimeout(() => {
+  console.error(`Timed out after ${OVERALL_TIMEOUT_MS / 1000}s`);
+  children.forEach((child) => child.kill('SIGKILL'));
+  process.exit(1);
+}, OVERALL_TIMEOUT_MS);
+
+run()
+  .catch((error) => {
+    console.error(error);
+    failures.push(error.message);
+  })
+  .finally(() => {
+    clearTimeout(deadline);
+    console.log(failures.length ? `${failures.length} check(s) failed` : 'All checks passed');
+    process.exit(failures.length ? 1 : 0);
+  });
@@ -0,0 +1,158 @@
+// moderationHarness.js - Checks that a ban from a room holds across reconnects
+//
+// `npm run test:moderation` starts a server with an in-memory store and alice as an admin,
+// registers alice and bob, and has alice ban bob from #general. It checks that bob, once they
+// reconnects, isn't put back in #general: no history, no unread count, no broadcasts, and
+// join_room is refused until alice lifts the ban.
+// Exits with 1 if any check fails.
+
+const { spawn } = require('child_process');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const STEP_TIMEOUT_MS = 5000;
+// How long to wait for an event that shouldn't come
+const QUIET_MS = 1000;
+const OVERALL_TIMEOUT_MS = 60000;
+
+const failures = [];
+let child = null;
+
+const check = (ok, label) => {
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}`);
+  if (!ok) failures.push(label);
+};
+
+// Resolves with the first value `predicate` accepts for an event, or null after `ms`
+const waitFor = (socket, event, predicate = () => true, ms = STEP_TIMEOUT_MS) => new Promise((resolve) => {
+  const timer = setTimeout(() => {
+    socket.off(event, listener);
+    resolve(null);
+  }, ms);
+  const listener = (payload) => {
+    if (!predicate(payload)) return;
+    clearTimeout(timer);
+    socket.off(event, listener);
+    resolve(payload);
+  };
+  socket.on(event, listener);
+});
+
+// Start server.js on a free port; resolves once it's listening
+const startServer = (env) => new Promise((resolve, reject) => {
+  child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, ...env, PORT: '0' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+    const listening = output.match(/Server running on port (\d+)/);
+    if (listening) resolve(`http://127.0.0.1:${listening[1]}`);
+  });
+  child.stderr.on('data', (chunk) => process.stderr.write(`[server] ${chunk}`));
+  child.on('exit', (code) => reject(new Error(`Server exited (${code}) before listening:\n${output}`)));
+});
+
+const register = async (url, username) => {
+  const response = await fetch(`${url}/api/auth/register`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password: 'moderation-secret' }),
+  });
+  return response.json();
+};
+
+// Connect and resolve once the session is set up; `events` records everything the server sent,
+// including what came before the session event resolved
+const openSocket = async (url, token) => {
+  const socket = connect(url, { transports: ['websocket'], auth: { token }, reconnection: false });
+  socket.events = [];
+  socket.onAny((event, payload) => socket.events.push({ event, payload }));
+  const session = await waitFor(socket, 'session');
+  if (!session) throw new Error(`Could not connect to ${url}`);
+  return socket;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const run = async () => {
+  const sockets = [];
+
+  try {
+    const url = await startServer({
+      STORE_DRIVER: 'memory',
+      JWT_SECRET: 'moderation-harness',
+      ADMIN_USERNAMES: 'alice',
+    });
+    console.log(`Server on ${url}`);
+
+    const alice = await register(url, 'alice');
+    const bob = await register(url, 'bob');
+
+    const aliceSocket = await openSocket(url, alice.token);
+    sockets.push(aliceSocket);
+    let bobSocket = await openSocket(url, bob.token);
+    sockets.push(bobSocket);
+
+    const kicked = waitFor(bobSocket, 'room_kicked', (event) => event.room === 'general');
+    aliceSocket.emit('ban_user', { room: 'general', userId: bob.user.id });
+    check(Boolean(await kicked), 'bob is removed from #general when alice bans them');
+    bobSocket.close();
+
+    bobSocket = await openSocket(url, bob.token);
+    sockets.push(bobSocket);
+    await sleep(QUIET_MS);
+    const received = (event) => bobSocket.events.filter((e) => e.event === event).map((e) => e.payload);
+    check(!received('room_changed').some((event) => event.room === 'general'),
+      'bob gets no #general history when they reconnect');
+    check(!received('unread_counts').some((counts) => 'general' in (counts.rooms || {})),
+      'bob gets no #general unread count when they reconnect');
+    check(!received('available_rooms').some((list) => list.some((room) => room.id === 'general' && room.joined)),
+      'bob is not listed as a member of #general when they reconnect');
+
+    let message = waitFor(bobSocket, 'receive_message', (m) => m.room === 'general', QUIET_MS);
+    aliceSocket.emit('send_message', { room: 'general', message: 'bob is not here', tempId: 'moderation-1' });
+    check(!(await message), "bob doesn't get #general messages after reconnecting");
+
+    const refused = waitFor(bobSocket, 'error', (error) => error.event === 'join_room');
+    bobSocket.emit('join_room', 'general');
+    check((await refused)?.code === 'BANNED', 'bob cannot rejoin #general while banned');
+
+    aliceSocket.emit('unban_user', { room: 'general', userId: bob.user.id });
+    await sleep(QUIET_MS);
+    const entered = waitFor(bobSocket, 'room_changed', (event) => event.room === 'general');
+    bobSocket.emit('join_room', 'general');
+    check(Boolean(await entered), 'bob can rejoin #general once unbanned');
+
+    message = waitFor(bobSocket, 'receive_message', (m) => m.room === 'general');
+    aliceSocket.emit('send_message', { room: 'general', message: 'welcome back', tempId: 'moderation-2' });
+    check(Boolean(await message), 'bob gets #general messages again');
+  } finally {
+    sockets.forEach((socket) => socket.close());
+    if (child && child.exitCode === null && child.signalCode === null) {
+      await new Promise((resolve) => {
+        child.once('exit', resolve);
+        child.kill('SIGTERM');
+      });
+    }
+  }
+};
+
+const deadline = setTimeout(() => {
+  console.error(`Timed out after ${OVERALL_TIMEOUT_MS / 1000}s`);
+  if (child) child.kill('SIGKILL');
+  process.exit(1);
+}, OVERALL_TIMEOUT_MS);
+
+run()
+  .catch((error) => {
+    console.error(error);
+    failures.push(error.message);
+  })
+  .finally(() => {
+    clearTimeout(deadline);
+    console.log(failures.length ? `${failures.length} check(s) failed` : 'All checks passed');
+    process.exit(failures.length ? 1 : 0);
+  });
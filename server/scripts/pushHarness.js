@@ -0,0 +1,254 @@
+// pushHarness.js - Checks Web Push delivery end to end against the local push stand-in
+//
+// `npm run test:push` starts the push stand-in (scripts/pushStandIn.js) in this process and a
+// server with an in-memory store that may push to it, then registers alice and bob and
+// subscribes bob. It checks that bob gets an encrypted, VAPID-signed push for a DM or a
+// mention while away, but not while online, for a muted DM or in quiet hours, that a group
+// DM on "mentions only" is pushed only when it mentions bob, and that a subscription the push
+// service reports gone is dropped.
+// Exits with 1 if any check fails.
+
+const { spawn } = require('child_process');
+const path = require('path');
+const webpush = require('web-push');
+const { io: connect } = require('socket.io-client');
+const { startPushStandIn } = require('./pushStandIn');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const STEP_TIMEOUT_MS = 5000;
+// How long to wait for a push that shouldn't come
+const QUIET_MS = 1000;
+const OVERALL_TIMEOUT_MS = 60000;
+
+const failures = [];
+let child = null;
+
+const check = (ok, label) => {
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}`);
+  if (!ok) failures.push(label);
+};
+
+// Resolves with the first value `predicate` accepts for an event, or null after a while
+const waitFor = (socket, event, predicate = () => true) => new Promise((resolve) => {
+  const timer = setTimeout(() => {
+    socket.off(event, listener);
+    resolve(null);
+  }, STEP_TIMEOUT_MS);
+  const listener = (payload) => {
+    if (!predicate(payload)) return;
+    clearTimeout(timer);
+    socket.off(event, listener);
+    resolve(payload);
+  };
+  socket.on(event, listener);
+});
+
+// Resolves with the next push the stand-in accepts, or null after `ms`
+const nextPush = (standIn, ms = STEP_TIMEOUT_MS) => new Promise((resolve) => {
+  const timer = setTimeout(() => {
+    stop();
+    resolve(null);
+  }, ms);
+  const stop = standIn.onPush((push) => {
+    clearTimeout(timer);
+    stop();
+    resolve(push);
+  });
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Start server.js on a free port; resolves once it's listening
+const startServer = (env) => new Promise((resolve, reject) => {
+  child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, ...env, PORT: '0' },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+    const listening = output.match(/Server running on port (\d+)/);
+    if (listening) resolve(`http://127.0.0.1:${listening[1]}`);
+  });
+  child.stderr.on('data', (chunk) => process.stderr.write(`[server] ${chunk}`));
+  child.on('exit', (code) => reject(new Error(`Server exited (${code}) before listening:\n${output}`)));
+});
+
+const request = async (url, method, { token, body } = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+const register = async (url, username) => (await request(`${url}/api/auth/register`, 'POST', {
+  body: { username, password: 'push-secret' },
+})).body;
+
+const openSocket = async (url, token) => {
+  const socket = connect(url, { transports: ['websocket'], auth: { token }, reconnection: false });
+  const session = await waitFor(socket, 'session');
+  if (!session) throw new Error(`Could not connect to ${url}`);
+  return socket;
+};
+
+// Emit an event and resolve with its acknowledgement
+const emitAck = (socket, event, payload) => new Promise((resolve) => socket.emit(event, payload, resolve));
+
+// The current UTC time of day `hours` from now, as "HH:MM"
+const utcTimeOfDay = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString().slice(11, 16);
+
+const run = async () => {
+  const standIn = await startPushStandIn();
+  const vapid = webpush.generateVAPIDKeys();
+  const sockets = [];
+
+  try {
+    const url = await startServer({
+      STORE_DRIVER: 'memory',
+      JWT_SECRET: 'push-harness',
+      VAPID_PUBLIC_KEY: vapid.publicKey,
+      VAPID_PRIVATE_KEY: vapid.privateKey,
+      VAPID_SUBJECT: 'mailto:harness@example.com',
+      PUSH_ALLOW_LOCAL: 'true',
+    });
+    console.log(`Push stand-in on port ${standIn.port}, server on ${url}`);
+
+    const alice = await register(url, 'alice');
+    const bob = await register(url, 'bob');
+
+    const key = await request(`${url}/api/push/key`, 'GET', { token: bob.token });
+    check(key.body && key.body.publicKey === vapid.publicKey, 'the server hands out its VAPID public key');
+
+    const invalid = await request(`${url}/api/push/subscriptions`, 'POST', {
+      token: bob.token,
+      body: { endpoint: 'not a url', keys: {} },
+    });
+    check(invalid.status === 400 && invalid.body.code === 'INVALID_SUBSCRIPTION', 'a malformed subscription is refused');
+
+    const subscription = standIn.subscribe();
+    const subscribed = await request(`${url}/api/push/subscriptions`, 'POST', { token: bob.token, body: subscription });
+    check(subscribed.status === 201, "bob's browser subscribes");
+
+    const aliceSocket = await openSocket(url, alice.token);
+    sockets.push(aliceSocket);
+
+    let pushed = nextPush(standIn);
+    const sent = await emitAck(aliceSocket, 'private_message', { to: bob.user.id, message: 'are you there?', tempId: 'push-1' });
+    let push = await pushed;
+    check(Boolean(push) && push.vapidKey === vapid.publicKey && push.payload.title === 'alice'
+      && push.payload.body === 'are you there?', 'a DM to bob while bob is away is pushed, signed and decrypted');
+    const conversationId = sent.message && sent.message.conversationId;
+    check(Boolean(push) && push.payload.data.conversationId === conversationId,
+      'the push says which conversation to open');
+
+    let bobSocket = await openSocket(url, bob.token);
+    pushed = nextPush(standIn, QUIET_MS);
+    await emitAck(aliceSocket, 'private_message', { to: bob.user.id, message: 'oh, hi', tempId: 'push-2' });
+    check(!(await pushed), 'nothing is pushed while bob is online');
+
+    // Mute the DM, then go away again
+    const muted = await emitAck(bobSocket, 'set_notification_level', { conversationId, level: 'muted' });
+    check(Boolean(muted && muted.notifications), 'bob mutes the DM');
+    let bobLeft = waitFor(aliceSocket, 'user_left', (user) => user.id === bob.user.id);
+    bobSocket.close();
+    await bobLeft;
+
+    pushed = nextPush(standIn, QUIET_MS);
+    await emitAck(aliceSocket, 'private_message', { to: bob.user.id, message: 'psst', tempId: 'push-3' });
+    check(!(await pushed), 'a muted DM is not pushed');
+
+    pushed = nextPush(standIn);
+    aliceSocket.emit('send_message', { room: 'general', message: '@bob have a look', tempId: 'push-4' });
+    push = await pushed;
+    check(Boolean(push) && /^alice mentioned you in #/.test(push.payload.title) && push.payload.data.room === 'general',
+      'a mention of bob while bob is away is pushed');
+
+    // Quiet hours around the current time
+    bobSocket = await openSocket(url, bob.token);
+    const quietHours = { enabled: true, start: utcTimeOfDay(-1), end: utcTimeOfDay(1), timeZone: 'UTC' };
+    const quiet = await emitAck(bobSocket, 'set_notification_settings', { quietHours });
+    check(Boolean(quiet && quiet.notifications), 'bob sets quiet hours');
+    bobLeft = waitFor(aliceSocket, 'user_left', (user) => user.id === bob.user.id);
+    bobSocket.close();
+    await bobLeft;
+
+    pushed = nextPush(standIn, QUIET_MS);
+    aliceSocket.emit('send_message', { room: 'general', message: '@bob still there?', tempId: 'push-5' });
+    check(!(await pushed), 'nothing is pushed in quiet hours');
+
+    // A group on "mentions only" is pushed only when a message mentions bob
+    const carol = await register(url, 'carol');
+    const group = await emitAck(aliceSocket, 'create_group', { participantIds: [bob.user.id, carol.user.id] });
+    const groupId = group.conversation && group.conversation.id;
+    bobSocket = await openSocket(url, bob.token);
+    await emitAck(bobSocket, 'set_notification_settings', { quietHours: { ...quietHours, enabled: false } });
+    await emitAck(bobSocket, 'set_notification_level', { conversationId: groupId, level: 'mentions' });
+    bobLeft = waitFor(aliceSocket, 'user_left', (user) => user.id === bob.user.id);
+    bobSocket.close();
+    await bobLeft;
+
+    pushed = nextPush(standIn, QUIET_MS);
+    await emitAck(aliceSocket, 'private_message', { conversationId: groupId, message: 'lunch, anyone?', tempId: 'push-7' });
+    check(!(await pushed), "a group message that doesn't mention bob is not pushed on mentions only");
+
+    pushed = nextPush(standIn);
+    await emitAck(aliceSocket, 'private_message', { conversationId: groupId, message: '@bob lunch?', tempId: 'push-8' });
+    push = await pushed;
+    check(Boolean(push) && push.payload.data.conversationId === groupId, 'a group message that mentions bob is pushed on mentions only');
+
+    // The browser unsubscribed: the push service answers 410 and the server forgets it
+    standIn.gone(subscription.endpoint);
+    aliceSocket.emit('send_message', { room: 'general', message: '@bob one more', tempId: 'push-6' });
+    await sleep(QUIET_MS);
+    const removed = await request(`${url}/api/push/subscriptions`, 'DELETE', {
+      token: bob.token,
+      body: { endpoint: subscription.endpoint },
+    });
+    check(removed.status === 404, 'a subscription the push service reports gone is dropped');
+
+    const another = standIn.subscribe();
+    await request(`${url}/api/push/subscriptions`, 'POST', { token: bob.token, body: another });
+    const notOwner = await request(`${url}/api/push/subscriptions`, 'DELETE', {
+      token: alice.token,
+      body: { endpoint: another.endpoint },
+    });
+    const unsubscribed = await request(`${url}/api/push/subscriptions`, 'DELETE', {
+      token: bob.token,
+      body: { endpoint: another.endpoint },
+    });
+    check(notOwner.status === 404 && unsubscribed.status === 204, 'only its owner can remove a subscription');
+  } finally {
+    sockets.forEach((socket) => socket.close());
+    if (child && child.exitCode === null && child.signalCode === null) {
+      await new Promise((resolve) => {
+        child.once('exit', resolve);
+        child.kill('SIGTERM');
+      });
+    }
+    await standIn.close();
+  }
+};
+
+const deadline = setTimeout(() => {
+  console.error(`Timed out after ${OVERALL_TIMEOUT_MS / 1000}s`);
+  if (child) child.kill('SIGKILL');
+  process.exit(1);
+}, OVERALL_TIMEOUT_MS);
+
+run()
+  .catch((error) => {
+    console.error(error);
+    failures.push(error.message);
+  })
+  .finally(() => {
+    clearTimeout(deadline);
+    console.log(failures.length ? `${failures.length} check(s) failed` : 'All checks passed');
+    process.exit(failures.length ? 1 : 0);
+  });
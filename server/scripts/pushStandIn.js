@@ -0,0 +1,152 @@
+// pushStandIn.js - A local stand-in for a browser's push service, to try Web Push without one
+//
+// It plays both ends. Like a browser, it makes subscriptions: a P-256 key pair and an auth
+// secret each, with an endpoint on this server. Like a push service, it accepts pushes for
+// them, checking the VAPID signature (RFC 8292) and decrypting the payload (RFC 8291,
+// aes128gcm). The server must run with PUSH_ALLOW_LOCAL=true to push to its http endpoints.
+//
+// `npm run push-stand-in` runs it on PUSH_STAND_IN_PORT (default 6390), prints a subscription
+// to register with POST /api/push/subscriptions and logs every push it gets;
+// scripts/pushHarness.js uses it to check delivery end to end.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const fromBase64Url = (text) => Buffer.from(text, 'base64url');
+
+// Check `Authorization: vapid t=<JWT>, k=<public key>`; returns the public key or throws
+const verifyVapid = (header, endpoint) => {
+  const match = /^vapid t=([^,\s]+),\s*k=([^,\s]+)$/.exec(header || '');
+  if (!match) throw new Error('Missing VAPID authorization');
+  const [, token, publicKey] = match;
+  const [encodedHeader, encodedClaims, signature] = token.split('.');
+  const point = fromBase64Url(publicKey);
+  const key = crypto.createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33, 65).toString('base64url'),
+    },
+    format: 'jwk',
+  });
+  const valid = crypto.verify('sha256', Buffer.from(`${encodedHeader}.${encodedClaims}`), {
+    key,
+    dsaEncoding: 'ieee-p1363',
+  }, fromBase64Url(signature));
+  if (!valid) throw new Error('Bad VAPID signature');
+
+  const claims = JSON.parse(fromBase64Url(encodedClaims).toString('utf8'));
+  if (claims.aud !== new URL(endpoint).origin) throw new Error(`VAPID audience ${claims.aud} does not match`);
+  if (!(claims.exp * 1000 > Date.now())) throw new Error('VAPID token expired');
+  if (!claims.sub) throw new Error('VAPID subject missing');
+  return publicKey;
+};
+
+// Decrypt a single-record aes128gcm body for a subscription's keys
+const decrypt = (body, { ecdh, authSecret }) => {
+  const salt = body.subarray(0, 16);
+  const idLength = body[20];
+  const serverPublicKey = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const sharedSecret = ecdh.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+  // The last record ends with a 0x02 delimiter followed by zero padding
+  let end = padded.length - 1;
+  while (end > 0 && padded[end] === 0) end -= 1;
+  if (padded[end] !== 2) throw new Error('Bad record padding');
+  return padded.subarray(0, end).toString('utf8');
+};
+
+// Resolves with { port, subscribe, gone, onPush, received, close }
+const startPushStandIn = ({ port = 0, host = '127.0.0.1' } = {}) => new Promise((resolve, reject) => {
+  const subscriptions = new Map(); // { [id]: { endpoint, ecdh, authSecret, gone } }
+  const received = []; // { endpoint, vapidKey, payload } for every push accepted
+  const listeners = new Set();
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const subscription = subscriptions.get(req.url.replace(/^\/push\//, ''));
+      if (req.method !== 'POST' || !subscription) {
+        res.writeHead(404).end();
+        return;
+      }
+      if (subscription.gone) {
+        res.writeHead(410).end();
+        return;
+      }
+      try {
+        if (req.headers['content-encoding'] !== 'aes128gcm') throw new Error('Expected aes128gcm content');
+        if (!req.headers.ttl) throw new Error('Missing TTL');
+        const vapidKey = verifyVapid(req.headers.authorization, subscription.endpoint);
+        const push = {
+          endpoint: subscription.endpoint,
+          vapidKey,
+          payload: JSON.parse(decrypt(Buffer.concat(chunks), subscription)),
+        };
+        received.push(push);
+        listeners.forEach((listener) => listener(push));
+        res.writeHead(201).end();
+      } catch (error) {
+        console.warn(`[push stand-in] Rejected a push: ${error.message}`);
+        res.writeHead(400).end(error.message);
+      }
+    });
+  });
+
+  // A new subscription as PushSubscription.toJSON() gives it: { endpoint, keys: { p256dh, auth } }
+  const subscribe = () => {
+    const id = crypto.randomBytes(8).toString('hex');
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    const authSecret = crypto.randomBytes(16);
+    const endpoint = `http://${host}:${server.address().port}/push/${id}`;
+    subscriptions.set(id, { endpoint, ecdh, authSecret, gone: false });
+    return {
+      endpoint,
+      keys: { p256dh: ecdh.getPublicKey().toString('base64url'), auth: authSecret.toString('base64url') },
+    };
+  };
+
+  // Answer 410 Gone from now on, as for a browser that unsubscribed
+  const gone = (endpoint) => {
+    subscriptions.forEach((subscription) => {
+      if (subscription.endpoint === endpoint) subscription.gone = true;
+    });
+  };
+
+  const onPush = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  server.on('error', reject);
+  server.listen(port, host, () => resolve({
+    port: server.address().port,
+    subscribe,
+    gone,
+    onPush,
+    received,
+    close: () => new Promise((done) => server.close(done)),
+  }));
+});
+
+if (require.main === module) {
+  startPushStandIn({ port: Number(process.env.PUSH_STAND_IN_PORT || 6390) }).then((standIn) => {
+    console.log(`Push stand-in listening on port ${standIn.port}. Register this subscription:`);
+    console.log(JSON.stringify(standIn.subscribe()));
+    standIn.onPush(({ endpoint, payload }) => console.log(`${endpoint} <- ${JSON.stringify(payload)}`));
+  });
+}
+
+module.exports = { startPushStandIn };
@@ -0,0 +1,199 @@
+// unfurlHarness.js - Checks link previews against a local stand-in web server
+//
+// `npm run test:unfurl` serves a few pages from this process and unfurls links to them. It
+// checks that private and loopback addresses are refused unless `allowPrivate` is set, that
+// the Open Graph title, description, site name and image (saved as a webp) are read, with the
+// <title> as a fallback, and that oversize or slow responses are cut off instead of waited for.
+// Exits with 1 if any check fails.
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createUnfurler, isPrivateAddress } = require('../utils/unfurl');
+
+const OVERALL_TIMEOUT_MS = 60000;
+const TIMEOUT_MS = 500;
+const MAX_BYTES = 16 * 1024;
+
+const failures = [];
+
+const check = (ok, label) => {
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}`);
+  if (!ok) failures.push(label);
+};
+
+const OG_PAGE = `<!doctype html><html><head>
+<title>Fallback title</title>
+<meta property="og:title" content="Harness &amp; friends">
+<meta property="og:description" content="  A page   served by the harness ">
+<meta property="og:site_name" content="Stand-in">
+<meta property="og:image" content="/image.png">
+</head><body>Hello</body></html>`;
+
+const TITLE_PAGE = '<html><head><title>Just a title</title></head><body></body></html>';
+
+// Serves the pages the checks unfurl; `requests` counts hits per path, `finished` the paths
+// whose whole body was sent
+const startStandIn = async () => {
+  const image = await sharp({
+    create: { width: 400, height: 300, channels: 3, background: { r: 40, g: 120, b: 200 } },
+  }).png().toBuffer();
+  const requests = {};
+  const finished = new Set();
+  const timers = new Set();
+
+  const server = http.createServer((req, res) => {
+    requests[req.url] = (requests[req.url] || 0) + 1;
+    res.on('finish', () => finished.add(req.url));
+    const html = { 'Content-Type': 'text/html; charset=utf-8' };
+    switch (req.url) {
+      case '/og':
+        res.writeHead(200, html).end(OG_PAGE);
+        break;
+      case '/title':
+        res.writeHead(200, html).end(TITLE_PAGE);
+        break;
+      case '/image.png':
+        res.writeHead(200, { 'Content-Type': 'image/png' }).end(image);
+        break;
+      case '/huge': {
+        // The title comes first, then far more than MAX_BYTES of filler
+        res.writeHead(200, html);
+        res.write('<html><head><title>Huge page</title></head><body>');
+        const filler = 'x'.repeat(64 * 1024);
+        let left = 64;
+        const write = () => {
+          while (left > 0 && !res.destroyed) {
+            left -= 1;
+            if (!res.write(filler)) {
+              res.once('drain', write);
+              return;
+            }
+          }
+          if (!res.destroyed) res.end('</body></html>');
+        };
+        write();
+        break;
+      }
+      case '/huge-image':
+        res.writeHead(200, html).end(OG_PAGE.replace('/image.png', '/big.png'));
+        break;
+      case '/big.png':
+        // Larger than the 5MB an image may be
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(Buffer.alloc(6 * 1024 * 1024));
+        break;
+      case '/slow': {
+        // Headers now, the page long after the deadline
+        res.writeHead(200, html);
+        res.write('<html><head>');
+        const timer = setTimeout(() => res.end('<title>Too late</title></head></html>'), TIMEOUT_MS * 6);
+        timers.add(timer);
+        res.on('close', () => clearTimeout(timer));
+        break;
+      }
+      case '/stalled': {
+        // Doesn't answer at all until after the deadline
+        const timer = setTimeout(() => res.writeHead(200, html).end(TITLE_PAGE), TIMEOUT_MS * 6);
+        timers.add(timer);
+        res.on('close', () => clearTimeout(timer));
+        break;
+      }
+      default:
+        res.writeHead(404).end();
+    }
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    requests,
+    finished,
+    close: () => {
+      timers.forEach(clearTimeout);
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+};
+
+// Resolves with [result, milliseconds taken]
+const timed = async (promise) => {
+  const started = Date.now();
+  const result = await promise;
+  return [result, Date.now() - started];
+};
+
+const run = async () => {
+  const standIn = await startStandIn();
+  const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-unfurl-'));
+  const base = `http://127.0.0.1:${standIn.port}`;
+  console.log(`Stand-in on ${base}`);
+
+  try {
+    // Private addresses, with the default settings
+    const strict = createUnfurler({ timeoutMs: TIMEOUT_MS, imageDir });
+    const refused = await Promise.all([
+      strict.unfurl(`${base}/og`),
+      strict.unfurl(`http://localhost:${standIn.port}/og`),
+      strict.unfurl(`http://[::ffff:127.0.0.1]:${standIn.port}/og`),
+      strict.unfurl(`http://[::1]:${standIn.port}/og`),
+    ]);
+    check(refused.every((preview) => preview === null) && !standIn.requests['/og'],
+      'loopback links are refused without a request, by IP or by hostname');
+    check(['10.0.0.1', '169.254.169.254', '192.168.1.1', '::ffff:10.0.0.1', 'fd00::1', '2002:a00:1::']
+      .every(isPrivateAddress) && !['8.8.8.8', '2606:4700::1111'].some(isPrivateAddress),
+    'private, link-local and mapped addresses count as private; public ones do not');
+
+    // Page contents, from the stand-in
+    const local = createUnfurler({ timeoutMs: TIMEOUT_MS, maxBytes: MAX_BYTES, allowPrivate: true, imageDir });
+    const preview = await local.unfurl(`${base}/og`);
+    check(Boolean(preview) && preview.title === 'Harness & friends' && preview.description === 'A page served by the harness'
+      && preview.siteName === 'Stand-in', 'the Open Graph title, description and site name are read');
+    const saved = preview && preview.image && path.join(imageDir, path.basename(preview.image));
+    const savedImage = saved && fs.existsSync(saved) ? await sharp(saved).metadata() : null;
+    check(/^\/uploads\/preview-[0-9a-f]{32}\.webp$/.test(preview?.image || '') && savedImage?.format === 'webp'
+      && savedImage.width === 160 && savedImage.height === 160, 'the preview image is saved as a 160px webp');
+
+    const titleOnly = await local.unfurl(`${base}/title`);
+    check(Boolean(titleOnly) && titleOnly.title === 'Just a title' && titleOnly.description === null
+      && titleOnly.image === null && titleOnly.siteName === '127.0.0.1', 'a page without Open Graph tags falls back to <title>');
+
+    // Oversize and slow responses
+    const [huge, hugeMs] = await timed(local.unfurl(`${base}/huge`));
+    check(Boolean(huge) && huge.title === 'Huge page' && !standIn.finished.has('/huge') && hugeMs < TIMEOUT_MS,
+      'an oversize page is cut off at maxBytes and previewed from what was read');
+    const hugeImage = await local.unfurl(`${base}/huge-image`);
+    check(Boolean(hugeImage) && hugeImage.title === 'Harness & friends' && hugeImage.image === null,
+      'an oversize image is dropped from the preview');
+
+    const [slow, slowMs] = await timed(local.unfurl(`${base}/slow`));
+    const [stalled, stalledMs] = await timed(local.unfurl(`${base}/stalled`));
+    check(slow === null && stalled === null && slowMs < TIMEOUT_MS * 3 && stalledMs < TIMEOUT_MS * 3,
+      `slow responses give up after the timeout (${slowMs}ms, ${stalledMs}ms)`);
+
+    const [cached, cachedMs] = await timed(local.unfurl(`${base}/slow`));
+    check(cached === null && cachedMs < TIMEOUT_MS && standIn.requests['/slow'] === 1, 'a failed preview is cached');
+  } finally {
+    fs.rmSync(imageDir, { recursive: true, force: true });
+    await standIn.close();
+  }
+};
+
+const deadline = setTimeout(() => {
+  console.error(`Timed out after ${OVERALL_TIMEOUT_MS / 1000}s`);
+  process.exit(1);
+}, OVERALL_TIMEOUT_MS);
+
+run()
+  .catch((error) => {
+    console.error(error);
+    failures.push(error.message);
+  })
+  .finally(() => {
+    clearTimeout(deadline);
+    console.log(failures.length ? `${failures.length} check(s) failed` : 'All checks passed');
+    process.exit(failures.length ? 1 : 0);
+  });
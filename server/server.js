@@ -1,19 +1,49 @@
 // server.js - Main server file for Socket.io chat application
 
+// Load environment variables before any module reads them (config/index.js does on require)
+require('dotenv').config();
+
 const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const dotenv = require('dotenv');
 const path = require('path');
+const { createStore } = require('./store');
+const { createMessageModel } = require('./models/messages');
+const { createUserModel } = require('./models/users');
+const { createPresence, userRoom } = require('./models/presence');
+const { createRoomModel } = require('./models/rooms');
+const { createMembershipModel } = require('./models/memberships');
+const { createUploadModel } = require('./models/uploads');
+const { createConversationModel, toPublicConversation } = require('./models/conversations');
+const { createPushSubscriptionModel } = require('./models/pushSubscriptions');
+const { createAuthRouter } = require('./routes/auth');
+const { createRoomsRouter } = require('./routes/rooms');
+const { createUploadsRouter, serveUploads } = require('./routes/uploads');
+const { createConversationsRouter } = require('./routes/conversations');
+const { createSearchRouter } = require('./routes/search');
+const { createPushRouter } = require('./routes/push');
+const { createRequireAuth } = require('./middleware/requireAuth');
+const { createAuthMiddleware } = require('./socket/authMiddleware');
+const { emitError, replyError } = require('./socket/errors');
+const { createFloodGuard } = require('./socket/floodGuard');
+const { createValidationMiddleware } = require('./socket/validation');
+const { schemas } = require('./socket/schemas');
+const { parseMentions, SPECIAL_MENTIONS } = require('./utils/mentions');
+const { createUnfurler, extractUrls } = require('./utils/unfurl');
+const { createRateLimiter } = require('./utils/rateLimiter');
+const { createPushNotifier } = require('./utils/push');
+const { createBroker, createBrokerAdapter, createSharedMap } = require('./pubsub');
+const config = require('./config');
 
-// Load environment variables
-dotenv.config();
+// Instances of the server share broadcasts and presence through the broker
+const broker = createBroker(config.brokerUrl);
 
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server, {
+  ...(config.brokerUrl && { adapter: createBrokerAdapter(broker) }),
   cors: {
     origin: process.env.CLIENT_URL || 'http://localhost:5173',
     methods: ['GET', 'POST'],
@@ -29,413 +59,1034 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Store connected users and messages
-const users = {};
-const messages = {}; // Room messages: { [roomName]: [messages] }
-const privateMessages = {}; // Private messages: { [messageId]: messageData }
-const typingUsers = {};
-const rooms = ['general', 'random', 'tech', 'gaming']; // Default rooms
-const readReceipts = {}; // Track read receipts: { messageId: { [userId]: timestamp } }
+// Persistent storage for accounts, rooms, memberships, conversations, messages, read cursors,
+// uploads and push subscriptions
+const store = createStore();
+const messages = createMessageModel(store);
+const accounts = createUserModel(store);
+const memberships = createMembershipModel(store);
+const rooms = createRoomModel(store, memberships, { isAdmin: accounts.isAdmin });
+const uploads = createUploadModel(store);
+const conversations = createConversationModel(store);
+const pushSubscriptions = createPushSubscriptionModel(store);
+const requireAuth = createRequireAuth(accounts);
+const floodGuard = createFloodGuard({
+  limiter: createRateLimiter({ limits: config.rateLimits, muteMs: config.autoMuteMs }),
+  maxMessageLength: config.maxMessageLength,
+});
+const validatePayloads = createValidationMiddleware(schemas, { replyError });
+const unfurler = createUnfurler({
+  allowPrivate: config.unfurlAllowPrivate,
+  timeoutMs: config.unfurlTimeoutMs,
+  imageDir: config.uploadDir,
+});
+const pushNotifier = createPushNotifier({
+  subscriptionModel: pushSubscriptions,
+  publicKey: config.vapidPublicKey,
+  privateKey: config.vapidPrivateKey,
+  subject: config.vapidSubject,
+  allowLocal: config.pushAllowLocal,
+});
+
+// Online users and typing state are shared by every instance. When an instance goes away
+// without saying so, the others drop its sockets and tell their own clients.
+const sharedState = (name, onExpire) => createSharedMap(broker, name, { nodeId: config.instanceId, onExpire });
+const onlineSockets = sharedState('presence', (dropped) => {
+  new Map(dropped.map(([, user]) => [user.id, user])).forEach(({ id, username }) => {
+    if (!presence.isOnline(id)) io.local.emit('user_left', { username, id });
+    io.local.emit('presence_update', presence.describe(id));
+  });
+});
+const presence = createPresence(onlineSockets, accounts);
+const typingUsers = sharedState('typing', (dropped) => {
+  new Set(dropped.map(([, typing]) => typing.room)).forEach((room) => {
+    io.local.to(viewerRoom(room)).emit('typing_users', typingIn(room));
+  });
+}); // { [userId]: { username, room } }
+
+// Run a change to a user's sockets or settings, and tell everyone if it changed what they see
+// of the user (status, custom status, last seen). Returns what `change` returns.
+const updatePresence = (userId, change) => {
+  const before = JSON.stringify(presence.describe(userId));
+  const result = change();
+  const after = presence.describe(userId);
+  if (after && JSON.stringify(after) !== before) {
+    io.emit('presence_update', after);
+  }
+  return result;
+};
+
+// An expired custom status already reads as null, but nothing tells anyone it went, so a
+// sweep clears expired ones and announces it. Each instance sweeps; whichever gets to a
+// status first clears and announces it.
+const STATUS_SWEEP_MS = 15 * 1000;
+const statusSweep = setInterval(() => {
+  accounts.clearExpiredStatuses().forEach((userId) => {
+    io.emit('presence_update', presence.describe(userId));
+    io.to(userRoom(userId)).emit('presence_settings', accounts.presenceSettings(userId));
+  });
+}, STATUS_SWEEP_MS);
+statusSweep.unref();
+
+// Sockets join the Socket.io room of every room their user is a member of, so messages reach
+// all of them. Separately, each socket views one room at a time and is also in that room's
+// viewer room, for what only matters on screen (typing, member list, join/leave notices).
+const viewerRoom = (room) => `view:${room}`;
+
+// Send an event to every open tab of every participant of a conversation
+const emitToConversation = (conversation, event, payload) => {
+  io.to(conversation.participants.map(userRoom)).emit(event, payload);
+};
+
+const describeConversation = (conversation) => toPublicConversation(conversation, accounts.findById);
+
+// Whether a user is on the receiving end of a private message
+const isRecipient = (message, userId) => message.senderId !== userId
+  && (message.recipientId === userId || conversations.isParticipant(message.conversationId, userId));
+
+// Whether a user may read a stored message, wherever it was posted
+const canReadMessage = (message, userId) => (message.isPrivate
+  ? message.senderId === userId || isRecipient(message, userId)
+  : rooms.canRead(message.room, userId));
+
+// Image and file messages must reference a file the sender uploaded; the stored
+// attachment replaces whatever the client put in `data`
+const resolveAttachment = (type, data, userId) => {
+  if (type !== 'image' && type !== 'file') {
+    return { type: 'text', data: null };
+  }
+  const attachment = data && uploads.attachmentFor(data.id, userId);
+  if (!attachment) {
+    return { error: { code: 'INVALID_ATTACHMENT', message: 'Upload the file before sending it.' } };
+  }
+  return { type: attachment.mimeType.startsWith('image/') ? 'image' : 'file', data: attachment };
+};
+
+// Mention metadata for a room message: the users named with @username who can read the room,
+// and whether it called out @room or @here. Null when nobody is mentioned.
+const resolveMentions = (room, text) => {
+  const names = parseMentions(text);
+  const users = [];
+  names.forEach((name) => {
+    if (SPECIAL_MENTIONS.includes(name)) return;
+    const account = accounts.findByUsername(name);
+    if (account && rooms.canRead(room, account.id)) {
+      users.push({ id: account.id, username: account.username });
+    }
+  });
+  const mentions = { users, room: names.includes('room'), here: names.includes('here') };
+  return users.length || mentions.room || mentions.here ? mentions : null;
+};
+
+// Mention metadata for a group conversation message: the participants named with @username.
+// Null when nobody is, and always for one-to-one DMs, where every message is for the other user.
+const resolveConversationMentions = (conversation, text) => {
+  if (!conversation || conversation.type !== 'group') return null;
+  const users = parseMentions(text)
+    .filter((name) => !SPECIAL_MENTIONS.includes(name))
+    .map((name) => accounts.findByUsername(name))
+    .filter((account) => account && conversation.participants.includes(account.id))
+    .map((account) => ({ id: account.id, username: account.username }));
+  return users.length ? { users, room: false, here: false } : null;
+};
+
+// Record who a room message's @here reaches: the members online as it's sent (or edited).
+// Notifications and unread mention counts both go by this, not by who is online later.
+const recordHereMention = (message) => {
+  const online = message.mentions && message.mentions.here
+    ? memberships.listMembers(message.room).filter((member) => presence.isOnline(member.id))
+    : [];
+  messages.setHereMentioned(message.id, online.map((member) => member.id));
+};
+
+// Ids of the users a room message's mentions reach, never including its sender
+const mentionedUserIds = (message) => {
+  const { mentions } = message;
+  if (!mentions) return [];
+  const ids = new Set(mentions.users.map((user) => user.id));
+  if (mentions.room) memberships.listMembers(message.room).forEach((member) => ids.add(member.id));
+  if (mentions.here) messages.hereMentioned(message.id).forEach((id) => ids.add(id));
+  ids.delete(message.senderId);
+  return [...ids].filter((id) => rooms.canRead(message.room, id));
+};
+
+// A push notification's text: the start of the message, or what it attached
+const pushPreview = (message) => {
+  if (!message.message) return message.type === 'image' ? 'Sent an image' : 'Sent a file';
+  return message.message.length > 100 ? `${message.message.slice(0, 99)}…` : message.message;
+};
+
+// Whether a DM message is addressed to a participant: every message of a one-to-one DM is, a
+// group message only when it mentions them. The client notifies by the same rule (App.jsx).
+const isAddressedTo = (message, conversation, userId) => conversation.type === 'direct'
+  || Boolean(message.mentions && message.mentions.users.some((user) => user.id === userId));
+
+// Web Push a message to those of `userIds` with no socket open on any instance who want to hear
+// about it (see users.wantsNotification); `addressed(userId)` says whether it's for them
+const pushToAway = (userIds, message, { title, addressed }) => {
+  const { id, room, conversationId, isPrivate, stream, sender, senderId, recipientId } = message;
+  const payload = {
+    title,
+    body: pushPreview(message),
+    tag: stream,
+    // Enough of the message for the client to open its room or DM
+    data: { id, room, conversationId, isPrivate: Boolean(isPrivate), stream, sender, senderId, recipientId },
+  };
+  userIds
+    .filter((userId) => !presence.isOnline(userId) && accounts.wantsNotification(userId, stream, { addressed: addressed(userId) }))
+    .forEach((userId) => pushNotifier.notifyUser(userId, payload));
+};
+
+// Tell mentioned users about a message wherever they are, even outside its room, and push it
+// to the ones who are away
+const notifyMentions = (message, userIds) => {
+  if (userIds.length === 0) return;
+  io.to(userIds.map(userRoom)).emit('mention_notification', { room: message.room, message });
+  const roomName = rooms.get(message.room)?.name || message.room;
+  pushToAway(userIds, message, { title: `${message.sender} mentioned you in #${roomName}`, addressed: () => true });
+};
+
+// Links previewed per message
+const MAX_PREVIEWS = 3;
+
+// Fetch previews for the links in a room message in the background, then attach them and
+// broadcast the message again. Skipped if the message was edited or deleted meanwhile.
+const attachLinkPreviews = async (message) => {
+  const urls = extractUrls(message.message, MAX_PREVIEWS);
+  if (urls.length === 0) return;
+  const previews = (await Promise.all(urls.map(unfurler.unfurl))).filter(Boolean);
+  const current = messages.find(message.id);
+  if (previews.length === 0 || !current || current.deleted || current.message !== message.message) return;
+  io.to(current.room).emit('message_updated', messages.update(current.id, { previews }));
+};
+
+// Number of messages sent when a user enters a room; older ones are paged in over REST
+const ROOM_HISTORY_SIZE = 50;
+
+// Unread and mention counts of a user in the given rooms and conversations, the payload of
+// unread_counts. Rooms only count messages sent since the user joined them.
+const unreadCountsFor = (userId, { rooms: roomIds = [], conversations: conversationIds = [] }) => {
+  const joinedAt = (room) => memberships.get(room, userId)?.joinedAt || null;
+  return {
+    rooms: Object.fromEntries(roomIds.map((room) => [room, messages.unreadCount(room, userId, joinedAt(room))])),
+    mentions: Object.fromEntries(roomIds.map((room) => [room, messages.unreadMentionCount(room, userId, joinedAt(room))])),
+    conversations: Object.fromEntries(conversationIds.map((id) => [id, messages.unreadCount(id, userId)])),
+  };
+};
+
+// Move a user's read cursor in a room ({ room }) or conversation ({ conversationId }) up to
+// `seq`, tell the senders of the messages it passed, and update the badges in all the user's tabs
+const markReadUpTo = (user, { room, conversationId }, seq) => {
+  const result = messages.markReadUpTo(room || conversationId, { userId: user.id, username: user.username }, seq);
+  if (!result) return;
+
+  result.read.forEach((message) => {
+    if (!message.senderId) return;
+    io.to(userRoom(message.senderId)).emit('message_read', {
+      messageId: message.id,
+      readBy: { username: user.username, userId: user.id },
+      timestamp: result.timestamp,
+    });
+  });
+  io.to(userRoom(user.id)).emit('unread_counts', unreadCountsFor(user.id, room
+    ? { rooms: [room] }
+    : { conversations: [conversationId] }));
+};
+
+// Names of the users currently typing in a room, on any instance
+const typingIn = (room) => typingUsers.values()
+  .filter(u => u.room === room)
+  .map(u => u.username);
+
+// Broadcast the names of users currently typing in a room
+const emitTypingUsers = (room) => {
+  io.to(viewerRoom(room)).emit('typing_users', typingIn(room));
+};
+
+// Rooms a user can see, each flagged with whether they're a member
+const roomListFor = (userId) => rooms.listFor(userId)
+  .map((room) => ({ ...room, joined: memberships.isMember(room.id, userId) }));
+
+// Send a user the rooms they can see (private rooms only appear for members)
+const emitRoomList = (userId) => {
+  io.to(userRoom(userId)).emit('available_rooms', roomListFor(userId));
+};
+
+// Push the live room list to everyone, and move viewers out of archived rooms
+const broadcastRoomChange = (room, action) => {
+  presence.list().forEach((user) => emitRoomList(user.id));
+  if (action === 'archived') {
+    io.to(room.id).emit('room_archived', { room: room.id });
+  }
+};
+
+const broadcastMembers = (roomId) => {
+  io.to(viewerRoom(roomId)).emit('room_members', { room: roomId, members: rooms.listMembers(roomId) });
+};
+
+// Invitation payload sent to the invitee
+const describeInvite = ({ roomId, invitedBy, createdAt }) => {
+  const { id, name, topic, visibility } = rooms.get(roomId);
+  return { room: { id, name, topic, visibility }, invitedBy, createdAt };
+};
+
+// Store and broadcast a notice such as "alice muted bob for 10 minutes"
+const postSystemMessage = (room, text) => {
+  const message = messages.add({
+    system: true,
+    type: 'system',
+    message: text,
+    room,
+    timestamp: new Date().toISOString(),
+  });
+  io.to(room).emit('receive_message', message);
+};
+
+// Pull every socket of a user out of a room and tell them why
+const removeFromRoom = (room, targetId, reason, by) => {
+  io.in(userRoom(targetId)).socketsLeave([room, viewerRoom(room)]);
+  io.to(userRoom(targetId)).emit('room_kicked', { room, by, reason });
+  emitRoomList(targetId);
+  broadcastMembers(room);
+};
+
+// Send an event to everyone who can see a message: the room, or every participant of a DM
+const emitToMessageAudience = (message, event, payload) => {
+  if (!message.isPrivate) {
+    io.to(message.room).emit(event, payload);
+    return;
+  }
+  // Group messages have no recipientId; every participant of the conversation sees the change
+  const conversation = message.conversationId && conversations.get(message.conversationId);
+  if (conversation) {
+    emitToConversation(conversation, event, payload);
+    return;
+  }
+  io.to([userRoom(message.senderId), userRoom(message.recipientId)]).emit(event, payload);
+};
+
+const usernameOf = (userId) => accounts.findById(userId)?.username || 'someone';
+
+// Show a room in a socket (the user stays in the rooms they were viewing before) and send it
+// the room's recent history. Viewing a room you aren't in makes you a member. Returns false,
+// changing nothing, for a room the user may not join (archived, private or banned from).
+const enterRoom = (socket, roomName) => {
+  const { id: userId, username } = socket.data.user;
+  if (!rooms.canJoin(roomName, userId)) return false;
+  const oldRoom = socket.data.currentRoom;
+  if (oldRoom) socket.leave(viewerRoom(oldRoom));
+  socket.join(viewerRoom(roomName));
+  socket.data.currentRoom = roomName;
+  
+  // Visiting a public room makes you a member of it, in every tab
+  const isNewMember = !memberships.isMember(roomName, userId);
+  memberships.add(roomName, socket.data.user);
+  io.in(userRoom(userId)).socketsJoin(roomName);
+  
+  // Notify user of room change with the most recent page of history
+  const history = messages.getRoomPage(roomName, { limit: ROOM_HISTORY_SIZE });
+  socket.emit('room_changed', { 
+    room: roomName, 
+    previousRoom: oldRoom,
+    messages: history.messages,
+    hasMore: history.hasMore,
+    members: rooms.listMembers(roomName),
+    seq: messages.headOf(roomName), // The client's sync cursor for this room starts here
+    lastReadSeq: messages.lastReadSeq(roomName, userId), // Where the "new messages" divider goes
+  });
+  if (isNewMember) {
+    broadcastMembers(roomName);
+    emitRoomList(userId);
+    // Notify whoever has the room open
+    socket.to(viewerRoom(roomName)).emit('user_joined_room', { 
+      username,
+      room: roomName 
+    });
+  }
+  return true;
+};
+
+// Only sockets presenting a valid token get past the handshake
+io.use(createAuthMiddleware(accounts));
 
 // Socket.io connection handler
 io.on('connection', (socket) => {
-  console.log(`User connected: ${socket.id}`);
+  const { id: userId, username } = socket.data.user;
+  console.log(`User connected: ${socket.id} (${username})`);
+  socket.use(floodGuard(socket));
+  socket.use(validatePayloads(socket));
 
-  // Handle user joining
-  socket.on('user_join', (username) => {
-    console.log(`[user_join] Socket ${socket.id} attempting to join with username: "${username}"`);
-    
-    // Validate username
-    if (!username || typeof username !== 'string') {
-      console.log(`[user_join] Invalid username for socket ${socket.id}`);
-      socket.emit('username_taken', { message: 'Username is required.' });
+  // Every tab of a user shares the user room, so per-user events reach all of them
+  const { firstConnection } = updatePresence(userId, () => presence.addSocket(socket.data.user, socket.id));
+  const { status } = accounts.presenceSettings(userId);
+  socket.join(userRoom(userId));
+  // Everyone is in #general, unless banned from it
+  const inGeneral = rooms.canJoin('general', userId);
+  if (inGeneral) memberships.add('general', socket.data.user);
+  memberships.roomsOf(userId)
+    .filter((room) => rooms.canJoin(room, userId))
+    .forEach((room) => socket.join(room));
+
+  socket.emit('session', {
+    user: { id: userId, username },
+    presence: accounts.presenceSettings(userId),
+    notifications: accounts.notificationPrefs(userId),
+  });
+  socket.emit('available_rooms', roomListFor(userId));
+  socket.emit('room_invitations', memberships.invitesFor(userId).map(describeInvite));
+  socket.emit('unread_counts', unreadCountsFor(userId, {
+    rooms: memberships.roomsOf(userId).filter((room) => rooms.canJoin(room, userId)),
+    conversations: conversations.listFor(userId).map((conversation) => conversation.id),
+  }));
+  // Every connection starts out viewing #general, with its history and read marker
+  if (inGeneral) enterRoom(socket, 'general');
+  // Everyone's presence once; after that only presence_update for what changes
+  socket.emit('presence_list', presence.describeAll());
+  if (firstConnection && status !== 'invisible') {
+    io.emit('user_joined', { username, id: userId });
+    console.log(`${username} joined the chat`);
+  }
+  
+  // Handle joining a room
+  socket.on('join_room', (roomName) => {
+    // Only active rooms the user is allowed into can be joined
+    const denied = rooms.checkJoin(roomName, userId);
+    if (denied) {
+      emitError(socket, 'join_room', denied);
       return;
     }
-    
-    // Trim and validate username length (3-20 characters)
-    const trimmedUsername = username.trim();
-    if (trimmedUsername.length < 3 || trimmedUsername.length > 20) {
-      console.log(`[user_join] Username length invalid for socket ${socket.id}: ${trimmedUsername.length}`);
-      socket.emit('username_taken', { message: 'Username must be between 3 and 20 characters.' });
+    enterRoom(socket, roomName);
+  });
+  
+  // Handle creating a room; the creator is moved into it
+  socket.on('create_room', (roomData) => {
+    const result = rooms.create(roomData || {}, socket.data.user);
+    if (result.error) {
+      emitError(socket, 'create_room', result.error);
       return;
     }
-    
-    // If this socket.id already has a user entry, remove it first (handles reconnection/username change cases)
-    if (users[socket.id]) {
-      const oldUsername = users[socket.id].username;
-      const oldRoom = users[socket.id].currentRoom;
-      console.log(`[user_join] Removing old user entry for socket ${socket.id}: ${oldUsername} from room ${oldRoom}`);
-      socket.leave(oldRoom);
-      delete users[socket.id];
-      delete typingUsers[socket.id];
-      // Update user list for other clients
-      io.emit('user_list', Object.values(users));
+    broadcastRoomChange(result.room, 'created');
+    enterRoom(socket, result.room.id);
+  });
+  
+  // Handle renaming a room or changing its topic/description
+  socket.on('update_room', ({ room, ...changes } = {}) => {
+    const result = rooms.update(room, changes, socket.data.user);
+    if (result.error) {
+      emitError(socket, 'update_room', result.error);
+      return;
     }
-    
-    // Check if username is already taken by OTHER users (case-insensitive)
-    // Exclude current socket.id from the check since we just removed it
-    const existingUsers = Object.entries(users).filter(([socketId]) => socketId !== socket.id);
-    const usernameExists = existingUsers.some(
-      ([, user]) => user.username.toLowerCase() === trimmedUsername.toLowerCase()
-    );
-    
-    if (usernameExists) {
-      const takenBy = existingUsers.find(([, user]) => user.username.toLowerCase() === trimmedUsername.toLowerCase());
-      console.log(`[user_join] Username "${trimmedUsername}" already taken by socket ${takenBy[0]} for socket ${socket.id}`);
-      socket.emit('username_taken', { message: 'Username already taken. Please choose another.' });
+    broadcastRoomChange(result.room, 'updated');
+  });
+  
+  // Handle archiving a room
+  socket.on('archive_room', ({ room } = {}) => {
+    const result = rooms.archive(room, socket.data.user);
+    if (result.error) {
+      emitError(socket, 'archive_room', result.error);
       return;
     }
-    
-    // Add user with new username
-    users[socket.id] = { username: trimmedUsername, id: socket.id, currentRoom: 'general' };
-    console.log(`[user_join] Successfully added user "${trimmedUsername}" for socket ${socket.id}`);
-    
-    // Join default room
-    socket.join('general');
-    if (!messages['general']) {
-      messages['general'] = [];
+    broadcastRoomChange(result.room, 'archived');
+  });
+  
+  // Handle inviting a user to an invite-only or private room
+  socket.on('invite_to_room', ({ room, userId: inviteeId } = {}) => {
+    const invitee = accounts.findById(inviteeId);
+    const result = rooms.invite(room, invitee && { id: invitee.id, username: invitee.username }, socket.data.user);
+    if (result.error) {
+      emitError(socket, 'invite_to_room', result.error);
+      return;
+    }
+    io.to(userRoom(invitee.id)).emit('room_invitation', describeInvite(result.invitation));
+  });
+  
+  // Handle accepting an invitation; the user is moved into the room
+  socket.on('accept_invite', ({ room } = {}) => {
+    const result = rooms.acceptInvite(room, socket.data.user);
+    if (result.error) {
+      emitError(socket, 'accept_invite', result.error);
+      return;
+    }
+    emitRoomList(userId);
+    enterRoom(socket, room);
+    broadcastMembers(room);
+  });
+  
+  socket.on('decline_invite', ({ room } = {}) => {
+    const result = rooms.declineInvite(room, socket.data.user);
+    if (result.error) {
+      emitError(socket, 'decline_invite', result.error);
+    }
+  });
+  
+  // Moderation: remove a member from a room (they may rejoin public rooms)
+  socket.on('kick_member', ({ room, userId: targetId } = {}) => {
+    const result = rooms.kick(room, targetId, socket.data.user);
+    if (result.error) {
+      emitError(socket, 'kick_member', result.error);
+      return;
+    }
+    removeFromRoom(room, targetId, 'kicked', username);
+    postSystemMessage(room, `${usernameOf(targetId)} was removed by ${username}`);
+  });
+  
+  // Moderation: remove a member and keep them out
+  socket.on('ban_user', ({ room, userId: targetId } = {}) => {
+    const result = rooms.ban(room, targetId, socket.data.user);
+    if (result.error) {
+      emitError(socket, 'ban_user', result.error);
+      return;
+    }
+    removeFromRoom(room, targetId, 'banned', username);
+    postSystemMessage(room, `${usernameOf(targetId)} was banned by ${username}`);
+  });
+  
+  socket.on('unban_user', ({ room, userId: targetId } = {}) => {
+    const result = rooms.unban(room, targetId, socket.data.user);
+    if (result.error) {
+      emitError(socket, 'unban_user', result.error);
+      return;
+    }
+    emitRoomList(targetId);
+    postSystemMessage(room, `${usernameOf(targetId)} was unbanned by ${username}`);
+  });
+  
+  // Moderation: stop a member from posting, typing or reacting for a number of minutes
+  socket.on('mute_user', ({ room, userId: targetId, minutes } = {}) => {
+    const result = rooms.mute(room, targetId, minutes, socket.data.user);
+    if (result.error) {
+      emitError(socket, 'mute_user', result.error);
+      return;
+    }
+    typingUsers.delete(targetId);
+    emitTypingUsers(room);
+    broadcastMembers(room);
+    io.to(userRoom(targetId)).emit('muted', { room, until: result.until, by: username });
+    postSystemMessage(room, `${usernameOf(targetId)} was muted by ${username} for ${minutes} minute${Number(minutes) === 1 ? '' : 's'}`);
+  });
+  
+  socket.on('unmute_user', ({ room, userId: targetId } = {}) => {
+    const result = rooms.unmute(room, targetId, socket.data.user);
+    if (result.error) {
+      emitError(socket, 'unmute_user', result.error);
+      return;
+    }
+    broadcastMembers(room);
+    postSystemMessage(room, `${usernameOf(targetId)} was unmuted by ${username}`);
+  });
+  
+  // Owners promote members to moderator or demote them
+  socket.on('set_role', ({ room, userId: targetId, role } = {}) => {
+    const result = rooms.setRole(room, targetId, role, socket.data.user);
+    if (result.error) {
+      emitError(socket, 'set_role', result.error);
+      return;
+    }
+    broadcastMembers(room);
+    postSystemMessage(room, `${usernameOf(targetId)} is now a ${role}`);
+  });
+  
+  // Moderation: remove any message in a room
+  socket.on('remove_message', ({ messageId } = {}) => {
+    const message = messages.find(messageId);
+    if (!message || message.isPrivate || message.deleted) {
+      emitError(socket, 'remove_message', { code: 'MESSAGE_NOT_FOUND', message: 'Message not found.' });
+      return;
+    }
+    const result = rooms.checkRemoveMessage(message.room, socket.data.user, message);
+    if (result) {
+      emitError(socket, 'remove_message', result.error);
+      return;
     }
     
-    io.emit('user_list', Object.values(users));
-    io.emit('user_joined', { username: trimmedUsername, id: socket.id });
-    io.emit('available_rooms', rooms);
-    console.log(`${trimmedUsername} joined the chat`);
+    messages.markDeleted(messageId, { id: userId, username });
+    io.to(message.room).emit('message_deleted', { messageId, room: message.room, deletedBy: { id: userId, username } });
   });
   
-  // Handle joining a room
-  socket.on('join_room', (roomName) => {
-    if (users[socket.id]) {
-      const oldRoom = users[socket.id].currentRoom;
-      socket.leave(oldRoom);
-      socket.join(roomName);
-      users[socket.id].currentRoom = roomName;
-      
-      // Initialize room messages if it doesn't exist
-      if (!messages[roomName]) {
-        messages[roomName] = [];
-      }
-      
-      // Mark all messages in the room as read when user joins
-      const userId = socket.id;
-      const username = users[socket.id].username;
-      const roomMessages = messages[roomName];
-      
-      roomMessages.forEach((message) => {
-        // Skip messages sent by this user
-        if (message.senderId === userId) return;
-        
-        if (!readReceipts[message.id]) {
-          readReceipts[message.id] = {};
-        }
-        
-        if (!readReceipts[message.id][userId]) {
-          readReceipts[message.id][userId] = {
-            username,
-            timestamp: new Date().toISOString(),
-          };
-          
-          // Notify the sender
-          if (message.senderId) {
-            io.to(message.senderId).emit('message_read', {
-              messageId: message.id,
-              readBy: { username, userId },
-              timestamp: readReceipts[message.id][userId].timestamp,
-            });
-          }
-        }
-      });
-      
-      // Notify user of room change
-      socket.emit('room_changed', { 
-        room: roomName, 
-        previousRoom: oldRoom,
-        messages: messages[roomName] 
-      });
-      
-      // Notify others in the new room
-      io.to(roomName).emit('user_joined_room', { 
-        username: users[socket.id].username,
-        room: roomName 
-      });
+  // Find a message the current user sent and may still change, or report why not
+  const findOwnMessage = (event, messageId) => {
+    const message = messages.find(messageId);
+    if (!message || message.system || message.deleted) {
+      emitError(socket, event, { code: 'MESSAGE_NOT_FOUND', message: 'Message not found.' });
+      return null;
+    }
+    if (message.senderId !== userId) {
+      emitError(socket, event, { code: 'FORBIDDEN', message: 'You can only change your own messages.' });
+      return null;
+    }
+    const denied = !message.isPrivate && rooms.checkPost(message.room, userId);
+    if (denied) {
+      emitError(socket, event, denied);
+      return null;
+    }
+    return message;
+  };
+  
+  // Handle editing your own message
+  socket.on('edit_message', ({ messageId, message: text } = {}) => {
+    if (typeof text !== 'string' || !text.trim()) {
+      emitError(socket, 'edit_message', { code: 'INVALID_MESSAGE', message: 'Message cannot be empty.' });
+      return;
+    }
+    const message = findOwnMessage('edit_message', messageId);
+    if (!message) return;
+    
+    // Mentions follow the new text; only users it newly mentions are notified
+    const before = message.isPrivate ? [] : mentionedUserIds(message);
+    const updated = message.isPrivate
+      ? messages.edit(messageId, text, {
+        mentions: resolveConversationMentions(conversations.get(message.conversationId), text),
+      })
+      : messages.edit(messageId, text, { mentions: resolveMentions(message.room, text), previews: [] });
+    emitToMessageAudience(updated, 'message_updated', updated);
+    if (!updated.isPrivate) {
+      recordHereMention(updated);
+      notifyMentions(updated, mentionedUserIds(updated).filter((id) => !before.includes(id)));
+      attachLinkPreviews(updated);
     }
   });
   
-  // Handle leaving a room
+  // Handle deleting your own message
+  socket.on('delete_message', ({ messageId } = {}) => {
+    const message = findOwnMessage('delete_message', messageId);
+    if (!message) return;
+    
+    const deletedBy = { id: userId, username };
+    messages.markDeleted(messageId, deletedBy);
+    emitToMessageAudience(message, 'message_deleted', { messageId, room: message.room || null, deletedBy });
+  });
+  
+  // Leave a room for good (until rejoining, or a new invitation for private rooms); every
+  // tab of the user stops receiving it, and tabs viewing it go back to #general
   socket.on('leave_room', (roomName) => {
-    if (users[socket.id]) {
-      socket.leave(roomName);
-      users[socket.id].currentRoom = 'general'; // Default to general
-      socket.join('general');
-      
-      io.to(roomName).emit('user_left_room', { 
-        username: users[socket.id].username,
-        room: roomName 
-      });
+    if (roomName === 'general') {
+      emitError(socket, 'leave_room', { code: 'CANNOT_LEAVE', message: 'Everyone stays in #general.' });
+      return;
     }
+    if (!memberships.isMember(roomName, userId)) return;
+    memberships.remove(roomName, userId);
+    io.in(userRoom(userId)).socketsLeave([roomName, viewerRoom(roomName)]);
+    io.to(userRoom(userId)).emit('room_left', { room: roomName });
+    emitRoomList(userId);
+    broadcastMembers(roomName);
+    io.to(viewerRoom(roomName)).emit('user_left_room', { 
+      username,
+      room: roomName 
+    });
   });
 
-  // Handle chat messages (to specific room)
-  socket.on('send_message', (messageData) => {
-    if (!users[socket.id]) return;
+  // Client-generated message ids make retries idempotent
+  const clientTempId = (tempId) => (typeof tempId === 'string' && tempId ? tempId.slice(0, 64) : undefined);
+
+  // Handle chat messages. `room` defaults to the room being viewed; messages queued
+  // while offline name the room they were written in. The ack gets { message } or { error }.
+  socket.on('send_message', (messageData = {}, ack) => {
+    const room = typeof messageData.room === 'string' ? messageData.room : socket.data.currentRoom || 'general';
+    const tempId = clientTempId(messageData.tempId);
     
-    const currentRoom = users[socket.id].currentRoom || 'general';
-    const message = {
-      ...messageData,
-      id: Date.now(),
-      sender: users[socket.id]?.username || 'Anonymous',
-      senderId: socket.id,
-      timestamp: new Date().toISOString(),
-      room: currentRoom,
-      type: messageData.type || 'text', // text, image, file
-    };
+    // A retry of a message that already went through is acknowledged again, not stored twice
+    const existing = tempId && messages.findByTempId(userId, tempId);
+    if (existing) {
+      if (typeof ack === 'function') ack({ message: existing });
+      return;
+    }
     
-    // Store message in room
-    if (!messages[currentRoom]) {
-      messages[currentRoom] = [];
+    const denied = rooms.checkPost(room, userId);
+    if (denied) {
+      replyError(socket, 'send_message', ack, denied);
+      return;
+    }
+    const content = resolveAttachment(messageData.type, messageData.data, userId);
+    if (content.error) {
+      replyError(socket, 'send_message', ack, content.error);
+      return;
     }
-    messages[currentRoom].push(message);
     
-    // Limit stored messages to prevent memory issues
-    if (messages[currentRoom].length > 100) {
-      messages[currentRoom].shift();
+    // Replies attach to the thread's root, so threads are never nested
+    let threadRoot = null;
+    if (messageData.parentId !== undefined && messageData.parentId !== null) {
+      const parent = messages.find(messageData.parentId);
+      threadRoot = parent && parent.parentId ? messages.find(parent.parentId) : parent;
+      if (!threadRoot || threadRoot.isPrivate || threadRoot.system || threadRoot.room !== room) {
+        replyError(socket, 'send_message', ack, { code: 'MESSAGE_NOT_FOUND', message: 'The message you replied to no longer exists.' });
+        return;
+      }
     }
     
+    // Store message in room (the store assigns the id). Only these fields are stored, never
+    // whatever else the client put in the payload.
+    const message = messages.add({
+      message: messageData.message || '',
+      sender: username,
+      senderId: userId,
+      timestamp: new Date().toISOString(),
+      room,
+      type: content.type, // text, image, file
+      data: content.data,
+      parentId: threadRoot ? threadRoot.id : undefined,
+      tempId,
+      mentions: resolveMentions(room, messageData.message),
+    });
+    
+    recordHereMention(message);
     // Send to all users in the room
-    io.to(currentRoom).emit('receive_message', message);
-    // Acknowledge to sender for delivery tracking
-    if (messageData.tempId) {
-      socket.emit('message_ack', { tempId: messageData.tempId, id: message.id, room: currentRoom });
+    io.to(room).emit('receive_message', message);
+    const mentioned = mentionedUserIds(message);
+    notifyMentions(message, mentioned);
+    
+    // Update the root's reply count and let its author know, wherever they are
+    if (threadRoot) {
+      const updatedRoot = messages.recordReply(threadRoot.id, message);
+      io.to(room).emit('message_updated', updatedRoot);
+      // A root author who was also mentioned already heard about it
+      if (threadRoot.senderId && threadRoot.senderId !== userId && !mentioned.includes(threadRoot.senderId)) {
+        io.to(userRoom(threadRoot.senderId)).emit('reply_notification', {
+          room,
+          parentId: threadRoot.id,
+          message,
+        });
+      }
     }
+    // Acknowledge to the sender for delivery tracking
+    if (typeof ack === 'function') ack({ message });
+    attachLinkPreviews(message);
   });
 
   // Handle typing indicator (in specific room)
   socket.on('typing', (isTyping) => {
-    if (users[socket.id]) {
-      const username = users[socket.id].username;
-      const currentRoom = users[socket.id].currentRoom || 'general';
-      
-      if (isTyping) {
-        typingUsers[socket.id] = { username, room: currentRoom };
-      } else {
-        delete typingUsers[socket.id];
-      }
-      
-      // Send typing users in the current room
-      const roomTypingUsers = Object.values(typingUsers)
-        .filter(u => u.room === currentRoom)
-        .map(u => u.username);
-      
-      io.to(currentRoom).emit('typing_users', roomTypingUsers);
+    const currentRoom = socket.data.currentRoom || 'general';
+    
+    if (isTyping && !rooms.checkPost(currentRoom, userId)) {
+      typingUsers.set(userId, { username, room: currentRoom });
+    } else {
+      typingUsers.delete(userId);
     }
+    
+    // Send typing users in the current room
+    emitTypingUsers(currentRoom);
   });
 
-  // Handle private messages
-  socket.on('private_message', ({ to, message, type, data }) => {
-    if (!users[socket.id]) return;
-    
-    const messageId = Date.now();
-    const senderUsername = users[socket.id]?.username || 'Anonymous';
+  // Handle private messages: `to` is the recipient's user id for a direct message, or
+  // `conversationId` names a conversation the sender is in (required for groups).
+  // Acknowledged like send_message.
+  socket.on('private_message', ({ to, conversationId, message, type, data, tempId: rawTempId } = {}, ack) => {
+    const tempId = clientTempId(rawTempId);
+    const existing = tempId && messages.findByTempId(userId, tempId);
+    if (existing) {
+      if (typeof ack === 'function') ack({ message: existing });
+      return;
+    }
     
-    // Create message for sender (with recipientId = to)
-    const senderMessage = {
-      id: messageId,
-      sender: senderUsername,
-      senderId: socket.id,
-      message,
-      timestamp: new Date().toISOString(),
-      isPrivate: true,
-      type: type || 'text',
-      data: data || null,
-      recipientId: to, // Recipient's socket.id for sender's view
-    };
+    let conversation;
+    if (conversationId !== undefined) {
+      conversation = conversations.isParticipant(conversationId, userId) ? conversations.get(conversationId) : null;
+      if (!conversation) {
+        replyError(socket, 'private_message', ack, { code: 'CONVERSATION_NOT_FOUND', message: 'Conversation not found.' });
+        return;
+      }
+    } else {
+      if (!accounts.findById(to)) {
+        replyError(socket, 'private_message', ack, { code: 'USER_NOT_FOUND', message: 'That user does not exist.' });
+        return;
+      }
+      conversation = conversations.ensureDirect(userId, to);
+    }
+    const content = resolveAttachment(type, data, userId);
+    if (content.error) {
+      replyError(socket, 'private_message', ack, content.error);
+      return;
+    }
     
-    // Create message for recipient (with recipientId = their own id for consistency)
-    const recipientMessage = {
-      id: messageId,
-      sender: senderUsername,
-      senderId: socket.id,
+    // Store private message in its conversation for history and receipts
+    const privateMessage = messages.add({
+      sender: username,
+      senderId: userId,
       message,
       timestamp: new Date().toISOString(),
       isPrivate: true,
-      type: type || 'text',
-      data: data || null,
-      recipientId: to, // Keep recipientId for filtering on recipient side
-    };
-    
-    // Store private message for read receipt tracking (use sender's version)
-    privateMessages[messageId] = senderMessage;
+      type: content.type,
+      data: content.data,
+      // Direct messages also name their recipient; group messages go to every participant
+      recipientId: conversation.type === 'direct'
+        ? conversation.participants.find(id => id !== userId) ?? userId
+        : undefined,
+      conversationId: conversation.id,
+      tempId,
+      mentions: resolveConversationMentions(conversation, message),
+    });
     
-    // Initialize read receipts for this message
-    if (!readReceipts[messageId]) {
-      readReceipts[messageId] = {};
+    // Deliver to every open tab of every participant, the sender included, and push it to
+    // the ones who are away
+    emitToConversation(conversation, 'private_message', privateMessage);
+    pushToAway(conversation.participants.filter(id => id !== userId), privateMessage, {
+      title: conversation.type === 'group' ? `${username} in ${conversation.name || 'your group'}` : username,
+      addressed: (recipientId) => isAddressedTo(privateMessage, conversation, recipientId),
+    });
+    if (typeof ack === 'function') ack({ message: privateMessage });
+  });
+
+  // Start a group conversation with 2-7 other users; the ack gets { conversation } or { error }
+  socket.on('create_group', ({ participantIds, name } = {}, ack) => {
+    const ids = Array.isArray(participantIds) ? participantIds.filter(id => accounts.findById(id)) : [];
+    const result = conversations.createGroup(socket.data.user, ids, name);
+    if (result.error) {
+      replyError(socket, 'create_group', ack, result.error);
+      return;
     }
-    
-    // Send to recipient
-    socket.to(to).emit('private_message', recipientMessage);
-    // Send to sender (with recipientId so they can filter)
-    socket.emit('private_message', senderMessage);
+    const conversation = describeConversation(result.conversation);
+    emitToConversation(result.conversation, 'conversation_created', { conversation, createdBy: { id: userId, username } });
+    if (typeof ack === 'function') ack({ conversation });
   });
 
-  // Handle read receipts for messages
-  socket.on('mark_message_read', ({ messageId, room, isPrivate }) => {
-    if (!users[socket.id]) return;
-    
-    const userId = socket.id;
-    const username = users[socket.id].username;
-    
-    // Initialize read receipts if needed
-    if (!readReceipts[messageId]) {
-      readReceipts[messageId] = {};
+  // Add people to a group conversation
+  socket.on('add_participants', ({ conversationId, userIds } = {}, ack) => {
+    const ids = Array.isArray(userIds) ? userIds.filter(id => accounts.findById(id)) : [];
+    const result = conversations.addParticipants(conversationId, userId, ids);
+    if (result.error) {
+      replyError(socket, 'add_participants', ack, result.error);
+      return;
     }
-    
-    // Mark as read by this user
-    if (!readReceipts[messageId][userId]) {
-      readReceipts[messageId][userId] = {
-        username,
-        timestamp: new Date().toISOString(),
-      };
-      
-      // Find the message sender and notify them
-      let senderId = null;
-      
-      if (isPrivate) {
-        // For private messages, get sender from stored private message
-        const privateMsg = privateMessages[messageId];
-        if (privateMsg && privateMsg.senderId) {
-          senderId = privateMsg.senderId;
-        }
-      } else if (room && messages[room]) {
-        // For room messages, find the message sender
-        const message = messages[room].find(m => m.id === messageId);
-        if (message && message.senderId) {
-          senderId = message.senderId;
-        }
-      }
-      
-      // Notify the sender that their message was read
-      if (senderId && senderId !== userId) {
-        io.to(senderId).emit('message_read', {
-          messageId,
-          readBy: { username, userId },
-          timestamp: readReceipts[messageId][userId].timestamp,
-        });
-      }
+    const conversation = describeConversation(result.conversation);
+    emitToConversation(result.conversation, 'participants_added', {
+      conversation,
+      added: conversation.participants.filter(p => result.added.includes(p.id)),
+      addedBy: { id: userId, username },
+    });
+    if (typeof ack === 'function') ack({ conversation });
+  });
+
+  // Leave a group conversation; the others are told, and so are the leaver's other tabs
+  socket.on('leave_conversation', ({ conversationId } = {}, ack) => {
+    const result = conversations.leaveGroup(conversationId, userId);
+    if (result.error) {
+      replyError(socket, 'leave_conversation', ack, result.error);
+      return;
     }
+    const payload = { conversation: describeConversation(result.conversation), user: { id: userId, username } };
+    io.to([...result.conversation.participants.map(userRoom), userRoom(userId)]).emit('participant_left', payload);
+    if (typeof ack === 'function') ack(payload);
   });
 
-  // Handle marking all messages in a room as read
-  socket.on('mark_room_read', ({ room }) => {
-    if (!users[socket.id] || !messages[room]) return;
+  // Catch up after a reconnect. `cursors` maps each stream (room id or DM key) to the last
+  // sequence number the client saw; the ack gets every message created or changed since then
+  // in the user's rooms and DMs, plus the current head of each stream. On the first sync of a
+  // session (no cursors) only the heads are sent; later, streams missing from `cursors` are new
+  // to the client and are sent from the start. `truncated` lists streams that need a reload.
+  socket.on('sync', ({ cursors } = {}, ack) => {
+    if (typeof ack !== 'function') return;
+    const known = cursors && typeof cursors === 'object' ? cursors : {};
+    const initial = Object.keys(known).length === 0;
+    const streams = [
+      ...memberships.roomsOf(userId).filter(room => rooms.canRead(room, userId)),
+      ...conversations.listFor(userId).map(c => c.id),
+    ];
     
-    const userId = socket.id;
-    const username = users[socket.id].username;
-    const roomMessages = messages[room];
-    
-    // Mark all unread messages in the room as read by this user
-    roomMessages.forEach((message) => {
-      // Skip messages sent by this user (you don't read your own messages)
-      if (message.senderId === userId) return;
-      
-      if (!readReceipts[message.id]) {
-        readReceipts[message.id] = {};
-      }
-      
-      if (!readReceipts[message.id][userId]) {
-        readReceipts[message.id][userId] = {
-          username,
-          timestamp: new Date().toISOString(),
-        };
-        
-        // Notify the sender
-        if (message.senderId) {
-          io.to(message.senderId).emit('message_read', {
-            messageId: message.id,
-            readBy: { username, userId },
-            timestamp: readReceipts[message.id][userId].timestamp,
-          });
-        }
-      }
+    const result = { messages: [], cursors: {}, truncated: [] };
+    streams.forEach((stream) => {
+      result.cursors[stream] = messages.headOf(stream);
+      if (initial) return;
+      const since = Number(known[stream]) || 0;
+      const changes = messages.changesSince(stream, since);
+      result.messages.push(...changes.messages);
+      if (changes.truncated) result.truncated.push(stream);
     });
+    ack(result);
+  });
+
+  // The user has seen a room or conversation up to the message numbered `seq`
+  socket.on('mark_read_up_to', ({ room, conversationId, seq }) => {
+    if (room ? !rooms.canRead(room, userId) : !conversations.isParticipant(conversationId, userId)) return;
+    markReadUpTo(socket.data.user, room ? { room } : { conversationId }, seq);
+  });
+
+  // A private message reached one of the recipient's tabs; tell its sender
+  socket.on('mark_message_delivered', ({ messageId } = {}) => {
+    const message = messages.find(messageId);
+    if (!message || !message.isPrivate || !isRecipient(message, userId)) return;
+    
+    const receipt = messages.markDelivered(messageId, { userId, username });
+    if (receipt) {
+      io.to(userRoom(message.senderId)).emit('message_delivered', {
+        messageId,
+        conversationId: message.conversationId,
+        deliveredTo: { username, userId },
+        timestamp: receipt.timestamp,
+      });
+    }
   });
 
   // Handle message reactions
   socket.on('add_reaction', ({ messageId, room, reaction }) => {
-    if (!messages[room]) return;
-    
-    const messageIndex = messages[room].findIndex(m => m.id === messageId);
-    if (messageIndex === -1) return;
-    
-    const message = messages[room][messageIndex];
-    if (!message.reactions) {
-      message.reactions = {};
+    const message = messages.find(messageId);
+    if (!message || message.isPrivate || message.deleted || message.room !== room) return;
+    const denied = rooms.checkPost(room, userId);
+    if (denied) {
+      emitError(socket, 'add_reaction', denied);
+      return;
     }
     
-    const username = users[socket.id]?.username;
-    if (!message.reactions[reaction]) {
-      message.reactions[reaction] = [];
-    }
+    const reactions = { ...(message.reactions || {}) };
+    const reactedBy = reactions[reaction] || [];
     
     // Toggle reaction - if user already reacted, remove it
-    const userIndex = message.reactions[reaction].indexOf(username);
-    if (userIndex > -1) {
-      message.reactions[reaction].splice(userIndex, 1);
-      if (message.reactions[reaction].length === 0) {
-        delete message.reactions[reaction];
+    if (reactedBy.includes(username)) {
+      reactions[reaction] = reactedBy.filter(name => name !== username);
+      if (reactions[reaction].length === 0) {
+        delete reactions[reaction];
       }
     } else {
-      message.reactions[reaction].push(username);
+      reactions[reaction] = [...reactedBy, username];
     }
     
-    io.to(room).emit('message_reaction_updated', { messageId, reactions: message.reactions });
+    messages.update(messageId, { reactions });
+    io.to(room).emit('message_reaction_updated', { messageId, reactions });
+  });
+
+  // Presence: the status a user picks applies to all their tabs, and is kept across sessions
+  socket.on('set_status', (status, ack) => {
+    const settings = updatePresence(userId, () => {
+      // Going invisible looks like signing off to everyone else
+      if (status === 'invisible') accounts.setLastSeen(userId, new Date().toISOString());
+      return accounts.setStatus(userId, status);
+    });
+    if (settings.error) {
+      replyError(socket, 'set_status', ack, settings.error);
+      return;
+    }
+    io.to(userRoom(userId)).emit('presence_settings', settings);
+    if (typeof ack === 'function') ack({ presence: settings });
+  });
+
+  socket.on('set_custom_status', (customStatus, ack) => {
+    const settings = updatePresence(userId, () => accounts.setCustomStatus(userId, customStatus));
+    if (settings.error) {
+      replyError(socket, 'set_custom_status', ack, settings.error);
+      return;
+    }
+    io.to(userRoom(userId)).emit('presence_settings', settings);
+    if (typeof ack === 'function') ack({ presence: settings });
+  });
+
+  // Notification preferences apply to all the user's tabs and devices
+  socket.on('set_notification_level', ({ room, conversationId, level }, ack) => {
+    if (room ? !rooms.canRead(room, userId) : !conversations.isParticipant(conversationId, userId)) {
+      replyError(socket, 'set_notification_level', ack, room
+        ? { code: 'ROOM_NOT_FOUND', message: 'That room does not exist.' }
+        : { code: 'CONVERSATION_NOT_FOUND', message: 'Conversation not found.' });
+      return;
+    }
+    const prefs = accounts.setNotificationLevel(userId, room || conversationId, level);
+    if (prefs.error) {
+      replyError(socket, 'set_notification_level', ack, prefs.error);
+      return;
+    }
+    io.to(userRoom(userId)).emit('notification_prefs', prefs);
+    if (typeof ack === 'function') ack({ notifications: prefs });
+  });
+
+  socket.on('set_notification_settings', (settings, ack) => {
+    const prefs = accounts.setNotificationSettings(userId, settings);
+    if (prefs.error) {
+      replyError(socket, 'set_notification_settings', ack, prefs.error);
+      return;
+    }
+    io.to(userRoom(userId)).emit('notification_prefs', prefs);
+    if (typeof ack === 'function') ack({ notifications: prefs });
+  });
+
+  // Each tab reports when its user has gone inactive, and when they're back
+  socket.on('set_idle', (idle) => {
+    updatePresence(userId, () => presence.setIdle(socket.id, idle));
   });
 
   // Handle disconnection
   socket.on('disconnect', () => {
-    if (users[socket.id]) {
-      const { username } = users[socket.id];
-      io.emit('user_left', { username, id: socket.id });
+    const invisible = accounts.presenceSettings(userId).status === 'invisible';
+    const { lastConnection } = updatePresence(userId, () => {
+      const result = presence.removeSocket(userId, socket.id);
+      if (result.lastConnection && !invisible) accounts.setLastSeen(userId, new Date().toISOString());
+      return result;
+    });
+    
+    // The user stays online while any of their other tabs is still connected
+    if (lastConnection) {
+      if (!invisible) io.emit('user_left', { username, id: userId });
       console.log(`${username} left the chat`);
+      
+      const typing = typingUsers.get(userId);
+      typingUsers.delete(userId);
+      if (typing) {
+        emitTypingUsers(typing.room);
+      }
     }
-    
-    delete users[socket.id];
-    delete typingUsers[socket.id];
-    
-    io.emit('user_list', Object.values(users));
-    io.emit('typing_users', Object.values(typingUsers));
   });
 });
 
 // API routes
-app.get('/api/messages/:room', (req, res) => {
-  const room = req.params.room;
-  const before = req.query.before ? new Date(req.query.before).getTime() : Date.now() + 1;
-  const limit = Math.min(parseInt(req.query.limit || '20', 10), 50);
-  const roomMessages = messages[room] || [];
-  const filtered = roomMessages
-    .filter(m => new Date(m.timestamp).getTime() < before)
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-    .slice(0, limit)
-    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-  const hasMore = roomMessages.some(m => new Date(m.timestamp).getTime() < (filtered[0] ? new Date(filtered[0].timestamp).getTime() : before));
-  res.json({ messages: filtered, hasMore });
+app.use('/api/auth', createAuthRouter(accounts));
+app.use('/api/conversations', createConversationsRouter({
+  conversationModel: conversations,
+  messageModel: messages,
+  userModel: accounts,
+  requireAuth,
+}));
+app.use('/api/search', createSearchRouter({ messageModel: messages, requireAuth, canRead: canReadMessage }));
+app.use('/api/uploads', createUploadsRouter({ uploadModel: uploads, requireAuth }));
+app.use('/api/push', createPushRouter({
+  subscriptionModel: pushSubscriptions,
+  requireAuth,
+  publicKey: config.vapidPublicKey,
+  allowHttp: config.pushAllowLocal,
+}));
+app.use('/uploads', serveUploads());
+app.use('/api/rooms', createRoomsRouter({
+  roomModel: rooms,
+  requireAuth,
+  onChange: broadcastRoomChange,
+}));
+
+// Message history is only served to users who may read the room
+const requireRoomAccess = (req, res, next) => {
+  if (!rooms.canRead(req.params.room, req.user.id)) {
+    return res.status(403).json({ code: 'FORBIDDEN', message: 'You are not a member of this room.' });
+  }
+  next();
+};
+
+app.get('/api/messages/:room', requireAuth, requireRoomAccess, (req, res) => {
+  const { before, limit } = req.query;
+  res.json(messages.getRoomPage(req.params.room, { before, limit }));
 });
 
-// Search messages in a room
-app.get('/api/messages/:room/search', (req, res) => {
-  const room = req.params.room;
-  const q = (req.query.q || '').toString().toLowerCase();
-  if (!q) return res.json([]);
-  const roomMessages = messages[room] || [];
-  const results = roomMessages.filter(m => (m.message || '').toLowerCase().includes(q)).slice(-100);
-  res.json(results);
+// A thread: its root message and all replies
+app.get('/api/messages/:room/:id/thread', requireAuth, requireRoomAccess, (req, res) => {
+  const parent = messages.find(Number(req.params.id));
+  if (!parent || parent.isPrivate || parent.room !== req.params.room) {
+    return res.status(404).json({ code: 'MESSAGE_NOT_FOUND', message: 'Message not found.' });
+  }
+  res.json({ parent, replies: messages.getThread(parent.id) });
 });
 
-app.get('/api/users', (req, res) => {
-  res.json(Object.values(users));
+// A message with the messages around it, for jumping to a search result; replies jump to their thread's root
+app.get('/api/messages/:room/:id/context', requireAuth, requireRoomAccess, (req, res) => {
+  const found = messages.find(Number(req.params.id));
+  const target = found && found.parentId ? messages.find(found.parentId) : found;
+  if (!target || target.isPrivate || target.room !== req.params.room) {
+    return res.status(404).json({ code: 'MESSAGE_NOT_FOUND', message: 'Message not found.' });
+  }
+  res.json({ target: target.id, ...messages.getContext(target) });
 });
 
-app.get('/api/rooms', (req, res) => {
-  res.json(rooms);
+// Search messages in a room (see /api/search for searching everywhere)
+app.get('/api/messages/:room/search', requireAuth, requireRoomAccess, (req, res) => {
+  const q = (req.query.q || '').toString();
+  if (!q) return res.json([]);
+  res.json(messages.search(q, { stream: req.params.room, canSee: () => true }).map(result => result.message));
+});
+
+// Users others can see online (not invisible ones), with their presence
+app.get('/api/users', (req, res) => {
+  res.json(presence.describeAll().filter(user => user.status !== 'offline'));
 });
 
 // Root route
@@ -446,7 +1097,19 @@ app.get('/', (req, res) => {
 // Start server
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  console.log(`Server running on port ${server.address().port} (instance ${config.instanceId})`);
 });
 
+// Let the other instances drop this one's users right away instead of waiting for it to time out
+const shutdown = () => {
+  clearInterval(statusSweep);
+  io.close();
+  onlineSockets.close();
+  typingUsers.close();
+  setTimeout(() => process.exit(0), 200).unref();
+  broker.close();
+};
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
+
 module.exports = { app, server, io }; 
\ No newline at end of file
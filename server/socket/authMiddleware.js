@@ -0,0 +1,27 @@
+// authMiddleware.js - Socket.io handshake middleware that requires a valid token
+
+const { verifyToken } = require('../utils/token');
+
+// Rejected handshakes surface on the client as a connect_error with err.data.code
+const authError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code };
+  return error;
+};
+
+const createAuthMiddleware = (userModel) => (socket, next) => {
+  const payload = verifyToken(socket.handshake.auth?.token);
+  if (!payload) {
+    return next(authError('Authentication required. Please log in.', 'AUTH_REQUIRED'));
+  }
+
+  const account = userModel.findById(payload.sub);
+  if (!account) {
+    return next(authError('Account no longer exists.', 'AUTH_INVALID'));
+  }
+
+  socket.data.user = { id: account.id, username: account.username };
+  next();
+};
+
+module.exports = { createAuthMiddleware };
@@ -0,0 +1,19 @@
+// errors.js - Reporting failed socket events back to the client
+
+// Clients listen for a single `error` event; `event` names the request that failed. Extra
+// fields (e.g. `field` for invalid payloads, `until` for mutes) are passed along.
+const emitError = (socket, event, { code, message, ...details }) => {
+  socket.emit('error', { event, code, message, ...details });
+};
+
+// Events sent with an acknowledgement callback get the error in the ack instead
+const replyError = (socket, event, ack, error) => {
+  if (typeof ack === 'function') {
+    const { code, message, ...details } = error;
+    ack({ error: { code, message, ...details } });
+  } else {
+    emitError(socket, event, error);
+  }
+};
+
+module.exports = { emitError, replyError };
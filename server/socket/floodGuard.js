@@ -0,0 +1,89 @@
+// floodGuard.js - Socket.io packet middleware that throttles events and stops message floods
+//
+// Checked before any handler runs: the auto-mute, message length, the per-event token
+// bucket and repeated messages. Refused events never reach their handler; the client gets a
+// `rate_limited` event ({ event, reason, message, retryAfterMs?, until? }) and, for events
+// sent with an acknowledgement, an error in the ack.
+
+const { replyError } = require('./errors');
+
+const MESSAGE_EVENTS = ['send_message', 'private_message'];
+// What an auto-muted user can't do; reading and receipts keep working
+const MUTED_EVENTS = [...MESSAGE_EVENTS, 'edit_message', 'add_reaction', 'typing'];
+// Refusals of these are neither reported nor counted toward the auto-mute: the client sends
+// them on its own, so a busy client isn't flooding
+const SILENT_EVENTS = ['typing', 'set_idle', 'mark_read_up_to', 'mark_message_delivered'];
+
+// Where a message is going, so the same text in two places isn't a duplicate
+const destinationOf = (socket, event, payload) => (event === 'send_message'
+  ? payload.room || socket.data.currentRoom
+  : payload.conversationId || payload.to);
+
+const createFloodGuard = ({ limiter, maxMessageLength, duplicateWindowMs = 10 * 1000 }) => {
+  const lastMessages = new Map(); // { [userId]: { key, tempId, at, socketId } }
+
+  return (socket) => {
+    // Forget the user's last message along with the socket that sent it
+    socket.on('disconnect', () => {
+      const { id: userId } = socket.data.user;
+      if (lastMessages.get(userId)?.socketId === socket.id) lastMessages.delete(userId);
+    });
+
+    return ([event, ...args], next) => {
+      const { id: userId } = socket.data.user;
+      const payload = args[0] && typeof args[0] === 'object' ? args[0] : {};
+      const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+
+      const refuse = (reason, message, details = {}) => {
+        if (SILENT_EVENTS.includes(event)) return;
+        const until = limiter.recordAbuse(userId);
+        socket.emit('rate_limited', until
+          ? { event, reason: 'muted', message: 'You were muted for flooding.', until: new Date(until).toISOString() }
+          : { event, reason, message, ...details });
+        if (ack) ack({ error: { code: 'RATE_LIMITED', message } });
+      };
+
+      const mutedUntil = MUTED_EVENTS.includes(event) && limiter.mutedUntil(userId);
+      if (mutedUntil) {
+        const until = new Date(mutedUntil).toISOString();
+        if (!SILENT_EVENTS.includes(event)) {
+          socket.emit('rate_limited', { event, reason: 'muted', message: 'You are muted for flooding.', until });
+        }
+        if (ack) ack({ error: { code: 'RATE_LIMITED', message: 'You are muted for flooding.' } });
+        return;
+      }
+
+      const text = typeof payload.message === 'string' ? payload.message : '';
+      if ((MESSAGE_EVENTS.includes(event) || event === 'edit_message') && text.length > maxMessageLength) {
+        replyError(socket, event, ack, {
+          code: 'MESSAGE_TOO_LONG',
+          message: `Messages can be at most ${maxMessageLength} characters.`,
+        });
+        return;
+      }
+
+      const limited = limiter.consume(userId, event);
+      if (limited) {
+        refuse('too_fast', 'You are sending too fast. Slow down a little.', limited);
+        return;
+      }
+
+      // The same text to the same place in quick succession is dropped; a retry of a message
+      // (same tempId) isn't a repeat, the handler acknowledges it again
+      if (MESSAGE_EVENTS.includes(event) && text.trim() && (payload.type || 'text') === 'text') {
+        const key = `${event}:${destinationOf(socket, event, payload)}:${text.trim()}`;
+        const last = lastMessages.get(userId);
+        const now = Date.now();
+        if (last && last.key === key && last.tempId !== payload.tempId && now - last.at < duplicateWindowMs) {
+          refuse('duplicate', 'You just sent that message.');
+          return;
+        }
+        lastMessages.set(userId, { key, tempId: payload.tempId, at: now, socketId: socket.id });
+      }
+
+      next();
+    };
+  };
+};
+
+module.exports = { createFloodGuard };
@@ -0,0 +1,123 @@
+// schemas.js - Declared payload of every event a client may send
+//
+// Schemas check shape and size; whether the user may do it (room permissions, ownership,
+// ...) is still up to the handler and the models.
+
+const config = require('../config');
+const { STATUSES, NOTIFICATION_LEVELS, NOTIFICATION_SOUNDS } = require('../models/users');
+const {
+  string,
+  number,
+  id,
+  boolean,
+  optional,
+  object,
+  arrayOf,
+  recordOf,
+} = require('./validation');
+
+const MAX_ID_LENGTH = 100;
+
+const roomId = () => string({ min: 1, max: MAX_ID_LENGTH });
+const conversationId = () => string({ min: 1, max: MAX_ID_LENGTH });
+// Room names, topics and descriptions are checked in detail by the room model
+const roomText = () => optional(string({ max: 1000 }));
+const text = () => string({ max: config.maxMessageLength });
+// Reactions and status emoji are a single emoji, possibly with modifiers and joiners
+const emoji = () => string({ min: 1, max: 16, pattern: /^(?=.*\p{Extended_Pictographic})[\p{Extended_Pictographic}\p{Emoji_Component}\u200d\ufe0f]+$/u });
+
+const timeOfDay = () => string({ pattern: /^([01]\d|2[0-3]):[0-5]\d$/ });
+
+const roomTarget = () => object({ room: roomId(), userId: id() });
+
+// Message content shared by room and private messages. Attachments are referenced by
+// upload id; the server fills in the rest from the upload record.
+const messageContent = {
+  message: optional(text()),
+  type: optional(string({ oneOf: ['text', 'image', 'file'] })),
+  data: optional(object({ id: id() })),
+  tempId: optional(string({ min: 1, max: 64 })),
+};
+
+const schemas = {
+  join_room: roomId(),
+  leave_room: roomId(),
+  create_room: object({
+    name: string({ max: 1000 }),
+    topic: roomText(),
+    description: roomText(),
+    visibility: roomText(),
+  }),
+  update_room: object({
+    room: roomId(),
+    name: roomText(),
+    topic: roomText(),
+    description: roomText(),
+    visibility: roomText(),
+  }),
+  archive_room: object({ room: roomId() }),
+  invite_to_room: roomTarget(),
+  accept_invite: object({ room: roomId() }),
+  decline_invite: object({ room: roomId() }),
+  kick_member: roomTarget(),
+  ban_user: roomTarget(),
+  unban_user: roomTarget(),
+  mute_user: object({ room: roomId(), userId: id(), minutes: number({ min: 1 }) }),
+  unmute_user: roomTarget(),
+  set_role: object({ room: roomId(), userId: id(), role: string({ max: 20 }) }),
+  remove_message: object({ messageId: id() }),
+  edit_message: object({ messageId: id(), message: text() }),
+  delete_message: object({ messageId: id() }),
+  send_message: object({
+    ...messageContent,
+    room: optional(roomId()),
+    parentId: optional(id()),
+  }),
+  typing: boolean(),
+  private_message: object({
+    ...messageContent,
+    to: optional(id()),
+    conversationId: optional(conversationId()),
+  }),
+  create_group: object({
+    participantIds: arrayOf(id(), { max: 20 }),
+    name: optional(string({ max: 200 })),
+  }),
+  add_participants: object({ conversationId: conversationId(), userIds: arrayOf(id(), { max: 20 }) }),
+  leave_conversation: object({ conversationId: conversationId() }),
+  sync: object({
+    cursors: optional(recordOf(number({ min: 0, integer: true }), { key: string({ min: 1, max: MAX_ID_LENGTH }) })),
+  }),
+  // One of room and conversationId
+  mark_read_up_to: object({
+    room: optional(roomId()),
+    conversationId: optional(conversationId()),
+    seq: number({ min: 0, integer: true }),
+  }),
+  mark_message_delivered: object({ messageId: id() }),
+  set_status: string({ oneOf: STATUSES }),
+  set_custom_status: object({
+    emoji: optional(emoji()),
+    text: optional(string({ max: 100 })),
+    expiresInMinutes: optional(number({ min: 1, max: 7 * 24 * 60, integer: true })),
+  }),
+  set_idle: boolean(),
+  // One of room and conversationId
+  set_notification_level: object({
+    room: optional(roomId()),
+    conversationId: optional(conversationId()),
+    level: string({ oneOf: NOTIFICATION_LEVELS }),
+  }),
+  set_notification_settings: object({
+    sound: optional(string({ oneOf: NOTIFICATION_SOUNDS })),
+    quietHours: optional(object({
+      enabled: boolean(),
+      start: timeOfDay(),
+      end: timeOfDay(),
+      timeZone: string({ min: 1, max: 64 }),
+    })),
+  }),
+  add_reaction: object({ messageId: id(), room: roomId(), reaction: emoji() }),
+};
+
+module.exports = { schemas };
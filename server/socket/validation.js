@@ -0,0 +1,120 @@
+// validation.js - Payload schemas for inbound socket events, and the middleware that enforces them
+//
+// A schema is built from the helpers below, e.g.
+//   object({ messageId: id(), reaction: string({ max: 16 }), note: optional(string()) })
+// Validating returns { value } with a cleaned copy (unknown object fields dropped, null
+// optional fields turned into undefined) or { error: { field, message } }.
+
+const fail = (field, message) => ({ error: { field, message } });
+
+const string = ({ min = 0, max = 1000, pattern = null, oneOf = null, trim = false } = {}) => (value, field) => {
+  if (typeof value !== 'string') return fail(field, 'must be a string');
+  const text = trim ? value.trim() : value;
+  if (text.length < min) return fail(field, min === 1 ? 'must not be empty' : `must be at least ${min} characters`);
+  if (text.length > max) return fail(field, `must be at most ${max} characters`);
+  if (oneOf && !oneOf.includes(text)) return fail(field, `must be one of ${oneOf.join(', ')}`);
+  if (pattern && !pattern.test(text)) return fail(field, 'is not in the expected format');
+  return { value: text };
+};
+
+const number = ({ min = -Infinity, max = Infinity, integer = false } = {}) => (value, field) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return fail(field, 'must be a number');
+  if (integer && !Number.isInteger(value)) return fail(field, 'must be a whole number');
+  if (value < min || value > max) return fail(field, `must be between ${min} and ${max}`);
+  return { value };
+};
+
+// Ids handed out by the store: positive integers
+const id = () => number({ min: 1, integer: true });
+
+const boolean = () => (value, field) => (typeof value === 'boolean' ? { value } : fail(field, 'must be true or false'));
+
+// undefined and null are accepted (as undefined); anything else must match `schema`
+const optional = (schema) => (value, field) => (value === undefined || value === null ? { value: undefined } : schema(value, field));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Only the declared fields are kept
+const object = (fields) => (value, field) => {
+  if (!isPlainObject(value)) return fail(field, 'must be an object');
+  const cleaned = {};
+  for (const [key, schema] of Object.entries(fields)) {
+    const result = schema(value[key], field ? `${field}.${key}` : key);
+    if (result.error) return result;
+    if (result.value !== undefined) cleaned[key] = result.value;
+  }
+  return { value: cleaned };
+};
+
+const arrayOf = (schema, { max = 100 } = {}) => (value, field) => {
+  if (!Array.isArray(value)) return fail(field, 'must be a list');
+  if (value.length > max) return fail(field, `must have at most ${max} items`);
+  const cleaned = [];
+  for (let i = 0; i < value.length; i++) {
+    const result = schema(value[i], `${field}[${i}]`);
+    if (result.error) return result;
+    cleaned.push(result.value);
+  }
+  return { value: cleaned };
+};
+
+// An object used as a map: any keys matching `key`, every value matching `schema`
+const recordOf = (schema, { key = string({ min: 1, max: 100 }), maxKeys = 500 } = {}) => (value, field) => {
+  if (!isPlainObject(value)) return fail(field, 'must be an object');
+  const entries = Object.entries(value);
+  if (entries.length > maxKeys) return fail(field, `must have at most ${maxKeys} entries`);
+  const cleaned = {};
+  for (const [name, item] of entries) {
+    const keyResult = key(name, `${field}.${name}`);
+    if (keyResult.error) return keyResult;
+    const result = schema(item, `${field}.${name}`);
+    if (result.error) return result;
+    cleaned[name] = result.value;
+  }
+  return { value: cleaned };
+};
+
+// Check a payload against its schema; errors about the payload itself have an empty field
+const validate = (schema, value) => schema(value, '');
+
+// Socket.io packet middleware: every inbound event must have a schema, and its payload (the
+// first argument) is replaced by the cleaned value. Bad packets never reach a handler; the
+// client gets a typed error ({ event, code: 'INVALID_PAYLOAD', field, message }) in the ack
+// or as an `error` event.
+const createValidationMiddleware = (schemas, { replyError }) => (socket) => (packet, next) => {
+  const [event] = packet;
+  const ack = typeof packet[packet.length - 1] === 'function' ? packet[packet.length - 1] : null;
+  const schema = schemas[event];
+  if (!schema) {
+    replyError(socket, event, ack, { code: 'UNKNOWN_EVENT', message: `Unknown event "${event}".` });
+    return;
+  }
+
+  const result = validate(schema, packet[1] === ack ? undefined : packet[1]);
+  if (result.error) {
+    const { field, message } = result.error;
+    replyError(socket, event, ack, {
+      code: 'INVALID_PAYLOAD',
+      message: field ? `${field} ${message}.` : `Payload ${message}.`,
+      field: field || null,
+    });
+    return;
+  }
+
+  // Handlers see exactly one (cleaned) payload argument, plus the ack if there was one
+  packet.splice(1, packet.length - 1, result.value, ...(ack ? [ack] : []));
+  next();
+};
+
+module.exports = {
+  string,
+  number,
+  id,
+  boolean,
+  optional,
+  object,
+  arrayOf,
+  recordOf,
+  validate,
+  createValidationMiddleware,
+};
@@ -0,0 +1,144 @@
+// fileStore.js - Storage driver that persists each table as an append-only journal
+//
+// Every write appends one JSON line to <dir>/<table>.jsonl. On startup the journal
+// is replayed into memory and compacted when it has grown well past the live row count.
+//
+// With `shared`, several processes (server instances) use the same directory. A process
+// holds <dir>/.lock for each synchronous step in which it touches the store, and first reads
+// whatever the others appended to the journals it uses, so a read-modify-write (such as
+// picking the next id) sees every earlier write and can't interleave with another process.
+// Journals are never compacted in this mode, since the other processes read them by offset.
+
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+
+// A lock older than this was left behind by a process that died holding it
+const LOCK_STALE_MS = 5000;
+const LOCK_RETRY_MS = 2;
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+class FileStore extends MemoryStore {
+  constructor({ dir, shared = false }) {
+    super();
+    this.dir = dir;
+    this.shared = shared;
+    this.lockFile = path.join(dir, '.lock');
+    this.lockFd = null;
+    this.journals = new Map(); // { [table name]: { file, offset, partial } }
+    this.caughtUp = new Set(); // Tables read up to date while the current lock is held
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  createTable(name, options) {
+    const table = super.createTable(name, options);
+    const journal = { file: path.join(this.dir, `${name}.jsonl`), offset: 0, partial: '' };
+    this.journals.set(name, journal);
+
+    if (this.shared) {
+      this.lock();
+      this.caughtUp.add(name);
+    }
+    const entries = this.readNew(journal, (entry) => {
+      if (entry.op === 'put') {
+        table.put(entry.row);
+      } else if (entry.op === 'del') {
+        table.drop(entry.id);
+      }
+    });
+    if (!this.shared && entries > table.rows.size * 2 + 100) {
+      this.compact(table, journal.file);
+    }
+
+    table.onChange = (op, payload) => {
+      const entry = op === 'put' ? { op, row: payload } : { op, id: payload };
+      const line = `${JSON.stringify(entry)}\n`;
+      fs.appendFileSync(journal.file, line);
+      // Holding the lock, nothing else was appended since this process caught up
+      journal.offset += Buffer.byteLength(line);
+    };
+    if (this.shared) {
+      table.beforeAccess = () => {
+        this.lock();
+        if (this.caughtUp.has(name)) return;
+        this.caughtUp.add(name);
+        this.readNew(journal, (entry) => table.applyRemote(entry.op, entry.op === 'put' ? entry.row : entry.id));
+      };
+    }
+    return table;
+  }
+
+  // Apply the journal lines appended since the last read; returns the number of entries read
+  readNew(journal, apply) {
+    if (!fs.existsSync(journal.file)) return 0;
+
+    const size = fs.statSync(journal.file).size;
+    if (size <= journal.offset) return 0;
+    const buffer = Buffer.alloc(size - journal.offset);
+    const fd = fs.openSync(journal.file, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, journal.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    journal.offset = size;
+
+    // A line still being written (or left truncated by a crash) waits for the next read
+    const lines = (journal.partial + buffer.toString('utf8')).split('\n');
+    journal.partial = lines.pop();
+    const entries = lines.filter(Boolean);
+    entries.forEach((line, i) => {
+      try {
+        apply(JSON.parse(line));
+      } catch (error) {
+        console.warn(`[store] Skipping corrupt line ${i + 1} read from ${journal.file}: ${error.message}`);
+      }
+    });
+    return entries.length;
+  }
+
+  // Take the directory lock until the current synchronous step is over
+  lock() {
+    if (this.lockFd !== null) return;
+    for (;;) {
+      try {
+        this.lockFd = fs.openSync(this.lockFile, 'wx');
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        this.removeStaleLock();
+        Atomics.wait(sleeper, 0, 0, LOCK_RETRY_MS);
+      }
+    }
+    queueMicrotask(() => this.unlock());
+  }
+
+  unlock() {
+    if (this.lockFd === null) return;
+    fs.closeSync(this.lockFd);
+    fs.unlinkSync(this.lockFile);
+    this.lockFd = null;
+    this.caughtUp.clear();
+  }
+
+  removeStaleLock() {
+    try {
+      if (Date.now() - fs.statSync(this.lockFile).mtimeMs > LOCK_STALE_MS) {
+        console.warn(`[store] Removing stale lock ${this.lockFile}`);
+        fs.unlinkSync(this.lockFile);
+      }
+    } catch (_e) {
+      // Released in the meantime
+    }
+  }
+
+  // Rewrite the journal with one entry per live row
+  compact(table, file) {
+    const tmp = `${file}.tmp`;
+    const body = table.find().map((row) => JSON.stringify({ op: 'put', row })).join('\n');
+    fs.writeFileSync(tmp, body ? `${body}\n` : '');
+    fs.renameSync(tmp, file);
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,27 @@
+// index.js - Storage layer entry point
+//
+// The driver is chosen with STORE_DRIVER ("file" by default, or "memory"). Set STORE_SHARED=true
+// when several server instances use the same DATA_DIR (see fileStore.js).
+// Drivers expose table(name, { indexes }) returning a Table (see table.js).
+
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+
+const drivers = {
+  memory: () => new MemoryStore(),
+  file: () => new FileStore({
+    dir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+    shared: process.env.STORE_SHARED === 'true',
+  }),
+};
+
+const createStore = (driver = process.env.STORE_DRIVER || 'file') => {
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown store driver "${driver}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+  return factory();
+};
+
+module.exports = { createStore, MemoryStore, FileStore };
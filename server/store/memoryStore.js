@@ -0,0 +1,25 @@
+// memoryStore.js - Storage driver that keeps every table in process memory
+
+const Table = require('./table');
+
+class MemoryStore {
+  constructor() {
+    this.tables = new Map();
+  }
+
+  // Get (or lazily create) a table by name
+  table(name, options = {}) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, this.createTable(name, options));
+    }
+    return this.tables.get(name);
+  }
+
+  createTable(name, options) {
+    return new Table(name, options);
+  }
+
+  close() {}
+}
+
+module.exports = MemoryStore;
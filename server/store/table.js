@@ -0,0 +1,177 @@
+// table.js - In-memory table with auto-increment ids and secondary indexes
+
+class Table {
+  constructor(name, { indexes = [] } = {}) {
+    this.name = name;
+    this.rows = new Map(); // { [id]: row }, kept in insertion order
+    this.lastId = 0;
+    this.indexes = {}; // { [field]: Map<value, Set<id>> }
+    indexes.forEach((field) => {
+      this.indexes[field] = new Map();
+    });
+    this.onChange = null; // (op, payload) => void, set by the owning store
+    this.beforeAccess = null; // () => void, lets the owning store catch up before any read or write
+    this.remoteListeners = new Set();
+  }
+
+  access() {
+    if (this.beforeAccess) {
+      this.beforeAccess();
+    }
+  }
+
+  // Reserve the next auto-increment id
+  nextId() {
+    this.access();
+    this.lastId += 1;
+    return this.lastId;
+  }
+
+  // Insert a row, assigning an id if it has none
+  insert(row) {
+    this.access();
+    const stored = { ...row, id: row.id ?? this.nextId() };
+    if (this.rows.has(stored.id)) {
+      throw new Error(`Duplicate id "${stored.id}" in table "${this.name}"`);
+    }
+    this.put(stored);
+    this.emitChange('put', stored);
+    return stored;
+  }
+
+  // Shallow-merge changes into an existing row; returns the new row or null
+  update(id, changes) {
+    this.access();
+    const existing = this.rows.get(id);
+    if (!existing) return null;
+
+    const updated = { ...existing, ...changes, id };
+    this.put(updated);
+    this.emitChange('put', updated);
+    return updated;
+  }
+
+  // Remove a row by id; returns true if something was removed
+  remove(id) {
+    this.access();
+    if (!this.rows.has(id)) return false;
+    this.drop(id);
+    this.emitChange('del', id);
+    return true;
+  }
+
+  get(id) {
+    this.access();
+    return this.rows.get(id) || null;
+  }
+
+  has(id) {
+    this.access();
+    return this.rows.has(id);
+  }
+
+  // All rows matching an optional predicate, in insertion order
+  find(predicate) {
+    this.access();
+    const rows = Array.from(this.rows.values());
+    return predicate ? rows.filter(predicate) : rows;
+  }
+
+  findOne(predicate) {
+    this.access();
+    for (const row of this.rows.values()) {
+      if (predicate(row)) return row;
+    }
+    return null;
+  }
+
+  // Rows whose field equals value, using an index when one exists
+  findBy(field, value) {
+    this.access();
+    const index = this.indexes[field];
+    if (!index) {
+      return this.find((row) => row[field] === value);
+    }
+    const ids = index.get(value);
+    if (!ids) return [];
+    return Array.from(ids, (id) => this.rows.get(id)).sort((a, b) => this.order(a, b));
+  }
+
+  count(predicate) {
+    this.access();
+    return predicate ? this.find(predicate).length : this.rows.size;
+  }
+
+  // Store a row without emitting a change (used when loading persisted data)
+  put(row) {
+    if (this.rows.has(row.id)) {
+      this.unindex(this.rows.get(row.id));
+    }
+    this.rows.set(row.id, row);
+    this.index(row);
+    if (typeof row.id === 'number' && row.id > this.lastId) {
+      this.lastId = row.id;
+    }
+  }
+
+  // Delete a row without emitting a change
+  drop(id) {
+    const row = this.rows.get(id);
+    if (!row) return;
+    this.unindex(row);
+    this.rows.delete(id);
+  }
+
+  // Apply a change another process wrote to the store, and tell whoever listens for those
+  applyRemote(op, payload) {
+    if (op === 'put') {
+      this.put(payload);
+    } else {
+      this.drop(payload);
+    }
+    this.remoteListeners.forEach((listener) => listener(op, payload));
+  }
+
+  // Listen for changes made by other processes; returns a function that stops listening
+  onRemoteChange(listener) {
+    this.remoteListeners.add(listener);
+    return () => this.remoteListeners.delete(listener);
+  }
+
+  index(row) {
+    Object.entries(this.indexes).forEach(([field, index]) => {
+      const value = row[field];
+      if (!index.has(value)) {
+        index.set(value, new Set());
+      }
+      index.get(value).add(row.id);
+    });
+  }
+
+  unindex(row) {
+    Object.entries(this.indexes).forEach(([field, index]) => {
+      const ids = index.get(row[field]);
+      if (!ids) return;
+      ids.delete(row.id);
+      if (ids.size === 0) {
+        index.delete(row[field]);
+      }
+    });
+  }
+
+  // Index sets lose insertion order on re-put, so order by id
+  order(a, b) {
+    if (typeof a.id === 'number' && typeof b.id === 'number') {
+      return a.id - b.id;
+    }
+    return String(a.id).localeCompare(String(b.id));
+  }
+
+  emitChange(op, payload) {
+    if (this.onChange) {
+      this.onChange(op, payload);
+    }
+  }
+}
+
+module.exports = Table;
@@ -0,0 +1,23 @@
+// mentions.js - @mentions in message text
+//
+// `@username` calls out one user, `@room` everyone in the room and `@here` the room's members
+// who are online. Names are matched case-insensitively.
+
+const SPECIAL_MENTIONS = ['room', 'here'];
+
+// An @ at the start of a word, then the name: letters, digits, `_`, `.` and `-`
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@])@([\p{L}\p{N}_.-]+)/gu;
+
+// Names mentioned in a text, lowercased and without duplicates. Trailing dots and dashes are
+// punctuation ("thanks @sam.") rather than part of the name.
+const parseMentions = (text) => {
+  if (typeof text !== 'string') return [];
+  const names = new Set();
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const name = match[2].replace(/[.-]+$/, '').toLowerCase();
+    if (name) names.add(name);
+  }
+  return [...names];
+};
+
+module.exports = { parseMentions, SPECIAL_MENTIONS };
@@ -0,0 +1,75 @@
+// push.js - Web Push delivery to the browsers a user subscribed
+//
+// web-push encrypts each payload for its browser and signs the request with the server's VAPID
+// key; the request itself is sent here so that, like link previews, it can't be pointed at
+// private or loopback addresses (a subscription's endpoint comes from the client) unless
+// `allowLocal` is set for a local push stand-in. Subscriptions the push service reports as
+// gone (404/410) are dropped.
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const webpush = require('web-push');
+const { isPrivateAddress, safeLookup } = require('./unfurl');
+
+// How long a push service keeps trying to reach a browser that's offline, in seconds
+const TTL_SECONDS = 24 * 60 * 60;
+const TIMEOUT_MS = 10000;
+
+// POST a prepared push request; resolves with the response status
+const send = ({ endpoint, method, headers, body }, allowLocal) => new Promise((resolve, reject) => {
+  const target = new URL(endpoint);
+  const literal = target.hostname.replace(/^\[|\]$/g, '');
+  if (!allowLocal && (target.protocol !== 'https:' || (net.isIP(literal) && isPrivateAddress(literal)))) {
+    reject(new Error(`Refusing to push to ${target.origin}`));
+    return;
+  }
+  const client = target.protocol === 'https:' ? https : http;
+  const request = client.request(target, {
+    method,
+    headers,
+    lookup: allowLocal ? undefined : safeLookup,
+    timeout: TIMEOUT_MS,
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('timeout', () => request.destroy(new Error('Timed out')));
+  request.on('error', reject);
+  request.end(body);
+});
+
+const createPushNotifier = ({ subscriptionModel, publicKey, privateKey, subject, allowLocal = false }) => {
+  const options = {
+    TTL: TTL_SECONDS,
+    vapidDetails: { subject, publicKey, privateKey },
+    contentEncoding: 'aes128gcm',
+  };
+
+  const deliver = async (subscription, body) => {
+    try {
+      const status = await send(webpush.generateRequestDetails(subscription, body, options), allowLocal);
+      if (status === 404 || status === 410) {
+        subscriptionModel.remove(subscription.endpoint);
+        return false;
+      }
+      if (status < 200 || status >= 300) throw new Error(`Push service answered ${status}`);
+      return true;
+    } catch (error) {
+      console.warn(`[push] Delivery to ${new URL(subscription.endpoint).host} failed: ${error.message}`);
+      return false;
+    }
+  };
+
+  // Send a payload ({ title, body, tag, data }) to every browser the user subscribed; resolves
+  // with the number the push services accepted
+  const notifyUser = async (userId, payload) => {
+    const body = JSON.stringify(payload);
+    const results = await Promise.all(subscriptionModel.listFor(userId).map((subscription) => deliver(subscription, body)));
+    return results.filter(Boolean).length;
+  };
+
+  return { notifyUser };
+};
+
+module.exports = { createPushNotifier };
@@ -0,0 +1,79 @@
+// rateLimiter.js - Token buckets per user and event type, and a temporary mute for repeat offenders
+//
+// Each limited event has a bucket of `capacity` tokens per user that refills at `perSecond`.
+// Every event takes a token and is refused when the bucket is empty. A user refused
+// `abuseThreshold` times within `abuseWindowMs` is muted for `muteMs`.
+
+const DEFAULT_LIMITS = {
+  send_message: { capacity: 8, perSecond: 1 },
+  private_message: { capacity: 8, perSecond: 1 },
+  edit_message: { capacity: 5, perSecond: 0.5 },
+  add_reaction: { capacity: 10, perSecond: 2 },
+  typing: { capacity: 10, perSecond: 2 },
+  mark_read_up_to: { capacity: 100, perSecond: 20 },
+  mark_message_delivered: { capacity: 100, perSecond: 20 },
+  // Presence changes are broadcast to everyone
+  set_status: { capacity: 5, perSecond: 0.5 },
+  set_custom_status: { capacity: 5, perSecond: 0.5 },
+  set_idle: { capacity: 10, perSecond: 1 },
+  set_notification_level: { capacity: 10, perSecond: 1 },
+  set_notification_settings: { capacity: 5, perSecond: 0.5 },
+};
+
+const createRateLimiter = ({
+  limits = {},
+  abuseThreshold = 20,
+  abuseWindowMs = 60 * 1000,
+  muteMs = 60 * 1000,
+} = {}) => {
+  const table = { ...DEFAULT_LIMITS, ...limits };
+  const buckets = new Map(); // { [`${userId}:${event}`]: { tokens, updatedAt } }
+  const offenders = new Map(); // { [userId]: { refusals: [timestamp], mutedUntil } }
+
+  // Take a token for an event. Returns null when allowed, otherwise { retryAfterMs } until
+  // the next token. Events without a limit are always allowed.
+  const consume = (userId, event) => {
+    const limit = table[event];
+    if (!limit) return null;
+
+    const key = `${userId}:${event}`;
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: limit.capacity, updatedAt: now };
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.perSecond);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return null;
+    }
+    return { retryAfterMs: Math.ceil(((1 - bucket.tokens) / limit.perSecond) * 1000) };
+  };
+
+  // Count a refused event against a user; returns the mute expiry (ms) when this mutes them
+  const recordAbuse = (userId) => {
+    const now = Date.now();
+    const offender = offenders.get(userId) || { refusals: [], mutedUntil: 0 };
+    offender.refusals = offender.refusals.filter((at) => at > now - abuseWindowMs);
+    offender.refusals.push(now);
+    offenders.set(userId, offender);
+
+    if (offender.refusals.length < abuseThreshold || offender.mutedUntil > now) return null;
+    offender.refusals = [];
+    offender.mutedUntil = now + muteMs;
+    return offender.mutedUntil;
+  };
+
+  // When a user's auto-mute ends (ms), or null if they aren't muted
+  const mutedUntil = (userId) => {
+    const offender = offenders.get(userId);
+    if (!offender) return null;
+    if (offender.mutedUntil > Date.now()) return offender.mutedUntil;
+    if (offender.refusals.length === 0) offenders.delete(userId);
+    return null;
+  };
+
+  return { consume, recordAbuse, mutedUntil };
+};
+
+module.exports = { createRateLimiter, DEFAULT_LIMITS };
@@ -0,0 +1,98 @@
+// searchIndex.js - In-memory inverted index for full-text message search
+//
+// Documents are tokenized into lowercase words; a query matches documents containing every
+// query term (the last term also matches as a prefix, for search-as-you-type). Results are
+// ranked with BM25, newest first on ties.
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Words are runs of letters and digits in any script
+const tokenize = (text) => (typeof text === 'string' ? text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [] : []);
+
+const createSearchIndex = () => {
+  const postings = new Map(); // { [token]: Map<docId, termFrequency> }
+  const docs = new Map(); // { [docId]: { tokens: Map<token, termFrequency>, length } }
+  let totalLength = 0;
+
+  const remove = (id) => {
+    const doc = docs.get(id);
+    if (!doc) return;
+    doc.tokens.forEach((_tf, token) => {
+      const list = postings.get(token);
+      list.delete(id);
+      if (list.size === 0) postings.delete(token);
+    });
+    totalLength -= doc.length;
+    docs.delete(id);
+  };
+
+  // Index (or re-index) a document's text; empty text just removes it
+  const add = (id, text) => {
+    remove(id);
+    const words = tokenize(text);
+    if (words.length === 0) return;
+
+    const tokens = new Map();
+    words.forEach((word) => tokens.set(word, (tokens.get(word) || 0) + 1));
+    tokens.forEach((tf, token) => {
+      if (!postings.has(token)) postings.set(token, new Map());
+      postings.get(token).set(id, tf);
+    });
+    docs.set(id, { tokens, length: words.length });
+    totalLength += words.length;
+  };
+
+  // Index tokens a query term matches: itself, or every token it starts when `prefix` is set
+  const expand = (term, prefix) => {
+    if (!prefix) return postings.has(term) ? [term] : [];
+    return Array.from(postings.keys()).filter((token) => token.startsWith(term));
+  };
+
+  // Returns [{ id, score, terms }] where `terms` are the indexed words that matched, for
+  // highlighting. `accept(id)` filters candidates before they are scored.
+  const search = (query, { accept = () => true, limit = 50 } = {}) => {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    const expanded = terms.map((term, i) => expand(term, i === terms.length - 1));
+    if (expanded.some((tokens) => tokens.length === 0)) return [];
+
+    // Documents that contain some expansion of every term
+    const matchesFor = (tokens) => {
+      const ids = new Set();
+      tokens.forEach((token) => postings.get(token).forEach((_tf, id) => ids.add(id)));
+      return ids;
+    };
+    const [first, ...rest] = expanded.map(matchesFor);
+    const candidates = Array.from(first).filter((id) => rest.every((ids) => ids.has(id)) && accept(id));
+
+    const avgLength = totalLength / docs.size;
+    const idf = (token) => {
+      const n = postings.get(token).size;
+      return Math.log(1 + (docs.size - n + 0.5) / (n + 0.5));
+    };
+
+    return candidates
+      .map((id) => {
+        const doc = docs.get(id);
+        let score = 0;
+        const matched = [];
+        expanded.forEach((tokens) => {
+          tokens.forEach((token) => {
+            const tf = doc.tokens.get(token);
+            if (!tf) return;
+            matched.push(token);
+            score += idf(token) * ((tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (doc.length / avgLength))));
+          });
+        });
+        return { id, score, terms: matched };
+      })
+      .sort((a, b) => b.score - a.score || b.id - a.id)
+      .slice(0, limit);
+  };
+
+  return { add, remove, search };
+};
+
+module.exports = { createSearchIndex, tokenize };
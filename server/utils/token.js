@@ -0,0 +1,19 @@
+// token.js - Signing and verifying user access tokens
+
+const jwt = require('jsonwebtoken');
+const { jwtSecret, jwtExpiresIn } = require('../config');
+
+const signToken = (account) =>
+  jwt.sign({ sub: account.id, username: account.username }, jwtSecret, { expiresIn: jwtExpiresIn });
+
+// Returns the decoded payload, or null if the token is missing, invalid or expired
+const verifyToken = (token) => {
+  if (!token || typeof token !== 'string') return null;
+  try {
+    return jwt.verify(token, jwtSecret);
+  } catch (_error) {
+    return null;
+  }
+};
+
+module.exports = { signToken, verifyToken };
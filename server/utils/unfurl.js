@@ -0,0 +1,298 @@
+// unfurl.js - Link previews: fetch a page and read its title, description and image
+//
+// Only http(s) pages are fetched, with a time limit, a size limit and a few redirects. Hosts
+// that resolve to private, loopback or link-local addresses are refused (checked on every
+// connection, so a redirect or a DNS change can't reach them either) unless `allowPrivate`
+// is set, e.g. to preview links to a local test server. Results, including failures, are
+// cached for a while.
+//
+// A preview's image is fetched the same way and saved as a small webp in `imageDir`, so
+// readers' browsers load it from this server instead of from wherever the page points.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const sharp = require('sharp');
+
+const MAX_REDIRECTS = 3;
+const MAX_CACHE_ENTRIES = 500;
+const TITLE_MAX = 200;
+const DESCRIPTION_MAX = 300;
+const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const IMAGE_SIZE = 160;
+
+const isPrivateIPv4 = (address) => {
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224
+    || (a === 100 && b >= 64 && b <= 127) // carrier-grade NAT
+    || (a === 169 && b === 254) // link-local, including cloud metadata endpoints
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168);
+};
+
+// The eight 16-bit groups of an IPv6 address, expanding "::" and a dotted IPv4 tail
+const ipv6Groups = (address) => {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+  const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[2].split('.').map(Number);
+    text = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.split('::');
+  const parse = (part) => (part ? part.split(':').map((group) => parseInt(group, 16)) : []);
+  const start = parse(head);
+  const end = parse(tail);
+  const zeros = tail === undefined ? [] : new Array(8 - start.length - end.length).fill(0);
+  return [...start, ...zeros, ...end];
+};
+
+const ipv4Of = (high, low) => `${high >> 8}.${high & 0xff}.${low >> 8}.${low & 0xff}`;
+
+// Whether an IP address is one the server must not be tricked into requesting. IPv6 forms
+// that carry an IPv4 address (mapped, compatible, NAT64, 6to4) are judged by that address,
+// however the URL parser or the resolver wrote them.
+const isPrivateAddress = (address) => {
+  if (!net.isIPv6(address)) return isPrivateIPv4(address);
+  const groups = ipv6Groups(address);
+  const zeroUpTo = (n) => groups.slice(0, n).every((group) => group === 0);
+  const embedded = ipv4Of(groups[6], groups[7]);
+  if (zeroUpTo(6)) return true; // ::, ::1 and the deprecated IPv4-compatible ::a.b.c.d
+  if (zeroUpTo(5) && groups[5] === 0xffff) return isPrivateIPv4(embedded); // ::ffff:0:0/96
+  if (zeroUpTo(4) && groups[4] === 0xffff && groups[5] === 0) return isPrivateIPv4(embedded); // ::ffff:0:0:0/96
+  if (groups[0] === 0x64 && groups[1] === 0xff9b) {
+    // 64:ff9b::/96 translates to IPv4; 64:ff9b:1::/48 is for local networks
+    return groups[2] !== 0 || groups.slice(3, 6).some((group) => group !== 0) || isPrivateIPv4(embedded);
+  }
+  if (groups[0] === 0x2002) return isPrivateIPv4(ipv4Of(groups[1], groups[2])); // 6to4
+  return (groups[0] & 0xfe00) === 0xfc00 // unique local
+    || (groups[0] & 0xffc0) === 0xfe80 // link-local
+    || (groups[0] & 0xffc0) === 0xfec0 // site-local
+    || (groups[0] & 0xff00) === 0xff00; // multicast
+};
+
+// dns.lookup replacement for http.request that fails for private addresses
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) return callback(new Error(`Refusing to fetch from private address ${blocked.address}`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const decodeEntities = (text) => text
+  .replace(/&#(\d+);/g, (_m, code) => String.fromCodePoint(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (_m, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+const clean = (text, max) => {
+  if (!text) return null;
+  const value = decodeEntities(text).replace(/\s+/g, ' ').trim();
+  if (!value) return null;
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+};
+
+// Attributes of a tag, keyed by lowercased name
+const attributesOf = (tag) => {
+  const attributes = {};
+  const pattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = match[3] ?? match[4] ?? match[5];
+  }
+  return attributes;
+};
+
+// Preview fields from a page's Open Graph / Twitter tags, falling back to <title> and the
+// description meta tag. Null when the page has no title at all.
+const parsePreview = (html, pageUrl) => {
+  const meta = {};
+  (html.match(/<meta\b[^>]*>/gi) || []).forEach((tag) => {
+    const { property, name, content } = attributesOf(tag);
+    const key = (property || name || '').toLowerCase();
+    if (key && content !== undefined && meta[key] === undefined) meta[key] = content;
+  });
+  const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+  const title = clean(meta['og:title'] || meta['twitter:title'] || (titleTag && titleTag[1]), TITLE_MAX);
+  if (!title) return null;
+
+  let image = null;
+  const imageUrl = meta['og:image'] || meta['og:image:url'] || meta['twitter:image'];
+  if (imageUrl) {
+    try {
+      const resolved = new URL(decodeEntities(imageUrl), pageUrl);
+      if (resolved.protocol === 'http:' || resolved.protocol === 'https:') image = resolved.href;
+    } catch (_e) {
+      image = null;
+    }
+  }
+
+  return {
+    url: pageUrl,
+    title,
+    description: clean(meta['og:description'] || meta['twitter:description'] || meta.description, DESCRIPTION_MAX),
+    image,
+    siteName: clean(meta['og:site_name'], TITLE_MAX) || new URL(pageUrl).hostname,
+  };
+};
+
+const createUnfurler = ({
+  timeoutMs = 5000,
+  maxBytes = 512 * 1024,
+  cacheTtlMs = 60 * 60 * 1000,
+  allowPrivate = false,
+  imageDir = null,
+} = {}) => {
+  const cache = new Map(); // { [url]: { preview, expiresAt } }, oldest first
+  const inFlight = new Map(); // { [url]: Promise }
+
+  // Resolves to { url, body } for a response whose Content-Type matches `types`, following
+  // redirects; rejects otherwise. A body over `limit` bytes is cut short when `truncate` is
+  // set and refused when not. `deadline` covers the whole chain of requests, body included.
+  const fetchUrl = (url, redirectsLeft, deadline, { accept, types, limit, truncate }) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      reject(new Error('Unsupported protocol'));
+      return;
+    }
+    // IP literals never go through the lookup, so they're checked here
+    const literal = target.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivate && net.isIP(literal) && isPrivateAddress(literal)) {
+      reject(new Error(`Refusing to fetch from private address ${literal}`));
+      return;
+    }
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.get(target, {
+      lookup: allowPrivate ? undefined : safeLookup,
+      headers: { 'User-Agent': 'ChatLinkPreview/1.0', Accept: accept },
+    }, (response) => {
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirectsLeft === 0) {
+          reject(new Error('Too many redirects'));
+          return;
+        }
+        fetchUrl(new URL(headers.location, target).href, redirectsLeft - 1, deadline, { accept, types, limit, truncate })
+          .then(resolve, reject);
+        return;
+      }
+      if (statusCode !== 200 || !types.test(headers['content-type'] || '')) {
+        response.resume();
+        reject(new Error(`Unexpected response (${statusCode} ${headers['content-type']})`));
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      const finish = () => resolve({ url: target.href, body: Buffer.concat(chunks) });
+      response.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= limit) {
+          response.destroy();
+          if (truncate) finish();
+          else reject(new Error('Response too large'));
+        }
+      });
+      response.on('end', finish);
+      response.on('error', reject);
+    });
+    const timer = setTimeout(() => request.destroy(new Error('Timed out')), Math.max(deadline - Date.now(), 0));
+    request.on('close', () => clearTimeout(timer));
+    request.on('error', reject);
+  });
+
+  // Everything a preview needs is in the <head>, so a truncated page is fine
+  const fetchPage = (url, deadline) => fetchUrl(url, MAX_REDIRECTS, deadline, {
+    accept: 'text/html',
+    types: /text\/html|application\/xhtml/i,
+    limit: maxBytes,
+    truncate: true,
+  }).then(({ url: finalUrl, body }) => ({ url: finalUrl, html: body.toString('utf8') }));
+
+  // Save a preview image as a small webp named after its URL; resolves to its /uploads path,
+  // or null when there's nowhere to save it or it can't be fetched or decoded
+  const storeImage = async (imageUrl, deadline) => {
+    if (!imageUrl || !imageDir) return null;
+    const name = `preview-${crypto.createHash('sha256').update(imageUrl).digest('hex').slice(0, 32)}.webp`;
+    const file = path.join(imageDir, name);
+    try {
+      if (!fs.existsSync(file)) {
+        const { body } = await fetchUrl(imageUrl, MAX_REDIRECTS, deadline, {
+          accept: 'image/*',
+          types: /^image\/(jpeg|png|gif|webp)\b/i,
+          limit: IMAGE_MAX_BYTES,
+          truncate: false,
+        });
+        await sharp(body, { animated: false })
+          .rotate()
+          .resize(IMAGE_SIZE, IMAGE_SIZE, { fit: 'cover', withoutEnlargement: true })
+          .webp()
+          .toFile(file);
+      }
+      return `/uploads/${name}`;
+    } catch (_e) {
+      return null;
+    }
+  };
+
+  const remember = (url, preview) => {
+    cache.delete(url);
+    cache.set(url, { preview, expiresAt: Date.now() + cacheTtlMs });
+    if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+  };
+
+  // Resolves to a preview { url, title, description, image, siteName } or null; never rejects.
+  // `image` is the /uploads path of the saved copy.
+  const unfurl = (url) => {
+    const cached = cache.get(url);
+    if (cached && cached.expiresAt > Date.now()) return Promise.resolve(cached.preview);
+    if (inFlight.has(url)) return inFlight.get(url);
+
+    const deadline = Date.now() + timeoutMs;
+    const pending = fetchPage(url, deadline)
+      .then(async ({ url: finalUrl, html }) => {
+        const preview = parsePreview(html, finalUrl);
+        return preview && { ...preview, image: await storeImage(preview.image, deadline) };
+      })
+      .catch(() => null)
+      .then((preview) => {
+        remember(url, preview && { ...preview, url });
+        inFlight.delete(url);
+        return cache.get(url).preview;
+      });
+    inFlight.set(url, pending);
+    return pending;
+  };
+
+  return { unfurl };
+};
+
+// http(s) URLs in message text, without trailing punctuation, skipping `code` and ```blocks```
+const extractUrls = (text, limit) => {
+  if (typeof text !== 'string') return [];
+  const prose = text.replace(/```[\s\S]*?(```|$)/g, ' ').replace(/`[^`\n]*`/g, ' ');
+  const urls = (prose.match(/https?:\/\/[^\s<>"'`]+/gi) || [])
+    .map((url) => url.replace(/[.,;:!?)\]]+$/, ''));
+  return [...new Set(urls)].slice(0, limit);
+};
+
+module.exports = {
+  createUnfurler,
+  extractUrls,
+  isPrivateAddress,
+  safeLookup,
+  parsePreview,
+};